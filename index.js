@@ -7,6 +7,7 @@ const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 const multer = require("multer");
 const path = require("path");
+const crypto = require("crypto");
 const cors = require("cors");
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
@@ -80,8 +81,10 @@ const corsOptions = {
     'auth-token',
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'Idempotency-Key'
   ],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true,
   optionsSuccessStatus: 200
 };
@@ -92,7 +95,13 @@ app.options('*', cors(corsOptions));
 
 // Security middleware
 app.use(helmet());
-app.use(express.json({ limit: '10mb' })); // Set JSON payload limit
+app.use(express.json({
+  limit: '10mb', // Set JSON payload limit
+  // Carrier webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 
 // Rate limiting configuration
 const generalLimiter = rateLimit({
@@ -104,6 +113,8 @@ const generalLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Couriers post many signed webhooks from a few IPs
+  skip: (req) => req.path.startsWith('/api/webhooks/'),
 });
 
 const authLimiter = rateLimit({
@@ -132,6 +143,7 @@ const uploadLimiter = rateLimit({
 app.use('/', generalLimiter);
 app.use('/login', authLimiter);
 app.use('/signup', authLimiter);
+app.use('/api/account/verify-email', authLimiter);
 app.use('/upload', uploadLimiter);
 app.use('/upload-multiple', uploadLimiter);
 
@@ -282,30 +294,28 @@ app.post("/upload-multiple", upload.array('products', 5), async (req, res) => {
   }
 });
 
-// Authentication middleware
-const fetchuser = async (req, res, next) => {
-  console.log('🔐 Authentication middleware triggered for:', req.path);
-  
+// Auth token from the auth-token header, or from Authorization with or without
+// a "Bearer " / "auth-token " prefix; surrounding quotes are stripped
+const readAuthToken = (req) => {
   let token = req.header("auth-token");
-  
-  // Also check for Authorization header with Bearer format
   if (!token) {
     const authHeader = req.header("Authorization") || req.headers.authorization;
-    console.log('🔍 Authorization header:', authHeader ? authHeader.substring(0, 20) + '...' : 'not found');
-    
     if (authHeader && authHeader.startsWith("Bearer ")) {
       token = authHeader.substring(7); // Remove "Bearer " prefix
-      console.log('✅ Token extracted from Bearer header');
     } else if (authHeader && authHeader.startsWith("auth-token ")) {
       token = authHeader.substring(11); // Remove "auth-token " prefix
-      console.log('✅ Token extracted from auth-token header');
-    } else if (authHeader) {
+    } else {
       token = authHeader; // Sometimes sent without prefix
-      console.log('⚠️ Token used from Authorization header without Bearer prefix');
     }
-  } else {
-    console.log('✅ Token found in auth-token header');
   }
+  return token ? token.trim().replace(/^"|"$/g, '') || null : null;
+};
+
+// Authentication middleware
+const fetchuser = async (req, res, next) => {
+  console.log('🔐 Authentication middleware triggered for:', req.path);
+  
+  const token = readAuthToken(req);
   
   if (!token) {
     console.log('❌ No token provided in request');
@@ -315,8 +325,6 @@ const fetchuser = async (req, res, next) => {
     });
   }
   
-  // Clean token and add debugging
-  token = token.trim().replace(/^"|"$/g, '');
   console.log('🔑 Token length:', token.length, 'starts with:', token.substring(0, 10) + '...');
   
   // Validate JWT_SECRET exists
@@ -365,6 +373,19 @@ const fetchuser = async (req, res, next) => {
   }
 };
 
+// User from an auth token when one is sent (same headers as fetchuser);
+// null for guests and invalid tokens. For routes that also serve guests.
+const readTokenUser = (req) => {
+  const token = readAuthToken(req);
+  if (!token || !process.env.JWT_SECRET) return null;
+  try {
+    const data = jwt.verify(token, process.env.JWT_SECRET);
+    return data.user && data.user.id ? data.user : null;
+  } catch (_) {
+    return null;
+  }
+};
+
 // Import the proper User model
 const Users = require('./models/User');
 
@@ -412,6 +433,8 @@ const productSchemaLite = new mongoose.Schema({
   // New homepage flags
   isFeatured: { type: Boolean, default: false, index: true },
   isPromo: { type: Boolean, default: false, index: true },
+  // Scheduled sale currently pricing this product (PriceScheduleService)
+  activeSale: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceSchedule', default: null },
   isBestSelling: { type: Boolean, default: false, index: true },
   // Collection flags
   newCollection: { type: Boolean, default: false },
@@ -432,11 +455,20 @@ const Product = mongoose.model('Product', productSchemaLite);
 // This ensures the model is registered exactly once across the codebase.
 const Order = require('./models/Order');
 
+// Rate fields follow models/Location.js; DeliveryQuoteService applies them
 const DeliveryFee = mongoose.model("DeliveryFee", {
   wilaya: { type: String, required: true },
   commune: { type: String, required: true },
   deliveryType: { type: String, enum: ['home', 'pickup'], required: true },
-  fee: { type: Number, required: true },
+  fee: { type: Number, required: true, min: 0 },
+  freeDeliveryThreshold: { type: Number, min: 0, default: null },
+  estimatedDays: {
+    min: { type: Number, min: 1, max: 30 },
+    max: { type: Number, min: 1, max: 30 }
+  },
+  isActive: { type: Boolean, default: true },
+  priority: { type: Number, default: 0 },
+  notes: { type: String, trim: true, maxlength: 200 },
   date: { type: Date, default: Date.now }
 });
 
@@ -590,6 +622,51 @@ try {
   console.error('❌ Failed to load contact route:', e.message);
 }
 
+// Public order tracking (guest orders: order number + checkout phone)
+try {
+  const orderTrackingRoutes = require('./routes/orderTracking');
+  app.use(orderTrackingRoutes);
+  console.log('✅ Order tracking route mounted at POST /api/orders/track');
+} catch (e) {
+  console.error('❌ Failed to load order tracking route:', e.message);
+}
+
+// Carrier tracking webhooks (signed, no user auth)
+try {
+  const carrierWebhookRoutes = require('./routes/carrierWebhooks');
+  app.use(carrierWebhookRoutes);
+  console.log('✅ Carrier webhooks mounted at POST /api/webhooks/carriers/:carrier');
+} catch (e) {
+  console.error('❌ Failed to load carrier webhook routes:', e.message);
+}
+
+// Cart quote (promotions, coupons, delivery) and coupon code check for the storefront
+try {
+  const couponRoutes = require('./routes/coupons');
+  app.use(couponRoutes);
+  console.log('✅ Cart quote and coupon validation mounted at POST /api/cart/quote and /api/coupons/validate');
+} catch (e) {
+  console.error('❌ Failed to load coupon routes:', e.message);
+}
+
+// Gift card balance check for the storefront
+try {
+  const giftCardRoutes = require('./routes/giftCards');
+  app.use(giftCardRoutes);
+  console.log('✅ Gift card balance check mounted at POST /api/gift-cards/balance');
+} catch (e) {
+  console.error('❌ Failed to load gift card routes:', e.message);
+}
+
+// Abandoned cart reminder links (restore cart, unsubscribe)
+try {
+  const cartRecoveryRoutes = require('./routes/cartRecovery');
+  app.use(cartRecoveryRoutes);
+  console.log('✅ Cart recovery routes mounted at /api/cart/restore and /api/cart/reminders');
+} catch (e) {
+  console.error('❌ Failed to load cart recovery routes:', e.message);
+}
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({ 
@@ -779,6 +856,11 @@ app.post('/signup', async (req, res) => {
     });
     
     await user.save();
+
+    LoyaltyService.awardSignupBonus(user._id).catch(e => console.warn('⚠️ Loyalty signup bonus failed (signup):', e?.message));
+
+    // Verifying the email links earlier guest orders to the account
+    sendEmailVerification(user).catch(e => console.warn('⚠️ Verification email failed (signup):', e?.message));
     
     // Generate JWT token
     const token = jwt.sign(
@@ -1151,6 +1233,36 @@ app.post("/relatedproducts", async (req, res) => {
   res.send(products.slice(0, 4));
 });
 
+// Store credit balance and history of the signed-in customer
+app.get('/api/store-credit', fetchuser, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const account = await StoreCreditService.getAccount(req.user.id, { page, limit });
+    res.json({ success: true, ...account });
+  } catch (error) {
+    if (error instanceof StoreCreditError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error('❌ Store credit error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load store credit' });
+  }
+});
+
+// Loyalty points balance, tier and history of the signed-in customer
+app.get('/api/loyalty', fetchuser, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const account = await LoyaltyService.getAccount(req.user.id, { page, limit });
+    res.json({ success: true, ...account });
+  } catch (error) {
+    if (error instanceof LoyaltyError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error('❌ Loyalty account error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load loyalty points' });
+  }
+});
+
 // Cart (only for logged-in users)
 app.post('/addtocart', fetchuser, async (req, res) => {
   try {
@@ -1179,6 +1291,7 @@ app.post('/addtocart', fetchuser, async (req, res) => {
       acc[line.id] = (acc[line.id] || 0) + Number(line.quantity || 0);
       return acc;
     }, {});
+    user.cartUpdatedAt = new Date();
 
     await user.save();
     res.json({ success: true, cartLines: user.cartLines });
@@ -1215,6 +1328,7 @@ app.post('/removefromcart', fetchuser, async (req, res) => {
       acc[line.id] = (acc[line.id] || 0) + Number(line.quantity || 0);
       return acc;
     }, {});
+    user.cartUpdatedAt = new Date();
 
     await user.save();
     res.json({ success: true, cartLines: user.cartLines });
@@ -1269,6 +1383,35 @@ const orderNotificationService = require('./services/orderNotificationService');
 const pushNotificationService = require('./services/pushNotificationService');
 const webPushService = require('./services/webPushService');
 const facebookController = require('./controllers/facebookController');
+const OrderPricingService = require('./services/orderPricingService');
+const { normalizePhone } = require('./utils/phone');
+const InventoryService = require('./services/inventoryService');
+const OrderStateMachine = require('./services/orderStateMachine');
+const { OrderTransitionError } = OrderStateMachine;
+const { CodedError } = require('./middleware/errorHandler');
+const ReturnService = require('./services/returnService');
+const { ReturnError } = ReturnService;
+const RevenueService = require('./services/revenueService');
+const { RETURN_REASONS } = require('./models/ReturnRequest');
+const InvoiceService = require('./services/invoiceService');
+const { idempotency } = require('./middleware/idempotency');
+const RiskScoringService = require('./services/riskScoringService');
+const ConfirmationCallService = require('./services/confirmationCallService');
+const AbandonedCartService = require('./services/abandonedCartService');
+const GuestOrderLinkService = require('./services/guestOrderLinkService');
+const StaleOrderService = require('./services/staleOrderService');
+const CouponService = require('./services/couponService');
+const { CouponError } = CouponService;
+const CheckoutService = require('./services/checkoutService');
+const PriceScheduleService = require('./services/priceScheduleService');
+const DeliveryQuoteService = require('./services/deliveryQuoteService');
+const GiftCardService = require('./services/giftCardService');
+const { GiftCardError } = GiftCardService;
+const StoreCreditService = require('./services/storeCreditService');
+const { StoreCreditError } = StoreCreditService;
+const LoyaltyService = require('./services/loyaltyService');
+const { LoyaltyError } = LoyaltyService;
+const emailService = require('./services/emailService');
 // Initialize Web Push on startup (logs whether keys are present)
 try {
   webPushService.configure();
@@ -1288,7 +1431,8 @@ app.get('/placeorder', (req, res) => {
 });
 
 // ✅ Place Order (Enhanced with detailed model and email notifications)
-app.post("/placeorder", async (req, res) => {
+// Clients may send an Idempotency-Key header so checkout retries don't create duplicates
+app.post("/placeorder", idempotency({ scope: 'placeorder' }), async (req, res) => {
   try {
     console.log('📦 New order placement request:', {
       userId: req.body.userId || 'guest',
@@ -1338,16 +1482,6 @@ app.post("/placeorder", async (req, res) => {
         };
         // Ensure delivery type
         body.deliveryType = body.deliveryType || 'home';
-        // Compute subtotal if not provided
-        if (body.subtotal == null && Array.isArray(body.items)) {
-          body.subtotal = body.items.reduce((sum, it) => sum + Number(it.subtotal || (it.price || 0) * (it.quantity || 0)), 0);
-        }
-        // Compute total if missing or invalid
-        const df = Number(body.deliveryFee || 0);
-        const st = Number(body.subtotal || 0);
-        if (body.total == null || Number(body.total) <= 0) {
-          body.total = st + df;
-        }
       } catch (e) {
         console.warn('⚠️ Legacy payload transform failed:', e.message);
       }
@@ -1356,9 +1490,7 @@ app.post("/placeorder", async (req, res) => {
     // Validate required fields
     const { 
       items, 
-      subtotal, 
-      deliveryFee = 0, 
-      total, 
+      deliveryFee, 
       customerInfo, 
       shippingAddress, 
       deliveryType = 'home',
@@ -1366,22 +1498,6 @@ app.post("/placeorder", async (req, res) => {
       userId 
     } = req.body;
 
-    // Normalize phone numbers (handle Arabic-Indic digits and strip spaces)
-    const normalizePhone = (p) => {
-      try {
-        let s = String(p || '').trim();
-        // Convert Arabic-Indic 0-9
-        s = s.replace(/[\u0660-\u0669]/g, (d) => String(d.charCodeAt(0) - 0x0660));
-        // Convert Extended Arabic-Indic 0-9
-        s = s.replace(/[\u06F0-\u06F9]/g, (d) => String(d.charCodeAt(0) - 0x06F0));
-        // Keep leading + then digits only
-        const leadPlus = s.startsWith('+');
-        s = s.replace(/[^0-9]/g, '');
-        if (leadPlus) s = '+' + s;
-        return s;
-      } catch { return String(p || ''); }
-    };
-
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ 
         success: false, 
@@ -1404,39 +1520,125 @@ app.post("/placeorder", async (req, res) => {
       });
     }
 
-    if (!total || total <= 0) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Valid order total is required" 
+    // Recompute prices and totals from the catalog; client amounts are only compared
+    const pricing = await OrderPricingService.priceOrder(items, {
+      wilaya: shippingAddress.wilaya,
+      commune: shippingAddress.commune,
+      deliveryType,
+      clientFee: deliveryFee
+    });
+
+    if (pricing.issues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_ITEMS',
+        error: "Some items in your order are no longer available",
+        issues: pricing.issues
       });
     }
 
-    // Create order with detailed model
-    // Compute safe numeric values
-    const safeSubtotal = Number(subtotal || items.reduce((sum, item) => sum + (item.subtotal || item.price * item.quantity), 0));
-    const safeDelivery = Number(deliveryFee || 0);
-    const safeTotal = Number(total);
+    if (!pricing.deliveryAvailable) {
+      return res.status(400).json({
+        success: false,
+        code: 'DELIVERY_UNAVAILABLE',
+        error: "Delivery not available for this location"
+      });
+    }
+
+    // Store credit and loyalty points are only spent for the signed-in account that owns them
+    const useStoreCredit = req.body.useStoreCredit === true || req.body.useStoreCredit === 'true';
+    const redeemPoints = Number(req.body.redeemPoints) || 0;
+    let accountUserId = null;
+    if (useStoreCredit || redeemPoints) {
+      const tokenUser = readTokenUser(req);
+      if (!tokenUser || (userId && userId !== 'guest' && String(userId) !== String(tokenUser.id))) {
+        return res.status(401).json({
+          success: false,
+          code: 'LOGIN_REQUIRED',
+          error: "Please sign in to use store credit or loyalty points"
+        });
+      }
+      accountUserId = tokenUser.id;
+    }
+
+    // Promotions, discount codes and points work from the catalog prices, not the client's
+    const couponIdentity = CouponService.getIdentity({ userId, email: customerInfo.email, phone: customerInfo.phone });
+    let checkout;
+    try {
+      checkout = await CheckoutService.quote(pricing, {
+        codes: CouponService.readCodes(req.body),
+        identity: couponIdentity,
+        loyalty: redeemPoints ? { userId: accountUserId, points: redeemPoints } : null
+      });
+    } catch (couponError) {
+      if (couponError instanceof CouponError || couponError instanceof LoyaltyError) {
+        return res.status(couponError.statusCode).json({
+          success: false,
+          code: couponError.code,
+          error: couponError.message,
+          ...couponError.details
+        });
+      }
+      throw couponError;
+    }
+
+    // A storefront already showing free delivery from a coupon is not a mismatch
+    if (pricing.deliveryFeeMismatch && Math.abs(pricing.deliveryFeeMismatch.clientFee - checkout.deliveryFee) <= 0.01) {
+      pricing.deliveryFeeMismatch = null;
+    }
+
+    if (pricing.priceMismatches.length > 0 || pricing.deliveryFeeMismatch) {
+      return res.status(409).json({
+        success: false,
+        code: 'PRICE_MISMATCH',
+        error: "Some prices have changed. Please review your order and try again.",
+        mismatches: pricing.priceMismatches,
+        deliveryFee: pricing.deliveryFeeMismatch,
+        subtotal: pricing.subtotal,
+        total: checkout.total
+      });
+    }
 
+    // Gift cards and store credit pay part of the discounted total
+    let payments;
+    try {
+      payments = await CheckoutService.planPayments(checkout.total, {
+        giftCardCodes: GiftCardService.readCodes(req.body),
+        storeCreditUserId: useStoreCredit ? accountUserId : null
+      });
+    } catch (paymentError) {
+      if (paymentError instanceof GiftCardError || paymentError instanceof StoreCreditError) {
+        return res.status(paymentError.statusCode).json({
+          success: false,
+          code: paymentError.code,
+          error: paymentError.message,
+          ...paymentError.details
+        });
+      }
+      throw paymentError;
+    }
+
+    // Create order with detailed model
     const orderData = {
-      userId: userId || "guest",
+      userId: accountUserId || userId || "guest",
       customerInfo: {
         email: String(customerInfo.email || '').toLowerCase().trim(),
         name: String(customerInfo.name || '').trim(),
         phone: normalizePhone(customerInfo.phone)
       },
-      items: items.map(item => ({
-        productId: item.productId || item.id,
-        name: item.name,
-        image: item.image,
-        price: Number(item.price),
-        quantity: Number(item.quantity),
-        size: (item.size || item.variant?.size || ''),
-        color: (item.color || item.variant?.color || ''),
-        subtotal: Number(item.subtotal || item.price * item.quantity)
-      })),
-      subtotal: safeSubtotal,
-      deliveryFee: safeDelivery,
-      total: isNaN(safeTotal) || safeTotal <= 0 ? (safeSubtotal + safeDelivery) : safeTotal,
+      items: checkout.items,
+      subtotal: pricing.subtotal,
+      deliveryFee: checkout.deliveryFee,
+      total: checkout.total,
+      discounts: checkout.discounts,
+      payments: payments.payments,
+      financials: {
+        orderDiscount: checkout.orderDiscount,
+        prepaidAmount: payments.prepaidAmount
+      },
+      loyalty: {
+        pointsRedeemed: checkout.pointsRedeemed
+      },
       shippingAddress: {
         fullName: String(shippingAddress.fullName || '').trim(),
         phone: normalizePhone(shippingAddress.phone),
@@ -1447,15 +1649,68 @@ app.post("/placeorder", async (req, res) => {
         notes: shippingAddress.notes || ''
       },
       deliveryType: deliveryType,
+      estimatedDeliveryDate: pricing.delivery.estimatedDelivery?.to || undefined,
       paymentMethod: paymentMethod,
-      status: 'pending'
+      status: 'pending',
+      confirmation: {
+        priority: ConfirmationCallService.getPriority({ total: checkout.total })
+      }
     };
 
-    // Create and save the order
-    const order = new DetailedOrder(orderData);
-    const savedOrder = await order.save();
+    // Create the order and reserve its stock atomically; withTransaction retries
+    // on write conflicts, so each attempt starts from a fresh order document
+    const session = await mongoose.startSession();
+    let savedOrder;
+    try {
+      await session.withTransaction(async () => {
+        const order = new DetailedOrder(orderData);
+        await InventoryService.reserveStock(order.items, order._id, { session, orderNumber: order.orderNumber });
+        order.inventoryStatus = 'reserved';
+        // Coupon uses are counted in the same transaction as the order
+        await CouponService.redeem(order, checkout, couponIdentity, { session });
+        // Gift card, store credit and points balances are taken in the same transaction
+        await LoyaltyService.redeem(order, { session });
+        await CheckoutService.redeemPayments(order, { session });
+        savedOrder = await order.save({ session });
+      });
+    } catch (reservationError) {
+      if (reservationError.code === 'INSUFFICIENT_STOCK') {
+        return res.status(409).json({
+          success: false,
+          code: 'INSUFFICIENT_STOCK',
+          error: "Some items do not have enough stock",
+          items: reservationError.items
+        });
+      }
+      if (reservationError instanceof CouponError || reservationError instanceof GiftCardError ||
+          reservationError instanceof StoreCreditError || reservationError instanceof LoyaltyError) {
+        return res.status(reservationError.statusCode).json({
+          success: false,
+          code: reservationError.code,
+          error: reservationError.message,
+          ...reservationError.details
+        });
+      }
+      throw reservationError;
+    } finally {
+      session.endSession();
+    }
     console.log(`✅ Order saved successfully: ${savedOrder.orderNumber}`);
 
+    // Score COD risk; risky orders are flagged for manual review in the admin API
+    try {
+      await RiskScoringService.scoreOrder(savedOrder);
+    } catch (e) {
+      console.warn('⚠️ Risk scoring failed (placeorder):', e?.message);
+    }
+
+    // Credit the order to an abandoned cart reminder, if one was sent recently
+    try {
+      await AbandonedCartService.attributeOrder(savedOrder);
+    } catch (e) {
+      console.warn('⚠️ Cart reminder attribution failed (placeorder):', e?.message);
+    }
+
     // Update metrics
     try {
       const Metrics = require('./models/Metrics');
@@ -1528,6 +1783,10 @@ app.post("/placeorder", async (req, res) => {
         orderNumber: savedOrder.orderNumber,
         status: savedOrder.status,
         total: savedOrder.total,
+        discount: savedOrder.financials?.orderDiscount || 0,
+        pointsRedeemed: savedOrder.loyalty?.pointsRedeemed || 0,
+        prepaidAmount: savedOrder.financials?.prepaidAmount || 0,
+        amountDue: savedOrder.amountDue,
         estimatedDeliveryDate: savedOrder.estimatedDeliveryDate
       },
       message: `Order ${savedOrder.orderNumber} placed successfully! You will receive confirmation emails shortly.`
@@ -1540,9 +1799,283 @@ app.post("/placeorder", async (req, res) => {
       error: "Failed to place order", 
       details: error.message 
     });
+  }
+});
+
+// ===== Email verification (links guest orders placed with the same email) =====
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+async function sendEmailVerification(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = hashToken(token);
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await user.save();
+  return emailService.sendEmailVerification(user, token);
+}
+
+app.post('/api/account/verify-email/request', fetchuser, async (req, res) => {
+  try {
+    const user = await Users.findById(req.user.id);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    if (user.emailVerified) {
+      return res.json({ success: true, alreadyVerified: true, message: 'Email is already verified' });
+    }
+
+    const result = await sendEmailVerification(user);
+    if (!result.success) {
+      return res.status(503).json({ success: false, error: 'Verification email could not be sent, please try again later' });
+    }
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Verification email request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send verification email' });
+  }
+});
+
+app.post('/api/account/verify-email', async (req, res) => {
+  try {
+    const token = String(req.body?.token || '').trim();
+    if (!token) return res.status(400).json({ success: false, error: 'token is required' });
+
+    const user = await Users.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ success: false, error: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    const { linked, orderNumbers } = await GuestOrderLinkService.linkVerified(user, 'email_verification');
+    res.json({ success: true, message: 'Email verified', linkedOrders: linked, orderNumbers });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify email' });
+  }
+});
+
+// ===== Customer order history & self-service cancellation =====
+// Customer-facing view of an order: drops revenue bookkeeping and who updated each status
+function toCustomerOrder(order) {
+  const o = order.toObject({ virtuals: true });
+  return {
+    id: o._id,
+    orderNumber: o.orderNumber,
+    date: o.date,
+    status: o.status,
+    statusDisplay: o.statusDisplay,
+    paymentMethod: o.paymentMethod,
+    paymentStatus: o.paymentStatus,
+    deliveryType: o.deliveryType,
+    items: o.items,
+    totalItems: o.totalItems,
+    subtotal: o.subtotal,
+    deliveryFee: o.deliveryFee,
+    total: o.total,
+    shippingAddress: o.shippingAddress,
+    trackingNumber: o.trackingNumber || null,
+    estimatedDeliveryDate: o.estimatedDeliveryDate || null,
+    actualDeliveryDate: o.actualDeliveryDate || null,
+    cancellationReason: o.cancellationReason || null,
+    statusHistory: (o.statusHistory || []).map(h => ({ status: h.status, date: h.date })),
+    canCancel: o.canCancel,
+    canReturn: o.canReturn
+  };
+}
+
+app.get('/api/account/orders', fetchuser, async (req, res) => {
+  try {
+    const pageNumber = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [orders, totalCount] = await Promise.all([
+      Order.findByUser(String(req.user.id)).skip(skip).limit(pageSize),
+      Order.countDocuments({ userId: String(req.user.id) })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.json({
+      success: true,
+      orders: orders.map(toCustomerOrder),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalOrders: totalCount,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    });
+  } catch (e) {
+    console.error('account orders error:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch orders' });
+  }
+});
+
+app.get('/api/account/orders/:orderNumber', fetchuser, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderNumber: String(req.params.orderNumber).toUpperCase(),
+      userId: String(req.user.id)
+    });
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    res.json({ success: true, order: toCustomerOrder(order) });
+  } catch (e) {
+    console.error('account order error:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch order' });
+  }
+});
+
+app.post('/api/account/orders/:orderNumber/cancel', fetchuser, async (req, res) => {
+  const reason = String(req.body?.reason || '').trim();
+  if (reason.length < 3 || reason.length > 500) {
+    return res.status(400).json({ success: false, error: 'A cancellation reason (3-500 characters) is required' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let order;
+  let prevStatus;
+  try {
+    order = await Order.findOne({
+      orderNumber: String(req.params.orderNumber).toUpperCase(),
+      userId: String(req.user.id)
+    }).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (!order.canCancel) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        code: 'ORDER_NOT_CANCELLABLE',
+        error: `Orders that are ${order.statusDisplay.toLowerCase()} can no longer be cancelled`,
+        status: order.status
+      });
+    }
+
+    prevStatus = order.status;
+    // Releases reserved stock through the state machine hook, in the same transaction
+    await order.cancel(reason, 'customer', {
+      session,
+      actor: { type: 'customer', id: String(req.user.id), name: order.customerInfo?.name || null }
+    });
+    await session.commitTransaction();
+    session.endSession();
+  } catch (e) {
+    await session.abortTransaction();
+    session.endSession();
+    if (e instanceof OrderTransitionError) {
+      return res.status(e.statusCode).json({ success: false, code: e.code, error: e.message, ...e.details });
+    }
+    console.error('account cancel order error:', e);
+    return res.status(500).json({ success: false, error: 'Failed to cancel order' });
+  }
+
+  // Notify admin and customer (async, non-blocking)
+  setImmediate(async () => {
+    try {
+      const results = await orderNotificationService.sendOrderCancellationNotifications(order, prevStatus, reason);
+      console.log(`📧 Cancellation notifications for ${order.orderNumber}:`, {
+        adminSent: results.adminNotification?.success,
+        customerSent: results.customerNotification?.success,
+        errors: results.errors
+      });
+    } catch (emailError) {
+      console.error('❌ Cancellation email error (non-blocking):', emailError.message);
+    }
+  });
+
+  res.json({
+    success: true,
+    message: `Order ${order.orderNumber} has been cancelled`,
+    order: toCustomerOrder(order)
   });
 });
 
+app.get('/api/account/orders/:orderNumber/invoice', fetchuser, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderNumber: String(req.params.orderNumber).toUpperCase(),
+      userId: String(req.user.id)
+    });
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    const pdf = await InvoiceService.generateInvoicePDF(order);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="invoice-${order.invoice.number}.pdf"`
+    });
+    res.send(pdf);
+  } catch (e) {
+    console.error('account invoice error:', e);
+    res.status(500).json({ success: false, error: 'Failed to generate invoice' });
+  }
+});
+
+// ===== Customer returns (RMA) =====
+app.get('/api/account/orders/:orderNumber/returnable', fetchuser, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderNumber: String(req.params.orderNumber).toUpperCase(),
+      userId: String(req.user.id)
+    });
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    res.json({
+      success: true,
+      canReturn: order.canReturn,
+      items: await ReturnService.getReturnableItems(order),
+      reasons: RETURN_REASONS
+    });
+  } catch (e) {
+    console.error('returnable items error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load returnable items' });
+  }
+});
+
+app.post('/api/account/orders/:orderNumber/returns', fetchuser, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderNumber: String(req.params.orderNumber).toUpperCase(),
+      userId: String(req.user.id)
+    });
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    const { items, reason, comment, photos } = req.body || {};
+    const returnRequest = await ReturnService.createReturn(order, { items, reason, comment, photos });
+    res.status(201).json({ success: true, returnRequest });
+  } catch (e) {
+    if (e instanceof ReturnError) {
+      return res.status(e.statusCode).json({ success: false, code: e.code, error: e.message, ...e.details });
+    }
+    console.error('create return error:', e);
+    res.status(500).json({ success: false, error: 'Failed to create return request' });
+  }
+});
+
+app.get('/api/account/returns', fetchuser, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await ReturnService.list({ userId: req.user.id, page, limit });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('account returns error:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch returns' });
+  }
+});
+
 // ===== Facebook Conversions API Test Route =====
 app.get('/api/facebook/test', async (req, res) => {
   try {
@@ -1583,6 +2116,9 @@ async function getOrInitMetrics(){
   return m;
 }
 
+// Lets routers (routes/admin.js) push metric changes to the SSE clients
+app.locals.broadcastLatestMetrics = async () => broadcastMetrics(await getOrInitMetrics());
+
 app.get('/api/admin/metrics', requireAdminAuth, async (req, res) => {
   const Metrics = require('./models/Metrics');
   const m = await getOrInitMetrics();
@@ -1597,129 +2133,101 @@ app.get('/api/admin/metrics/stream', requireAdminAuth, async (req, res) => {
   req.on('close', () => sseClients.delete(res));
 });
 
-function computeOrderRevenue(order, { includeTax = (order.financials?.includeTaxInRevenue || false), includeShipping = false } = {}){
-  const items = order.items || [];
-  const sumItems = items.reduce((acc, it) => {
-    const price = Number(it.price || 0);
-    const qty = Number(it.quantity || 0);
-    const itemDisc = Number(it.itemDiscount || 0);
-    return acc + Math.max(price - itemDisc, 0) * qty;
-  }, 0);
-  const orderDiscount = Number(order.financials?.orderDiscount || 0);
-  const taxAmount = Number(order.financials?.taxAmount || 0);
-  const shippingFee = Number(order.financials?.shippingFee || 0);
-  const refunded = Number(order.financials?.refundedAmount || 0);
-  let revenue = Math.max(sumItems - orderDiscount, 0);
-  if (includeTax) revenue += taxAmount;
-  if (includeShipping) revenue += shippingFee;
-  revenue = Math.max(revenue - refunded, 0);
-  return revenue;
-}
-
-// Admin Orders (optional: protect with fetchuser if needed)
-app.get("/admin/orders", fetchuser, async (req, res) => {
+// Admin Orders (legacy full list; use GET /api/admin/orders/list for filters and pagination)
+app.get("/admin/orders", requireAdminAuth, async (req, res) => {
   const orders = await Order.find({}).sort({ date: -1 });
   res.json(orders);
 });
 
-app.post("/admin/updateorder", fetchuser, async (req, res) => {
+app.post("/admin/updateorder", requireAdminAuth, async (req, res) => {
   const { orderId, status, financialsUpdate, note } = req.body;
   const session = await mongoose.startSession();
-  session.startTransaction();
+  let order;
+  let prevStatus;
   try {
-    // Use DetailedOrder model instead of basic Order
-    let order = await DetailedOrder.findById(orderId).session(session);
-    if (!order) {
-      // Fallback to basic Order model for backwards compatibility
-      order = await Order.findById(orderId).session(session);
+    await session.withTransaction(async () => {
+      // Use DetailedOrder model instead of basic Order
+      order = await DetailedOrder.findById(orderId).session(session);
       if (!order) {
-        return res.status(404).json({ success: false, message: 'Order not found' });
+        // Fallback to basic Order model for backwards compatibility
+        order = await Order.findById(orderId).session(session);
+        if (!order) return;
       }
-    }
-    
-    const prevStatus = order.status;
-    console.log(`📋 Updating order ${order.orderNumber || order._id}: ${prevStatus} → ${status}`);
 
-    if (financialsUpdate && typeof financialsUpdate === 'object') {
-      order.financials = { ...(order.financials || {}), ...financialsUpdate };
-    }
+      prevStatus = order.status;
+      console.log(`📋 Updating order ${order.orderNumber || order._id}: ${prevStatus} → ${status}`);
 
-    order.status = status;
+      RevenueService.applyFinancialsUpdate(order, financialsUpdate);
 
-    const Metrics = require('./models/Metrics');
-    const m = await getOrInitMetrics();
-
-    // rollback if leaving delivered
-    if (prevStatus?.toLowerCase() === 'delivered' && status?.toLowerCase() !== 'delivered' && order.revenueCounted) {
-      m.totalRevenue = Number(m.totalRevenue || 0) - Number(order.realizedRevenue || 0);
-      order.revenueCounted = false;
-      m.updatedAt = new Date();
-      await m.save({ session });
-    }
-
-    // handle delivered
-    if (status?.toLowerCase() === 'delivered') {
-      const newRevenue = computeOrderRevenue(order, { includeTax: order.financials?.includeTaxInRevenue });
-      if (!order.revenueCounted) {
-        m.totalRevenue = Number(m.totalRevenue || 0) + newRevenue;
-        order.realizedRevenue = newRevenue;
-        order.revenueCounted = true;
-        m.updatedAt = new Date();
-        await m.save({ session });
-      } else if (Number(order.realizedRevenue || 0) !== newRevenue) {
-        const delta = newRevenue - Number(order.realizedRevenue || 0);
-        m.totalRevenue = Number(m.totalRevenue || 0) + delta;
-        order.realizedRevenue = newRevenue;
-        m.updatedAt = new Date();
-        await m.save({ session });
+      // Validate the change against the status table; hooks release or confirm
+      // reserved stock as part of the same transaction
+      if (status !== prevStatus) {
+        await OrderStateMachine.transition(order, status, {
+          session,
+          note: note || '',
+          updatedBy: req.admin?.email || 'admin',
+          actor: { type: 'admin', id: String(req.adminId), name: req.admin?.email }
+        });
       }
-    }
 
-    await order.save({ session });
-    await session.commitTransaction();
+      // Book or roll back realized revenue in the same transaction
+      await RevenueService.applyStatusChange(order, prevStatus, { session });
+
+      await order.save({ session });
+    });
+  } catch (e) {
+    if (e instanceof CodedError) {
+      return res.status(e.statusCode).json({ success: false, code: e.code, message: e.message, ...e.details });
+    }
+    console.error('updateorder metrics error', e);
+    return res.status(500).json({ success: false, message: 'Update failed', error: e.message });
+  } finally {
     session.endSession();
+  }
 
-    // broadcast after commit
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  // broadcast after commit
+  try {
     const fresh = await getOrInitMetrics();
     broadcastMetrics(fresh);
+  } catch (e) {
+    console.warn('⚠️ Metrics broadcast failed (updateorder):', e?.message);
+  }
 
-    // Send customer status update notification (async, non-blocking)
-    if (prevStatus !== status) {
-      setImmediate(async () => {
-        try {
-          console.log(`📧 Sending status update notification for order ${order.orderNumber || order._id}`);
-          const notificationResult = await orderNotificationService.sendOrderStatusUpdate(
-            order,
-            prevStatus,
-            status,
-            note || ''
-          );
-          console.log(`📧 Status update notification result:`, {
-            success: notificationResult.success,
-            error: notificationResult.error
-          });
-        } catch (emailError) {
-          console.error('❌ Status update email error (non-blocking):', emailError.message);
-        }
-      });
-    }
-
-    res.json({ 
-      success: true,
-      message: `Order ${order.orderNumber || order._id} status updated to ${status}`,
-      order: {
-        id: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        prevStatus: prevStatus
+  // Send customer status update notification (async, non-blocking)
+  if (prevStatus !== status) {
+    setImmediate(async () => {
+      try {
+        console.log(`📧 Sending status update notification for order ${order.orderNumber || order._id}`);
+        const notificationResult = await orderNotificationService.sendOrderStatusUpdate(
+          order,
+          prevStatus,
+          status,
+          note || ''
+        );
+        console.log(`📧 Status update notification result:`, {
+          success: notificationResult.success,
+          error: notificationResult.error
+        });
+      } catch (emailError) {
+        console.error('❌ Status update email error (non-blocking):', emailError.message);
       }
     });
-  } catch (e) {
-    await session.abortTransaction();
-    session.endSession();
-    console.error('updateorder metrics error', e);
-    res.status(500).json({ success: false, message: 'Update failed', error: e.message });
   }
+
+  res.json({ 
+    success: true,
+    message: `Order ${order.orderNumber || order._id} status updated to ${status}`,
+    order: {
+      id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      prevStatus: prevStatus
+    }
+  });
 });
 
 // Email notification endpoints
@@ -2112,26 +2620,31 @@ app.get("/wilayas", async (req, res) => {
 });
 
 // Get delivery fee for checkout
-app.post("/deliveryfee", async (req, res) => {
-  const { wilaya, commune, deliveryType } = req.body;
-  const rate = await DeliveryFee.findOne({ wilaya, commune, deliveryType });
-  if (rate) {
-    res.json({ success: true, fee: rate.fee });
-  } else {
-    res.json({ success: false, message: "Delivery not available for this location" });
+// Body: { wilaya, commune, deliveryType, subtotal? } - subtotal enables free delivery thresholds
+const sendDeliveryQuote = async (req, res) => {
+  try {
+    const { wilaya, commune, deliveryType = 'home', subtotal } = req.body || {};
+    const { available, options, ...quote } = await DeliveryQuoteService.quote({
+      wilaya,
+      commune,
+      deliveryType,
+      subtotal: Number(subtotal) || 0
+    });
+    if (available) {
+      res.json({ success: true, ...quote, deliveryTypes: options });
+    } else {
+      res.json({ success: false, message: "Delivery not available for this location", deliveryTypes: options });
+    }
+  } catch (error) {
+    console.error('❌ Delivery quote error:', error.message);
+    res.status(500).json({ success: false, message: "Failed to get delivery fee" });
   }
-});
+};
+
+app.post("/deliveryfee", sendDeliveryQuote);
 
 // Alias for admin frontend compatibility
-app.post("/api/admin/shippingRates", async (req, res) => {
-  const { wilaya, commune, deliveryType } = req.body;
-  const rate = await DeliveryFee.findOne({ wilaya, commune, deliveryType });
-  if (rate) {
-    res.json({ success: true, fee: rate.fee });
-  } else {
-    res.json({ success: false, message: "Delivery not available for this location" });
-  }
-});
+app.post("/api/admin/shippingRates", sendDeliveryQuote);
 
 // Category Management API
 // Public endpoint to get all categories (for frontend dropdown and navigation)
@@ -3521,55 +4034,37 @@ app.post('/api/admin/metrics/rebuild', requireAdminAuth, async (req, res) => {
   }
 });
 
-// Refund endpoint
-app.post('/api/admin/orders/refund', requireAdminAuth, async (req, res) => {
-  const { orderId, amount } = req.body;
-  if (!orderId || isNaN(Number(amount))) return res.status(400).json({ success: false, message: 'orderId and numeric amount required' });
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  try {
-    const Order = mongoose.model('Order');
-    const Metrics = require('./models/Metrics');
-    const order = await Order.findById(orderId).session(session);
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    order.financials = order.financials || {};
-    order.financials.refundedAmount = Number(order.financials.refundedAmount || 0) + Number(amount);
-
-    let mChanged = false;
-    let m = await Metrics.findById('global').session(session);
-    if (!m) m = await Metrics.create([{ _id: 'global', totalRevenue: 0, totalOrders: 0 }], { session }).then(([d])=>d);
-
-    if (order.status?.toLowerCase() === 'delivered' && order.revenueCounted) {
-      const newRevenue = computeOrderRevenue(order, { includeTax: order.financials?.includeTaxInRevenue });
-      const delta = newRevenue - Number(order.realizedRevenue || 0);
-      m.totalRevenue = Number(m.totalRevenue || 0) + delta;
-      order.realizedRevenue = newRevenue;
-      m.updatedAt = new Date();
-      await m.save({ session });
-      mChanged = true;
-    }
-
-    await order.save({ session });
-    await session.commitTransaction();
-    session.endSession();
-
-    if (mChanged) {
-      const fresh = await getOrInitMetrics();
-      broadcastMetrics(fresh);
-    }
-
-    res.json({ success: true });
-  } catch (e) {
-    await session.abortTransaction();
-    session.endSession();
-    res.status(500).json({ success: false, message: 'Refund failed', error: e.message });
-  }
-});
-
 // For Vercel serverless functions, export the app instead of listening
 module.exports = app;
 
 // For local development, start the server
 if (require.main === module) {
   app.listen(port, () => console.log("Server Running on port " + port));
+
+  // Abandoned cart reminders (serverless deployments call POST /api/admin/abandoned-carts/run instead)
+  const cartJobMinutes = Number(process.env.ABANDONED_CART_JOB_INTERVAL_MINUTES ?? 60);
+  if (cartJobMinutes > 0) {
+    setInterval(() => {
+      AbandonedCartService.run().catch(e => console.error('❌ Abandoned cart job failed:', e.message));
+    }, cartJobMinutes * 60 * 1000);
+    console.log(`🛒 Abandoned cart job scheduled every ${cartJobMinutes} minutes`);
+  }
+
+  // Cancel pending orders nobody confirmed (serverless: POST /api/admin/orders/stale/cancel)
+  const staleJobMinutes = Number(process.env.STALE_PENDING_ORDER_JOB_INTERVAL_MINUTES ?? 60);
+  if (staleJobMinutes > 0) {
+    setInterval(() => {
+      StaleOrderService.run().catch(e => console.error('❌ Stale order job failed:', e.message));
+    }, staleJobMinutes * 60 * 1000);
+    console.log(`🧹 Stale pending order job scheduled every ${staleJobMinutes} minutes`);
+  }
+
+  // Start and end scheduled sales (serverless: POST /api/admin/price-schedules/run)
+  const saleJobMinutes = Number(process.env.PRICE_SCHEDULE_JOB_INTERVAL_MINUTES ?? 5);
+  if (saleJobMinutes > 0) {
+    setInterval(() => {
+      PriceScheduleService.run().catch(e => console.error('❌ Sale scheduler failed:', e.message));
+    }, saleJobMinutes * 60 * 1000);
+    console.log(`🏷️ Sale scheduler running every ${saleJobMinutes} minutes`);
+  }
 }
@@ -279,6 +279,16 @@ class AppError extends Error {
   }
 }
 
+// Error with a machine-readable code; details are extra response fields.
+// Services subclass it (CouponError, RefundError, ...) so callers can tell them apart.
+class CodedError extends AppError {
+  constructor(message, code, statusCode = 400, details = {}) {
+    super(message, statusCode);
+    this.code = code;
+    this.details = details;
+  }
+}
+
 // Specific error classes
 class ValidationError extends AppError {
   constructor(message = 'Validation failed') {
@@ -368,6 +378,7 @@ module.exports = {
   asyncHandler,
   handleDatabaseConnection,
   AppError,
+  CodedError,
   ValidationError,
   AuthenticationError,
   AuthorizationError,
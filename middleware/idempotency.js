@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key is remembered (hours), configurable per deployment
+const DEFAULT_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// JSON with sorted object keys, so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Idempotency-Key support for POST endpoints
+ * - First request with a key: runs normally, its response is stored
+ * - Retry with the same key and payload: the stored response is replayed
+ * - Same key with a different payload: 422
+ * - Retry while the first request is still running: 409
+ * Server errors (5xx) are not stored so the client can retry with the same key.
+ * A client that disconnects does not free the key: the handler keeps running
+ * and its response is stored for the retry.
+ * Requests without the header are not affected.
+ * @param {Object} options - { scope, ttlHours }
+ */
+const idempotency = ({ scope, ttlHours = DEFAULT_TTL_HOURS } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_IDEMPOTENCY_KEY',
+      error: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  const requestHash = hashRequest(req);
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      scope,
+      key,
+      requestHash,
+      expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      // Storage problems must not block checkout: carry on without dedup
+      console.error('Idempotency key storage error:', error.message);
+      return next();
+    }
+
+    const existing = await IdempotencyKey.findOne({ scope, key }).lean();
+
+    // Expired but not yet removed by the TTL monitor: treat as a new key
+    if (!existing || existing.expiresAt <= new Date()) {
+      if (existing) await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+      return idempotency({ scope, ttlHours })(req, res, next);
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        error: 'This Idempotency-Key was already used with a different request'
+      });
+    }
+
+    if (existing.status !== 'completed') {
+      res.set('Retry-After', '2');
+      return res.status(409).json({
+        success: false,
+        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+        error: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.responseBody);
+  }
+
+  // Capture the response the handler sends, even if the client is gone by then
+  let captured = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    captured = true;
+    const statusCode = res.statusCode;
+    const save = statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', statusCode, responseBody: body } }
+      );
+    save.catch(error => console.error('Idempotency key update error:', error.message));
+    return originalJson(body);
+  };
+
+  // The handler threw and Express answered with its own error page: free the key
+  res.on('finish', () => {
+    if (!captured && res.statusCode >= 500) {
+      IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+        .catch(error => console.error('Idempotency key cleanup error:', error.message));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+  hashRequest
+};
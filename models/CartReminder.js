@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Cart line as it was when the reminder was sent, with catalog data for the email
+const reminderLineSchema = new mongoose.Schema({
+  productId: { type: Number, required: true },
+  name: String,
+  image: String,
+  price: { type: Number, default: 0 },
+  quantity: { type: Number, default: 1, min: 0 },
+  variant: {
+    size: { type: String, default: '' },
+    color: { type: String, default: '' },
+    age: { type: String, default: '' }
+  }
+}, {
+  _id: false
+});
+
+// Abandoned cart reminder sent to a registered user (AbandonedCartService)
+const cartReminderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Identifies the reminder in restore and unsubscribe links
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  // Cart version the reminder is about; one reminder per version
+  cartUpdatedAt: {
+    type: Date,
+    required: true
+  },
+  lines: [reminderLineSchema],
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed', 'recovered'],
+    default: 'sending'
+  },
+  sentAt: Date,
+  clickedAt: Date,
+  error: String,
+  // First order placed by the user after the reminder
+  recoveredOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  recoveredOrderNumber: String,
+  recoveredRevenue: {
+    type: Number,
+    default: 0
+  },
+  recoveredAt: Date
+}, {
+  timestamps: true
+});
+
+cartReminderSchema.index({ userId: 1, cartUpdatedAt: 1 }, { unique: true });
+cartReminderSchema.index({ userId: 1, status: 1, sentAt: -1 });
+cartReminderSchema.index({ sentAt: -1 });
+
+module.exports = mongoose.models.CartReminder || mongoose.model('CartReminder', cartReminderSchema);
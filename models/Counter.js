@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named sequences for document numbers (credit notes, invoices)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+}, { collection: 'counters' });
+
+// Atomically take the next number of a sequence. Inside a transaction the
+// increment rolls back with it, so committed numbers are never reused.
+counterSchema.statics.next = async function(name, { session = null } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_delivery'];
+
+// Discount code entered at checkout (CouponService)
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: COUPON_TYPES,
+      message: 'Invalid coupon type'
+    },
+    required: [true, 'Coupon type is required']
+  },
+  // Percent off (0-100) for percentage coupons, amount off (DZD) for fixed ones
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative'],
+    validate: {
+      validator: function(v) { return this.type !== 'percentage' || v <= 100; },
+      message: 'A percentage cannot exceed 100'
+    }
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Minimum spend on the eligible items
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum subtotal cannot be negative']
+  },
+  // Empty lists mean the whole cart is eligible; categories match a product's
+  // category name or id, products its numeric id or _id
+  appliesTo: {
+    categories: [{ type: String, trim: true }],
+    products: [{ type: String, trim: true }]
+  },
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  isActive: { type: Boolean, default: true },
+  // null = unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perCustomerLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-customer limit must be at least 1']
+  },
+  // Redemptions on orders that were not cancelled; kept in step with CouponRedemption
+  usedCount: { type: Number, default: 0, min: 0 },
+  // Stackable coupons can be combined with each other; others must be used alone
+  stackable: { type: Boolean, default: false },
+  createdBy: { type: String, trim: true, default: null }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  if (this.type !== 'free_delivery' && !(this.value > 0)) {
+    this.invalidate('value', 'value must be greater than 0');
+  }
+  next();
+});
+
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+module.exports = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
+module.exports.COUPON_TYPES = COUPON_TYPES;
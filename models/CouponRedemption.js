@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One coupon used on one order; released when the order is cancelled
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  // Customer identity used for per-customer limits (guests by email and phone)
+  userId: { type: String, default: null },
+  email: { type: String, lowercase: true, trim: true, default: null },
+  phoneKey: { type: String, default: null },
+  discount: { type: Number, default: 0 },
+  deliveryDiscount: { type: Number, default: 0 },
+  orderSubtotal: { type: Number, default: 0 },
+  orderTotal: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['applied', 'released'],
+    default: 'applied'
+  },
+  releasedAt: { type: Date, default: null }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+couponRedemptionSchema.index({ couponId: 1, orderId: 1 }, { unique: true });
+couponRedemptionSchema.index({ couponId: 1, status: 1, createdAt: -1 });
+couponRedemptionSchema.index({ couponId: 1, userId: 1 });
+couponRedemptionSchema.index({ couponId: 1, email: 1 });
+couponRedemptionSchema.index({ couponId: 1, phoneKey: 1 });
+couponRedemptionSchema.index({ orderId: 1 });
+
+module.exports = mongoose.models.CouponRedemption || mongoose.model('CouponRedemption', couponRedemptionSchema);
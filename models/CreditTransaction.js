@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const CREDIT_ACCOUNTS = ['gift_card', 'store_credit'];
+const CREDIT_TRANSACTION_TYPES = ['issue', 'redeem', 'release', 'refund', 'adjust', 'void'];
+
+// Ledger of gift card and store credit balances: one entry per change.
+// amount is signed (credit > 0, spend < 0) and balanceAfter is the balance
+// right after the change.
+const creditTransactionSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: CREDIT_ACCOUNTS,
+    required: true
+  },
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard',
+    default: null
+  },
+  code: { type: String, default: null },
+  // Store credit owner
+  userId: { type: String, default: null },
+  type: {
+    type: String,
+    enum: CREDIT_TRANSACTION_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderNumber: { type: String, default: null },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  admin: {
+    id: { type: String, default: null },
+    email: { type: String, trim: true, default: null }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+creditTransactionSchema.index({ giftCardId: 1, createdAt: -1 });
+creditTransactionSchema.index({ userId: 1, createdAt: -1 });
+creditTransactionSchema.index({ orderId: 1 });
+
+// Append an entry, in the caller's transaction when one is given
+creditTransactionSchema.statics.record = async function(entry, { session = null } = {}) {
+  const [transaction] = await this.create([entry], { session });
+  return transaction;
+};
+
+module.exports = mongoose.models.CreditTransaction || mongoose.model('CreditTransaction', creditTransactionSchema);
+module.exports.CREDIT_ACCOUNTS = CREDIT_ACCOUNTS;
+module.exports.CREDIT_TRANSACTION_TYPES = CREDIT_TRANSACTION_TYPES;
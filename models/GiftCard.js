@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const GIFT_CARD_STATUSES = ['active', 'void'];
+
+// Prepaid card spent at checkout as a payment (GiftCardService); every
+// balance change is recorded in CreditTransaction
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Gift card code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{6,32}$/, 'Code may only contain letters, digits and dashes (6-32 characters)']
+  },
+  initialValue: {
+    type: Number,
+    required: [true, 'Initial value is required'],
+    min: [1, 'Initial value must be at least 1'],
+    max: [1000000, 'Initial value cannot exceed 1,000,000']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Balance cannot be negative']
+  },
+  // null = never expires
+  expiresAt: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: GIFT_CARD_STATUSES,
+    default: 'active'
+  },
+  recipient: {
+    name: { type: String, trim: true, maxlength: 100 },
+    email: { type: String, trim: true, lowercase: true, default: null }
+  },
+  // Who bought the card, for cards sold to customers
+  purchaser: {
+    name: { type: String, trim: true, maxlength: 100 },
+    email: { type: String, trim: true, lowercase: true, default: null }
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters']
+  },
+  // Payment or order reference the card was sold against
+  reference: { type: String, trim: true, default: null },
+  emailedAt: { type: Date, default: null },
+  voidedAt: { type: Date, default: null },
+  voidReason: { type: String, trim: true, default: null },
+  issuedBy: { type: String, trim: true, default: null }
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ status: 1, createdAt: -1 });
+giftCardSchema.index({ 'recipient.email': 1 });
+
+module.exports = mongoose.models.GiftCard || mongoose.model('GiftCard', giftCardSchema);
+module.exports.GIFT_CARD_STATUSES = GIFT_CARD_STATUSES;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Stored result of a request sent with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  // Endpoint the key was used on; the same key may be reused on another endpoint
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  statusCode: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+// MongoDB removes expired keys on its own
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', idempotencyKeySchema);
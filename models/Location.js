@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const DeliveryQuoteService = require('../services/deliveryQuoteService');
 
 // Wilaya (State/Province) Model
 const wilayaSchema = new mongoose.Schema({
@@ -225,10 +226,12 @@ deliveryFeeSchema.statics.findActive = function() {
   return this.find({ isActive: true }).sort({ wilaya: 1, commune: 1, deliveryType: 1 });
 };
 
+// Priced by DeliveryQuoteService, like checkout and /deliveryfee, so
+// thresholds, inactive rates and rate priority are applied the same way
 deliveryFeeSchema.statics.calculateDeliveryFee = async function(wilaya, commune, deliveryType, orderTotal = 0) {
-  const deliveryRate = await this.findByLocation(wilaya, commune, deliveryType);
+  const quote = await DeliveryQuoteService.quote({ wilaya, commune, deliveryType, subtotal: orderTotal });
   
-  if (!deliveryRate) {
+  if (!quote.available) {
     return {
       success: false,
       message: 'Delivery not available for this location',
@@ -237,22 +240,15 @@ deliveryFeeSchema.statics.calculateDeliveryFee = async function(wilaya, commune,
     };
   }
   
-  let fee = deliveryRate.fee;
-  
-  // Check for free delivery threshold
-  if (deliveryRate.freeDeliveryThreshold && orderTotal >= deliveryRate.freeDeliveryThreshold) {
-    fee = 0;
-  }
-  
   return {
     success: true,
-    fee: fee,
-    originalFee: deliveryRate.fee,
-    estimatedDays: deliveryRate.estimatedDays,
-    estimatedDeliveryDisplay: deliveryRate.estimatedDeliveryDisplay,
-    freeDeliveryThreshold: deliveryRate.freeDeliveryThreshold,
-    hasFreeDelivery: fee === 0 && deliveryRate.fee > 0,
-    notes: deliveryRate.notes
+    fee: quote.fee,
+    originalFee: quote.baseFee,
+    estimatedDays: quote.estimatedDays,
+    estimatedDeliveryDisplay: quote.estimatedDeliveryDisplay,
+    freeDeliveryThreshold: quote.freeDeliveryThreshold,
+    hasFreeDelivery: quote.freeDelivery,
+    notes: quote.notes
   };
 };
 
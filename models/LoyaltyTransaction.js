@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const LOYALTY_TRANSACTION_TYPES = ['signup_bonus', 'earn', 'redeem', 'release', 'reverse', 'adjust'];
+
+// Loyalty points ledger (LoyaltyService): one entry per change of a
+// customer's points. points is signed (earned > 0, spent < 0) and
+// balanceAfter is the balance right after the change.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LOYALTY_TRANSACTION_TYPES,
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderNumber: { type: String, default: null },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  admin: {
+    id: { type: String, default: null },
+    email: { type: String, trim: true, default: null }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loyaltyTransactionSchema.index({ userId: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ orderId: 1 });
+
+module.exports = mongoose.models.LoyaltyTransaction || mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
+module.exports.LOYALTY_TRANSACTION_TYPES = LOYALTY_TRANSACTION_TYPES;
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { phoneKey } = require('../utils/phone');
+
+// Outcomes of a COD confirmation call
+const CALL_OUTCOMES = ['confirmed', 'no_answer', 'wrong_number', 'refused'];
 
 const genOrderNumber = () => {
   const timestamp = Date.now().toString();
@@ -40,10 +44,33 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Catalog category at purchase time (coupon restrictions, reporting)
+  category: {
+    type: String,
+    trim: true
+  },
+  // Line's share of automatic promotions (already included in financials.orderDiscount)
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   subtotal: {
     type: Number,
     required: [true, 'Subtotal is required'],
     min: [0, 'Subtotal cannot be negative']
+  },
+  // Units received back through returns (RMA); their stock is settled there,
+  // so a later cancel/return of the order does not release them again
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  writtenOffQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   _id: false
@@ -125,6 +152,11 @@ const orderSchema = new mongoose.Schema({
       match: [/^[0-9+\-\s()]{10,15}$/, 'Please enter a valid phone number']
     }
   },
+  // Local digits of customerInfo.phone, for matching orders from the same phone
+  phoneKey: {
+    type: String,
+    default: null
+  },
   items: {
     type: [orderItemSchema],
     required: [true, 'Order must contain at least one item'],
@@ -168,10 +200,54 @@ const orderSchema = new mongoose.Schema({
     taxAmount: { type: Number, default: 0 },
     shippingFee: { type: Number, default: 0 },
     refundedAmount: { type: Number, default: 0 },
-    includeTaxInRevenue: { type: Boolean, default: false }
+    includeTaxInRevenue: { type: Boolean, default: false },
+    // Part of total paid at checkout with gift cards and store credit
+    prepaidAmount: { type: Number, default: 0 }
+  },
+  // Discounts applied at checkout (CheckoutService); their amounts add up to
+  // financials.orderDiscount. Free delivery is applied to deliveryFee directly
+  // and recorded as deliveryDiscount.
+  discounts: [{
+    _id: false,
+    source: { type: String, enum: ['promotion', 'coupon', 'loyalty'], required: true },
+    code: String,
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    label: String,
+    amount: { type: Number, default: 0 },
+    deliveryDiscount: { type: Number, default: 0 }
+  }],
+  // Gift cards and store credit spent at checkout (CheckoutService.planPayments).
+  // They pay part of total, they do not discount it; their amounts add up to
+  // financials.prepaidAmount. releasedAt is set when a cancellation gave them back.
+  payments: [{
+    _id: false,
+    source: { type: String, enum: ['gift_card', 'store_credit'], required: true },
+    giftCardId: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+    code: String,
+    amount: { type: Number, required: true, min: 0 },
+    releasedAt: { type: Date, default: null }
+  }],
+  // What is left to pay after prepaid amounts (collected on delivery for COD)
+  amountDue: { type: Number, min: 0 },
+  // Loyalty points spent on this order (a discount) and earned from it (LoyaltyService)
+  loyalty: {
+    pointsRedeemed: { type: Number, default: 0 },
+    redeemedReleasedAt: { type: Date, default: null },
+    earnedPoints: { type: Number, default: 0 },
+    // Spend the points were earned on, to reverse them in proportion to refunds
+    earnedOnAmount: { type: Number, default: 0 },
+    earnedAt: { type: Date, default: null },
+    reversedPoints: { type: Number, default: 0 }
   },
   realizedRevenue: { type: Number, default: 0 },
   revenueCounted: { type: Boolean, default: false },
+  // Stock lifecycle: reserved at checkout, released on cancel/return, confirmed on delivery
+  inventoryStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'released', 'confirmed'],
+    default: 'none'
+  },
   paymentMethod: {
     type: String,
     enum: {
@@ -183,7 +259,7 @@ const orderSchema = new mongoose.Schema({
   paymentStatus: {
     type: String,
     enum: {
-      values: ['pending', 'paid', 'failed', 'refunded'],
+      values: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
       message: 'Invalid payment status'
     },
     default: 'pending'
@@ -232,6 +308,101 @@ const orderSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
+  // Parcel registered with a courier through ShippingService
+  shipment: {
+    carrier: String,
+    status: {
+      type: String,
+      enum: ['creating', 'created', 'failed', 'cancelled']
+    },
+    trackingNumber: String,
+    carrierShipmentId: String,
+    fee: Number,
+    codAmount: Number,
+    createdAt: Date,
+    createdBy: String,
+    cancelledAt: Date,
+    lastError: String,
+    // Carrier tracking events received by webhook (ShipmentTrackingService)
+    trackingStatus: String,
+    lastEventAt: Date,
+    events: [{
+      _id: false,
+      eventId: String,
+      status: String,
+      description: String,
+      location: String,
+      occurredAt: Date,
+      receivedAt: { type: Date, default: Date.now },
+      // Order status change the event caused, if any
+      applied: String
+    }]
+  },
+  // COD risk assessment (RiskScoringService); flagged orders wait for a manual review
+  risk: {
+    score: { type: Number, default: 0 },
+    level: { type: String, enum: ['low', 'medium', 'high'], default: 'low' },
+    flagged: { type: Boolean, default: false },
+    reasons: [{
+      _id: false,
+      code: String,
+      points: Number,
+      detail: String
+    }],
+    scoredAt: Date,
+    review: {
+      status: {
+        type: String,
+        enum: ['not_required', 'pending', 'cleared', 'rejected'],
+        default: 'not_required'
+      },
+      reviewedBy: String,
+      reviewedAt: Date,
+      note: { type: String, trim: true, maxlength: 500 }
+    }
+  },
+  // COD confirmation calls (ConfirmationCallService); pending orders are called before shipping
+  confirmation: {
+    status: {
+      type: String,
+      enum: ['awaiting', 'confirmed', 'cancelled'],
+      default: 'awaiting'
+    },
+    attempts: { type: Number, default: 0 },
+    priority: { type: Number, default: 0 },
+    lastOutcome: { type: String, enum: CALL_OUTCOMES },
+    lastCalledAt: Date,
+    nextCallAt: Date,
+    calls: [{
+      outcome: { type: String, enum: CALL_OUTCOMES, required: true },
+      note: { type: String, trim: true, maxlength: 500 },
+      calledBy: {
+        id: String,
+        email: String
+      },
+      calledAt: { type: Date, default: Date.now },
+      nextCallAt: Date
+    }]
+  },
+  // Set when a guest order is attached to a registered account (GuestOrderLinkService)
+  accountLink: {
+    linkedAt: Date,
+    linkedBy: String,
+    matchedOn: { type: String, enum: ['email', 'phone', 'manual'] }
+  },
+  // COD cash paid over by the courier (RemittanceService)
+  remittance: {
+    remittanceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Remittance' },
+    batchNumber: String,
+    collectedAmount: Number,
+    fee: Number,
+    remittedAt: Date
+  },
+  // Assigned once by InvoiceService; numbers are sequential and never reused
+  invoice: {
+    number: { type: String, trim: true },
+    issuedAt: { type: Date }
+  },
   cancellationReason: {
     type: String,
     trim: true,
@@ -256,6 +427,13 @@ orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ date: -1 });
 orderSchema.index({ 'shippingAddress.wilaya': 1 });
 orderSchema.index({ deliveryType: 1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+orderSchema.index({ phoneKey: 1, status: 1 });
+orderSchema.index({ userId: 1, 'customerInfo.email': 1 });
+orderSchema.index({ 'risk.flagged': 1, 'risk.review.status': 1 });
+orderSchema.index({ status: 1, 'confirmation.priority': -1, 'confirmation.nextCallAt': 1 });
+orderSchema.index({ 'shipment.trackingNumber': 1 }, { sparse: true });
+orderSchema.index({ paymentMethod: 1, 'remittance.remittanceId': 1, actualDeliveryDate: 1 });
 
 // Virtual for total items count
 orderSchema.virtual('totalItems').get(function() {
@@ -300,12 +478,25 @@ orderSchema.virtual('canReturn').get(function() {
 // Ensure orderNumber exists before validation
 orderSchema.pre('validate', function(next) {
   if (!this.orderNumber) this.orderNumber = genOrderNumber();
+  if (this.isModified('customerInfo.phone') || !this.phoneKey) {
+    this.phoneKey = phoneKey(this.customerInfo?.phone) || null;
+  }
 
   // Validate total calculation
-  const calculatedTotal = Number(this.subtotal || 0) + Number(this.deliveryFee || 0);
+  const orderDiscount = Number(this.financials?.orderDiscount || 0);
+  if (orderDiscount < 0 || orderDiscount > Number(this.subtotal || 0) + 0.01) {
+    return next(new Error('Order discount must be between 0 and the subtotal'));
+  }
+  const calculatedTotal = Number(this.subtotal || 0) + Number(this.deliveryFee || 0) - orderDiscount;
   if (Math.abs(Number(this.total || 0) - calculatedTotal) > 0.01) {
-    return next(new Error('Total amount does not match subtotal + delivery fee'));
+    return next(new Error('Total amount does not match subtotal + delivery fee - discount'));
+  }
+
+  const prepaidAmount = Number(this.financials?.prepaidAmount || 0);
+  if (prepaidAmount < 0 || prepaidAmount > Number(this.total || 0) + 0.01) {
+    return next(new Error('Prepaid amount must be between 0 and the total'));
   }
+  this.amountDue = Math.max(0, Math.round((Number(this.total || 0) - prepaidAmount) * 100) / 100);
 
   // Validate items subtotal
   const itemsSubtotal = (this.items || []).reduce((sum, item) => sum + Number(item.subtotal || 0), 0);
@@ -317,8 +508,10 @@ orderSchema.pre('validate', function(next) {
 
 // Pre-save middleware for status/estimated delivery
 orderSchema.pre('save', function(next) {
-  // Add status to history if status changed
-  if (this.isModified('status')) {
+  // Add status to history if status changed and the change wasn't already
+  // recorded (OrderStateMachine.transition writes its own entry with a note)
+  const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+  if (this.isModified('status') && (!lastEntry || lastEntry.status !== this.status)) {
     this.statusHistory.push({
       status: this.status,
       date: new Date(),
@@ -326,8 +519,8 @@ orderSchema.pre('save', function(next) {
     });
   }
 
-  // Set estimated delivery date for new orders
-  if (this.isNew && this.deliveryType === 'home') {
+  // Set estimated delivery date for new orders unless the delivery quote gave one
+  if (this.isNew && this.deliveryType === 'home' && !this.estimatedDeliveryDate) {
     const deliveryDays = this.shippingAddress?.wilaya === 'Alger' ? 2 : 5;
     this.estimatedDeliveryDate = new Date(Date.now() + deliveryDays * 24 * 60 * 60 * 1000);
   }
@@ -381,51 +574,34 @@ orderSchema.statics.getOrderStats = async function() {
 };
 
 // Instance methods
-orderSchema.methods.updateStatus = function(newStatus, note = '', updatedBy = 'system') {
-  if (!['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'].includes(newStatus)) {
-    throw new Error('Invalid status');
-  }
-  
-  this.status = newStatus;
-  this.statusHistory.push({
-    status: newStatus,
-    date: new Date(),
-    note,
-    updatedBy
-  });
-  
-  // Set actual delivery date if delivered
-  if (newStatus === 'delivered' && !this.actualDeliveryDate) {
-    this.actualDeliveryDate = new Date();
-  }
-  
+// Status changes go through the state machine (required lazily: it depends on services)
+const getStateMachine = () => require('../services/orderStateMachine');
+
+orderSchema.methods.updateStatus = async function(newStatus, note = '', updatedBy = 'system') {
+  await getStateMachine().transition(this, newStatus, { note, updatedBy });
   return this.save();
 };
 
-orderSchema.methods.cancel = function(reason = '', cancelledBy = 'system') {
+// options: { session, actor } are passed through to the state machine hooks
+orderSchema.methods.cancel = async function(reason = '', cancelledBy = 'system', options = {}) {
   if (!this.canCancel) {
     throw new Error('Order cannot be cancelled in current status');
   }
   
-  this.status = 'cancelled';
   this.cancellationReason = reason;
-  this.statusHistory.push({
-    status: 'cancelled',
-    date: new Date(),
+  await getStateMachine().transition(this, 'cancelled', {
     note: reason,
-    updatedBy: cancelledBy
+    updatedBy: cancelledBy,
+    session: options.session,
+    actor: options.actor
   });
-  
-  return this.save();
+  return this.save({ session: options.session });
 };
 
-orderSchema.methods.addTrackingNumber = function(trackingNumber) {
+orderSchema.methods.addTrackingNumber = async function(trackingNumber) {
   this.trackingNumber = trackingNumber;
   if (this.status === 'confirmed' || this.status === 'processing') {
-    this.status = 'shipped';
-    this.statusHistory.push({
-      status: 'shipped',
-      date: new Date(),
+    await getStateMachine().transition(this, 'shipped', {
       note: `Tracking number: ${trackingNumber}`,
       updatedBy: 'system'
     });
@@ -433,17 +609,12 @@ orderSchema.methods.addTrackingNumber = function(trackingNumber) {
   return this.save();
 };
 
-orderSchema.methods.markAsDelivered = function(deliveredBy = 'system') {
-  this.status = 'delivered';
-  this.actualDeliveryDate = new Date();
-  this.statusHistory.push({
-    status: 'delivered',
-    date: new Date(),
-    updatedBy: deliveredBy
-  });
+orderSchema.methods.markAsDelivered = async function(deliveredBy = 'system') {
+  await getStateMachine().transition(this, 'delivered', { updatedBy: deliveredBy });
   return this.save();
 };
 
 const Order = mongoose.model('Order', orderSchema);
 
 module.exports = Order;
+module.exports.CALL_OUTCOMES = CALL_OUTCOMES;
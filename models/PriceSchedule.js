@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const PRICE_SCHEDULE_STATUSES = ['scheduled', 'active', 'completed', 'cancelled'];
+
+// Product as it was before the sale, so the sale can be rolled back
+const appliedProductSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  id: Number,
+  name: String,
+  previous: {
+    new_price: Number,
+    old_price: Number,
+    isPromo: Boolean,
+    on_sale: Boolean
+  },
+  salePrice: { type: Number, required: true },
+  appliedAt: { type: Date, default: Date.now },
+  revertedAt: { type: Date, default: null },
+  // Set when the price was edited by hand during the sale and left as is
+  revertNote: { type: String, default: null }
+}, {
+  _id: false
+});
+
+// Sale window on products or a category (PriceScheduleService): the sale price
+// is applied at startsAt and the previous price restored at endsAt
+const priceScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sale name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: ['product', 'category'],
+      message: 'Scope must be product or category'
+    },
+    required: [true, 'Scope is required']
+  },
+  // Numeric product ids (scope product)
+  productIds: [{ type: Number }],
+  // Category name or id (scope category); products are resolved when the sale starts
+  category: { type: String, trim: true, default: null },
+  // price: every product sells at value; percent: value percent off the current price
+  discountType: {
+    type: String,
+    enum: {
+      values: ['price', 'percent'],
+      message: 'Discount type must be price or percent'
+    },
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Sale value is required'],
+    min: [0, 'Sale value cannot be negative']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  status: {
+    type: String,
+    enum: PRICE_SCHEDULE_STATUSES,
+    default: 'scheduled'
+  },
+  appliedProducts: [appliedProductSchema],
+  // Products left out when the sale started (e.g. already in another sale)
+  skippedProducts: [{
+    _id: false,
+    productId: mongoose.Schema.Types.ObjectId,
+    id: Number,
+    name: String,
+    reason: String
+  }],
+  appliedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+  createdBy: { type: String, trim: true, default: null }
+}, {
+  timestamps: true
+});
+
+priceScheduleSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  if (this.scope === 'product' && !(this.productIds || []).length) {
+    this.invalidate('productIds', 'At least one product is required');
+  }
+  if (this.scope === 'category' && !this.category) {
+    this.invalidate('category', 'A category is required');
+  }
+  if (this.scope === 'category' && this.discountType === 'price') {
+    this.invalidate('discountType', 'Category sales must use a percent discount');
+  }
+  if (this.discountType === 'percent' && !(this.value > 0 && this.value < 100)) {
+    this.invalidate('value', 'Percent must be between 0 and 100');
+  }
+  if (this.discountType === 'price' && !(this.value > 0)) {
+    this.invalidate('value', 'Sale price must be above 0');
+  }
+  next();
+});
+
+priceScheduleSchema.index({ status: 1, startsAt: 1 });
+priceScheduleSchema.index({ status: 1, endsAt: 1 });
+
+module.exports = mongoose.models.PriceSchedule || mongoose.model('PriceSchedule', priceScheduleSchema);
+module.exports.PRICE_SCHEDULE_STATUSES = PRICE_SCHEDULE_STATUSES;
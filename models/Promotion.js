@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const PROMOTION_EFFECTS = ['percent_off_cheapest', 'bundle_price', 'free_item'];
+
+// Automatic cart promotion (PromotionService). Eligible units are grouped by
+// effect.quantity, most expensive first; in each group:
+//   percent_off_cheapest - the cheapest effect.discountedUnits get effect.percent off
+//   free_item            - the cheapest effect.discountedUnits are free
+//   bundle_price         - the whole group costs effect.bundlePrice
+// e.g. "2nd item -50%": quantity 2, percent 50; "buy 3 pay 2": free_item, quantity 3
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  // Empty category and product lists make every product eligible; categories
+  // match a product's category name or id, products its numeric id or _id
+  conditions: {
+    categories: [{ type: String, trim: true }],
+    products: [{ type: String, trim: true }],
+    // Eligible units / spend the cart must contain
+    minQuantity: { type: Number, default: 0, min: 0 },
+    minSubtotal: { type: Number, default: 0, min: 0 }
+  },
+  effect: {
+    type: {
+      type: String,
+      enum: {
+        values: PROMOTION_EFFECTS,
+        message: 'Invalid promotion effect'
+      },
+      required: [true, 'Effect type is required']
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Group quantity is required'],
+      min: [1, 'Group quantity must be at least 1'],
+      max: [20, 'Group quantity cannot exceed 20']
+    },
+    discountedUnits: { type: Number, default: 1, min: [1, 'At least one unit must be discounted'] },
+    percent: { type: Number, min: [1, 'Percent must be at least 1'], max: [100, 'Percent cannot exceed 100'] },
+    bundlePrice: { type: Number, min: [0, 'Bundle price cannot be negative'] }
+  },
+  // Groups discounted per order; null = as many as the cart allows
+  maxApplications: {
+    type: Number,
+    default: null,
+    min: [1, 'Max applications must be at least 1']
+  },
+  // Higher runs first; a unit is only ever used by one promotion
+  priority: { type: Number, default: 0 },
+  combinesWithCoupons: { type: Boolean, default: true },
+  isActive: { type: Boolean, default: true },
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  createdBy: { type: String, trim: true, default: null }
+}, {
+  timestamps: true
+});
+
+promotionSchema.pre('validate', function(next) {
+  const effect = this.effect || {};
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  if (effect.type === 'percent_off_cheapest' && !effect.percent) {
+    this.invalidate('effect.percent', 'percent is required for percent_off_cheapest');
+  }
+  if (effect.type === 'bundle_price' && (effect.bundlePrice === undefined || effect.bundlePrice === null)) {
+    this.invalidate('effect.bundlePrice', 'bundlePrice is required for bundle_price');
+  }
+  if (effect.type !== 'bundle_price' && effect.discountedUnits > effect.quantity) {
+    this.invalidate('effect.discountedUnits', 'discountedUnits cannot exceed quantity');
+  }
+  if (effect.type === 'free_item' && effect.discountedUnits >= effect.quantity) {
+    this.invalidate('effect.discountedUnits', 'At least one unit of each group must be paid');
+  }
+  next();
+});
+
+promotionSchema.index({ isActive: 1, priority: -1 });
+
+module.exports = mongoose.models.Promotion || mongoose.model('Promotion', promotionSchema);
+module.exports.PROMOTION_EFFECTS = PROMOTION_EFFECTS;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const REFUND_METHODS = ['cash', 'bank_transfer', 'card', 'store_credit', 'other'];
+
+const refundItemSchema = new mongoose.Schema({
+  // Position of the line in order.items
+  lineIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  productId: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  size: { type: String, trim: true },
+  color: { type: String, trim: true },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+// Refund ledger: one document per refund, each with its own credit note number
+const refundSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  returnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be positive']
+  },
+  items: [refundItemSchema],
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  method: {
+    type: String,
+    enum: {
+      values: REFUND_METHODS,
+      message: 'Invalid refund method'
+    },
+    required: [true, 'Refund method is required']
+  },
+  admin: {
+    id: { type: String, default: null },
+    email: { type: String, trim: true, default: null }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+refundSchema.index({ orderId: 1, createdAt: 1 });
+refundSchema.index({ createdAt: -1 });
+
+const Refund = mongoose.models.Refund || mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
+module.exports.REFUND_METHODS = REFUND_METHODS;
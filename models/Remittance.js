@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const remittanceLineSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  trackingNumber: { type: String, default: null },
+  // Cash the courier collected at the door
+  collectedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Courier fee deducted from this parcel's cash
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  netAmount: {
+    type: Number,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// COD remittance: one payout from a courier covering the cash of several orders
+const remittanceSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  carrier: {
+    type: String,
+    required: [true, 'Carrier is required'],
+    trim: true
+  },
+  // Courier's payout / transfer reference
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'],
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    required: true
+  },
+  lines: {
+    type: [remittanceLineSchema],
+    validate: [(lines) => lines.length > 0, 'A remittance must cover at least one order']
+  },
+  totals: {
+    collected: { type: Number, required: true },
+    fees: { type: Number, required: true },
+    net: { type: Number, required: true }
+  },
+  // What actually arrived in the bank; differs from totals.net when the courier short-pays
+  amountReceived: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discrepancy: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  admin: {
+    id: { type: String, default: null },
+    email: { type: String, trim: true, default: null }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+remittanceSchema.index({ receivedAt: -1 });
+remittanceSchema.index({ carrier: 1, receivedAt: -1 });
+remittanceSchema.index({ 'lines.orderId': 1 });
+
+module.exports = mongoose.models.Remittance || mongoose.model('Remittance', remittanceSchema);
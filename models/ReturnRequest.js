@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+const genRmaNumber = () => {
+  const timestamp = Date.now().toString();
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `RMA${timestamp.slice(-6)}${random}`;
+};
+
+const RETURN_REASONS = ['wrong_size', 'damaged', 'defective', 'not_as_described', 'changed_mind', 'other'];
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+const returnItemSchema = new mongoose.Schema({
+  // Position of the line in order.items (order lines have no _id)
+  lineIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  productId: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  image: String,
+  size: { type: String, trim: true },
+  color: { type: String, trim: true },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // What happened to the received units: back on the shelf or written off
+  disposition: {
+    type: String,
+    enum: ['pending', 'restock', 'write_off'],
+    default: 'pending'
+  }
+}, {
+  _id: false
+});
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true,
+    required: true,
+    default: genRmaNumber
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // Snapshot used for notifications
+  customerInfo: {
+    name: { type: String, trim: true },
+    email: { type: String, lowercase: true, trim: true },
+    phone: { type: String, trim: true }
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A return must contain at least one item'
+    }
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: RETURN_REASONS,
+      message: 'Invalid return reason'
+    },
+    required: [true, 'Return reason is required']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  photos: {
+    type: [String],
+    validate: {
+      validator: (photos) => photos.length <= 5,
+      message: 'A return can have at most 5 photos'
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: RETURN_STATUSES,
+      message: 'Invalid return status'
+    },
+    default: 'requested'
+  },
+  statusHistory: [{
+    status: { type: String, required: true },
+    date: { type: Date, default: Date.now },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Status note cannot exceed 500 characters']
+    },
+    updatedBy: { type: String, trim: true }
+  }],
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  receivedAt: Date,
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  refundedAt: Date,
+  // Ledger entry and credit note created for the refund (none for zero refunds)
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null
+  },
+  creditNoteNumber: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+returnRequestSchema.index({ orderId: 1 });
+returnRequestSchema.index({ userId: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Value of the returned items at the price paid
+returnRequestSchema.virtual('itemsValue').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + Number(item.price || 0) * Number(item.quantity || 0), 0);
+});
+
+const ReturnRequest = mongoose.models.ReturnRequest || mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
+module.exports.RETURN_REASONS = RETURN_REASONS;
+module.exports.RETURN_STATUSES = RETURN_STATUSES;
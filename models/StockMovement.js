@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Stock ledger: one document per change to a product's stock_quantity
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    // Numeric catalog id for current products, ObjectId string for legacy references
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Product ID is required']
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  variant: {
+    size: { type: String, trim: true, default: '' },
+    color: { type: String, trim: true, default: '' }
+  },
+  delta: {
+    type: Number,
+    required: [true, 'Quantity change is required']
+  },
+  quantityBefore: {
+    type: Number,
+    required: [true, 'Quantity before is required']
+  },
+  quantityAfter: {
+    type: Number,
+    required: [true, 'Quantity after is required']
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: ['order', 'cancellation', 'return', 'manual', 'stock_count'],
+      message: 'Invalid stock movement reason'
+    },
+    required: [true, 'Reason is required']
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['system', 'admin', 'customer'],
+      default: 'system'
+    },
+    id: { type: String, default: null },
+    name: { type: String, trim: true, default: null }
+  },
+  reference: {
+    type: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    id: { type: String, default: null },
+    number: { type: String, trim: true, default: null }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+stockMovementSchema.index({ 'reference.id': 1 });
+stockMovementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.StockMovement || mongoose.model('StockMovement', stockMovementSchema);
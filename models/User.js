@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { phoneKey } = require('../utils/phone');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -47,6 +48,32 @@ const userSchema = new mongoose.Schema({
     ],
     default: []
   },
+  // Last time cartLines changed; abandoned cart reminders are based on it
+  cartUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  cartRemindedAt: {
+    type: Date,
+    default: null
+  },
+  // Store credit (StoreCreditService); changes are recorded in CreditTransaction
+  storeCreditBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Store credit cannot be negative']
+  },
+  // Loyalty points (LoyaltyService); changes are recorded in LoyaltyTransaction.
+  // lifetimePoints (earned minus reversed) decides the tier.
+  loyalty: {
+    points: { type: Number, default: 0, min: [0, 'Points cannot be negative'] },
+    lifetimePoints: { type: Number, default: 0, min: 0 },
+    tier: { type: String, enum: ['bronze', 'silver', 'gold'], default: 'bronze' },
+    signupBonusAt: { type: Date, default: null }
+  },
+  emailPreferences: {
+    cartReminders: { type: Boolean, default: true }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -59,6 +86,20 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // SHA-256 of the token emailed by POST /api/account/verify-email/request
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Local digits of phone (utils/phone), used to match guest orders
+  phoneKey: String,
+  // Set by an admin after confirming the number by phone
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
   date: {
@@ -73,6 +114,18 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ cartUpdatedAt: 1 });
+userSchema.index({ phoneKey: 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+
+userSchema.pre('validate', function(next) {
+  if (this.isModified('phone')) {
+    this.phoneKey = phoneKey(this.phone) || undefined;
+    // A new number has to be verified again
+    if (!this.isModified('phoneVerified')) this.phoneVerified = false;
+  }
+  next();
+});
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -122,6 +175,8 @@ userSchema.methods.getPublicProfile = function() {
   delete userObject.password;
   delete userObject.passwordResetToken;
   delete userSchema.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
   return userObject;
 };
 
@@ -2,6 +2,36 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const { requireAdminAuth } = require('../middleware/adminAuth');
+const { CodedError } = require('../middleware/errorHandler');
+const InventoryService = require('../services/inventoryService');
+const OrderStateMachine = require('../services/orderStateMachine');
+const { OrderTransitionError } = OrderStateMachine;
+const RevenueService = require('../services/revenueService');
+const ReturnService = require('../services/returnService');
+const RefundService = require('../services/refundService');
+const Refund = require('../models/Refund');
+const InvoiceService = require('../services/invoiceService');
+const { toCSVRow, neutralizeFormula } = require('../utils/csv');
+const OrderQueryService = require('../services/orderQueryService');
+const RiskScoringService = require('../services/riskScoringService');
+const ConfirmationCallService = require('../services/confirmationCallService');
+const { ConfirmationCallError } = ConfirmationCallService;
+const orderNotificationService = require('../services/orderNotificationService');
+const AbandonedCartService = require('../services/abandonedCartService');
+const GuestOrderLinkService = require('../services/guestOrderLinkService');
+const StaleOrderService = require('../services/staleOrderService');
+const ShippingService = require('../services/shippingService');
+const RemittanceService = require('../services/remittanceService');
+const DeliveryQuoteService = require('../services/deliveryQuoteService');
+const CouponService = require('../services/couponService');
+const PromotionService = require('../services/promotionService');
+const PriceScheduleService = require('../services/priceScheduleService');
+const GiftCardService = require('../services/giftCardService');
+const StoreCreditService = require('../services/storeCreditService');
+const LoyaltyService = require('../services/loyaltyService');
+const { getCarrier, listCarriers } = require('../services/carriers');
+const { normalizePhone } = require('../utils/phone');
+const ExcelJS = require('exceljs');
 
 // Test route without authentication to debug
 router.get('/test', (req, res) => {
@@ -70,6 +100,25 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Async handler that answers service errors (CodedError) with their code and details
+const withCodedErrors = (fn) => asyncHandler(async (req, res, next) => {
+  try {
+    await fn(req, res, next);
+  } catch (error) {
+    if (error instanceof CodedError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, error: error.message, ...error.details });
+    }
+    throw error;
+  }
+});
+
+// Push the latest metrics to dashboards listening on /api/admin/metrics/stream (set up in index.js)
+const broadcastLatestMetrics = (req) => {
+  const broadcast = req.app.locals.broadcastLatestMetrics;
+  if (!broadcast) return;
+  broadcast().catch(e => console.warn('⚠️ Metrics broadcast failed:', e.message));
+};
+
 /**
  * Dashboard Analytics Routes
  */
@@ -273,28 +322,42 @@ router.put('/products/:id', asyncHandler(async (req, res) => {
     const updateData = req.body;
 
     // Decide whether :id refers to our numeric "id" field or Mongo _id
-    let product;
+    let filter;
     if (/^[0-9]+$/.test(productId)) {
       // Numeric product.id
-      product = await Product.findOneAndUpdate(
-        { id: parseInt(productId, 10) },
-        updateData,
-        { new: true }
-      );
+      filter = { id: parseInt(productId, 10) };
     } else if (/^[0-9a-fA-F]{24}$/.test(productId)) {
       // Mongo ObjectId
-      product = await Product.findByIdAndUpdate(productId, updateData, { new: true });
+      filter = { _id: productId };
     } else {
       // Fallback to try by "id" string match
-      product = await Product.findOneAndUpdate({ id: productId }, updateData, { new: true });
+      filter = { id: productId };
     }
+
+    // Return the pre-update document so stock edits can be recorded in the ledger
+    const before = await Product.findOneAndUpdate(filter, updateData, { new: false });
     
-    if (!product) {
+    if (!before) {
       return res.status(404).json({
         success: false,
         error: 'Product not found'
       });
     }
+
+    const product = await Product.findById(before._id);
+
+    if (updateData.stock_quantity !== undefined && Number(before.stock_quantity) !== Number(product.stock_quantity)) {
+      await InventoryService.logStockMovement({
+        productId: product.id,
+        productName: product.name,
+        delta: Number(product.stock_quantity) - Number(before.stock_quantity || 0),
+        quantityBefore: Number(before.stock_quantity || 0),
+        quantityAfter: Number(product.stock_quantity),
+        reason: 'manual',
+        actor: { type: 'admin', id: String(req.adminId), name: req.admin?.email },
+        note: 'Product edit'
+      });
+    }
     
     res.json({
       success: true,
@@ -448,6 +511,52 @@ router.get('/customers', asyncHandler(async (req, res) => {
   });
 }));
 
+// Guest orders that could belong to a customer (checkout email or phone matches)
+// ?phone= checks another number than the one on the account
+router.get('/customers/:id/guest-orders', asyncHandler(async (req, res) => {
+  const Users = getUserModel();
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Customer not found' });
+  }
+  const user = await Users.findById(req.params.id).select('name email emailVerified phone phoneVerified').lean();
+  if (!user) return res.status(404).json({ success: false, error: 'Customer not found' });
+
+  const phone = req.query.phone || user.phone;
+  const orders = await GuestOrderLinkService.findGuestOrders({ email: user.email, phone });
+  res.json({ success: true, data: { customer: user, phone: phone || null, orders } });
+}));
+
+// Merge guest orders into a customer account
+// Body: { orderIds?: [...], byEmail?: true, phone?: '...', markPhoneVerified?: true }
+router.post('/customers/:id/link-guest-orders', asyncHandler(async (req, res) => {
+  const Users = getUserModel();
+  const { orderIds = [], byEmail = false, phone, markPhoneVerified = false } = req.body || {};
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Customer not found' });
+  }
+  if (!Array.isArray(orderIds) || (!orderIds.length && !byEmail && !phone)) {
+    return res.status(400).json({ success: false, error: 'Provide orderIds, byEmail or phone' });
+  }
+
+  const user = await Users.findById(req.params.id);
+  if (!user) return res.status(404).json({ success: false, error: 'Customer not found' });
+
+  // The admin confirmed the number with the customer: remember it on the account
+  if (phone && markPhoneVerified) {
+    user.phone = normalizePhone(phone);
+    user.phoneVerified = true;
+    await user.save();
+  }
+
+  const result = await GuestOrderLinkService.linkOrders(user, {
+    orderIds: orderIds.map(String),
+    email: byEmail ? user.email : null,
+    phone: phone || null,
+    linkedBy: req.admin?.email || 'admin'
+  });
+  res.json({ success: true, data: result });
+}));
+
 // Inventory summary - shared handler
 const getInventorySummary = async (req, res) => {
   const Product = getProductModel();
@@ -495,6 +604,74 @@ router.get('/inventory', asyncHandler(getInventorySummary));
 router.get('/inventory/report', asyncHandler(getInventorySummary));
 router.get('/inventory/report2', asyncHandler(getInventorySummary));
 
+// Stock movement ledger (filter by productId, reason, startDate, endDate)
+router.get('/inventory/movements', asyncHandler(async (req, res) => {
+  try {
+    const history = await InventoryService.getStockMovementHistory(req.query);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch stock movements'
+    });
+  }
+}));
+
+// Export the filtered ledger as CSV
+router.get('/inventory/movements/export', asyncHandler(async (req, res) => {
+  let cursor;
+  try {
+    cursor = InventoryService.getStockMovementCursor(req.query);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+
+  const filename = `stock-movements-${new Date().toISOString().slice(0, 10)}.csv`;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.write(toCSVRow([
+    'Date', 'Product ID', 'Product', 'Size', 'Color', 'Change',
+    'Before', 'After', 'Reason', 'Actor', 'Actor ID', 'Reference', 'Note'
+  ]));
+
+  for await (const m of cursor) {
+    res.write(toCSVRow([
+      m.createdAt,
+      m.productId,
+      m.productName,
+      m.variant?.size,
+      m.variant?.color,
+      m.delta,
+      m.quantityBefore,
+      m.quantityAfter,
+      m.reason,
+      m.actor?.name || m.actor?.type,
+      m.actor?.id,
+      m.reference?.number || m.reference?.id,
+      m.note
+    ]));
+  }
+  res.end();
+}));
+
+// Record a physical stock count for a product
+router.post('/inventory/stock-count', asyncHandler(async (req, res) => {
+  const { productId, countedQuantity, note = '' } = req.body || {};
+  if (productId === undefined || countedQuantity === undefined) {
+    return res.status(400).json({ success: false, error: 'productId and countedQuantity are required' });
+  }
+
+  try {
+    const result = await InventoryService.recordStockCount(productId, countedQuantity, req.adminId, note);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to record stock count'
+    });
+  }
+}));
+
 // Delivery rates list (admin)
 router.get('/deliveryrates', asyncHandler(async (req, res) => {
   const DeliveryFee = getDeliveryFeeModel();
@@ -513,6 +690,34 @@ router.get('/deliveryrates', asyncHandler(async (req, res) => {
   res.json({ success: true, rates, data: rates });
 }));
 
+// Optional rate settings used by DeliveryQuoteService; returns { fields } or { error }
+const readDeliveryRateOptions = (body = {}) => {
+  const fields = {};
+  if (body.freeDeliveryThreshold !== undefined) {
+    const threshold = body.freeDeliveryThreshold === null || body.freeDeliveryThreshold === '' ? null : Number(body.freeDeliveryThreshold);
+    if (threshold !== null && (Number.isNaN(threshold) || threshold < 0)) {
+      return { error: 'freeDeliveryThreshold must be a non-negative number' };
+    }
+    fields.freeDeliveryThreshold = threshold;
+  }
+  if (body.estimatedDays !== undefined) {
+    const min = Number(body.estimatedDays?.min);
+    const max = Number(body.estimatedDays?.max ?? min);
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min || max > 30) {
+      return { error: 'estimatedDays must have whole min and max days between 1 and 30, with max >= min' };
+    }
+    fields.estimatedDays = { min, max };
+  }
+  if (body.isActive !== undefined) fields.isActive = body.isActive === true || body.isActive === 'true';
+  if (body.priority !== undefined) {
+    const priority = Number(body.priority);
+    if (Number.isNaN(priority)) return { error: 'priority must be a number' };
+    fields.priority = priority;
+  }
+  if (body.notes !== undefined) fields.notes = body.notes;
+  return { fields };
+};
+
 // Create or upsert a delivery rate (admin)
 router.post('/deliveryrates', asyncHandler(async (req, res) => {
   const DeliveryFee = getDeliveryFeeModel();
@@ -530,13 +735,18 @@ router.post('/deliveryrates', asyncHandler(async (req, res) => {
     return res.status(400).json({ success: false, message: 'fee must be a non-negative number' });
   }
 
+  const options = readDeliveryRateOptions(req.body);
+  if (options.error) {
+    return res.status(400).json({ success: false, message: options.error });
+  }
+
   const existing = await DeliveryFee.findOne({ wilaya, commune, deliveryType });
   if (existing) {
-    existing.fee = numericFee;
+    existing.set({ fee: numericFee, ...options.fields });
     await existing.save();
     return res.json({ success: true, rate: existing });
   }
-  const rate = new DeliveryFee({ wilaya, commune, deliveryType, fee: numericFee });
+  const rate = new DeliveryFee({ wilaya, commune, deliveryType, fee: numericFee, ...options.fields });
   await rate.save();
   res.status(201).json({ success: true, rate });
 }));
@@ -550,7 +760,12 @@ router.put('/deliveryrates/:id', asyncHandler(async (req, res) => {
 
   const { fee, wilaya, commune, deliveryType } = req.body || {};
 
-  const update = {};
+  const options = readDeliveryRateOptions(req.body);
+  if (options.error) {
+    return res.status(400).json({ success: false, message: options.error });
+  }
+
+  const update = { ...options.fields };
   if (fee !== undefined) {
     const numericFee = Number(fee);
     if (Number.isNaN(numericFee) || numericFee < 0) {
@@ -562,7 +777,7 @@ router.put('/deliveryrates/:id', asyncHandler(async (req, res) => {
   if (commune !== undefined) update.commune = commune;
   if (deliveryType !== undefined) update.deliveryType = deliveryType;
 
-  const rate = await DeliveryFee.findByIdAndUpdate(req.params.id, update, { new: true });
+  const rate = await DeliveryFee.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
   if (!rate) {
     return res.status(404).json({ success: false, message: 'Delivery rate not found' });
   }
@@ -647,12 +862,7 @@ router.get('/orders', asyncHandler(async (req, res) => {
     );
     if (explicit != null) return round2(explicit);
 
-    if (rate) {
-      const threshold = toNumber(rate.freeDeliveryThreshold || 0);
-      if (threshold > 0 && toNumber(productsTotal) >= threshold) return 0;
-      return round2(rate.fee);
-    }
-    return 0;
+    return rate ? DeliveryQuoteService.priceRate(rate, productsTotal).fee : 0;
   };
 
   const computeTotals = (o, rate) => {
@@ -861,97 +1071,784 @@ router.get('/orders', asyncHandler(async (req, res) => {
   res.json(orders);
 }));
 
-// Update order status (admin)
-router.post('/updateorder', asyncHandler(async (req, res) => {
-  const Order = getOrderModel();
-  if (!Order) {
-    return res.status(503).json({ success: false, error: 'Order model not available' });
+// Filtered, searchable order list with cursor pagination
+// Query: status, paymentStatus, wilaya (comma-separated lists), deliveryType,
+// startDate, endDate, minTotal, maxTotal, q, sortBy, sortOrder, cursor, limit
+router.get('/orders/list', asyncHandler(async (req, res) => {
+  try {
+    const result = await OrderQueryService.listOrders(req.query);
+    res.json({ success: true, data: result.orders, pagination: result.pagination });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch orders'
+    });
   }
-  const { orderId, status, financialsUpdate } = req.body;
-  if (!orderId || !status) {
-    return res.status(400).json({ success: false, error: 'orderId and status are required' });
+}));
+
+// Export the filtered order list (format=csv|xlsx), streamed row by row
+router.get('/orders/export', asyncHandler(async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be csv or xlsx' });
   }
 
-  // Load helpers from main app scope
-  const mongoose = require('mongoose');
-  const Metrics = require('../models/Metrics');
-
-  // local compute function mirrors index.js
-  const computeOrderRevenue = (order, { includeTax = (order.financials?.includeTaxInRevenue || false), includeShipping = false } = {}) => {
-    const items = order.items || [];
-    const sumItems = items.reduce((acc, it) => {
-      const price = Number(it.price || 0);
-      const qty = Number(it.quantity || 0);
-      const itemDisc = Number(it.itemDiscount || 0);
-      return acc + Math.max(price - itemDisc, 0) * qty;
-    }, 0);
-    const orderDiscount = Number(order.financials?.orderDiscount || 0);
-    const taxAmount = Number(order.financials?.taxAmount || 0);
-    const shippingFee = Number(order.financials?.shippingFee || 0);
-    const refunded = Number(order.financials?.refundedAmount || 0);
-    let revenue = Math.max(sumItems - orderDiscount, 0);
-    if (includeTax) revenue += taxAmount;
-    if (includeShipping) revenue += shippingFee;
-    revenue = Math.max(revenue - refunded, 0);
-    return revenue;
-  };
+  let cursor;
+  try {
+    cursor = OrderQueryService.getOrderCursor(req.query);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+
+  const columns = OrderQueryService.EXPORT_COLUMNS;
+  const filename = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write(toCSVRow(columns.map(c => c.header)));
+    for await (const order of cursor) {
+      const row = OrderQueryService.toExportRow(order);
+      res.write(toCSVRow(columns.map(c => row[c.key])));
+    }
+    return res.end();
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Orders');
+  sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.key === 'address' ? 40 : 18 }));
+  for await (const order of cursor) {
+    const row = OrderQueryService.toExportRow(order);
+    for (const key of Object.keys(row)) row[key] = neutralizeFormula(row[key]);
+    sheet.addRow(row).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}));
+
+// COD risk review queue: flagged orders not yet reviewed, riskiest first
+router.get('/orders/review-queue', asyncHandler(async (req, res) => {
+  const result = await RiskScoringService.getReviewQueue(req.query);
+  res.json({
+    success: true,
+    data: result.orders,
+    pagination: result.pagination,
+    threshold: RiskScoringService.REVIEW_THRESHOLD
+  });
+}));
+
+// Record a risk review. decision: cleared (order proceeds) | rejected (order is cancelled)
+router.post('/orders/:id/risk-review', asyncHandler(async (req, res) => {
+  const Order = getOrderModel();
+  const { decision, note = '' } = req.body || {};
+  if (!['cleared', 'rejected'].includes(decision)) {
+    return res.status(400).json({ success: false, error: 'decision must be cleared or rejected' });
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
 
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const order = await Order.findById(orderId).session(session);
-    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
-    const prevStatus = order.status;
+    const order = await Order.findById(req.params.id).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
 
-    if (financialsUpdate && typeof financialsUpdate === 'object') {
-      order.financials = { ...(order.financials || {}), ...financialsUpdate };
+    const reviewer = req.admin?.email || 'admin';
+    order.risk = order.risk || {};
+    order.risk.review = {
+      status: decision,
+      reviewedBy: reviewer,
+      reviewedAt: new Date(),
+      note: String(note).slice(0, 500)
+    };
+
+    if (decision === 'rejected' && order.status !== 'cancelled') {
+      await OrderStateMachine.transition(order, 'cancelled', {
+        session,
+        note: note || 'Rejected after risk review',
+        updatedBy: reviewer,
+        actor: { type: 'admin', id: String(req.adminId), name: req.admin?.email }
+      });
     }
 
-    order.status = status;
+    await order.save({ session });
+    await session.commitTransaction();
+    session.endSession();
 
-    let m = await Metrics.findById('global').session(session);
-    if (!m) m = await Metrics.create([{ _id: 'global', totalRevenue: 0, totalOrders: 0 }], { session }).then(([d])=>d);
+    res.json({ success: true, data: { id: order._id, orderNumber: order.orderNumber, status: order.status, risk: order.risk } });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error instanceof OrderTransitionError) {
+      return res.status(409).json({ success: false, code: error.code, error: error.message, ...error.details });
+    }
+    throw error;
+  }
+}));
+
+// COD confirmation call queue: pending orders by priority, then callback time.
+// ?due=true hides orders whose callback is scheduled later
+router.get('/orders/confirmation-queue', asyncHandler(async (req, res) => {
+  const result = await ConfirmationCallService.getQueue(req.query);
+  res.json({
+    success: true,
+    data: result.orders,
+    dueNow: result.dueNow,
+    pagination: result.pagination,
+    maxAttempts: ConfirmationCallService.MAX_ATTEMPTS
+  });
+}));
 
-    if (prevStatus?.toLowerCase() === 'delivered' && status?.toLowerCase() !== 'delivered' && order.revenueCounted) {
-      m.totalRevenue = Number(m.totalRevenue || 0) - Number(order.realizedRevenue || 0);
-      order.revenueCounted = false;
-      m.updatedAt = new Date();
-      await m.save({ session });
+// Record a confirmation call. outcome: confirmed | no_answer | wrong_number | refused
+router.post('/orders/:id/confirmation-calls', asyncHandler(async (req, res) => {
+  const Order = getOrderModel();
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let order;
+  let call;
+  let prevStatus;
+  try {
+    order = await Order.findById(req.params.id).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    prevStatus = order.status;
+    call = await ConfirmationCallService.recordCall(order, req.body || {}, {
+      session,
+      admin: { id: req.adminId, email: req.admin?.email }
+    });
+    await order.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error instanceof ConfirmationCallError || error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, error: error.message, ...error.details });
     }
+    throw error;
+  }
 
-    if (status?.toLowerCase() === 'delivered') {
-      const newRevenue = computeOrderRevenue(order, { includeTax: order.financials?.includeTaxInRevenue });
-      if (!order.revenueCounted) {
-        m.totalRevenue = Number(m.totalRevenue || 0) + newRevenue;
-        order.realizedRevenue = newRevenue;
-        order.revenueCounted = true;
-        m.updatedAt = new Date();
-        await m.save({ session });
-      } else if (Number(order.realizedRevenue || 0) !== newRevenue) {
-        const delta = newRevenue - Number(order.realizedRevenue || 0);
-        m.totalRevenue = Number(m.totalRevenue || 0) + delta;
-        order.realizedRevenue = newRevenue;
-        m.updatedAt = new Date();
-        await m.save({ session });
+  // Let the customer know the order was confirmed or cancelled
+  if (order.status !== prevStatus) {
+    const notify = order.status === 'cancelled'
+      ? orderNotificationService.sendOrderCancellationNotifications(order, prevStatus, order.cancellationReason)
+      : orderNotificationService.sendOrderStatusUpdate(order, prevStatus, order.status, call.note);
+    notify.catch(e => console.warn('⚠️ Confirmation call notification failed:', e?.message));
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      call,
+      confirmation: {
+        status: order.confirmation.status,
+        attempts: order.confirmation.attempts,
+        nextCallAt: order.confirmation.nextCallAt
       }
     }
+  });
+}));
+
+// Dry run: pending orders the stale-order job would cancel (?days= overrides the default)
+router.get('/orders/stale', asyncHandler(async (req, res) => {
+  const report = await StaleOrderService.preview({ days: req.query.days });
+  res.json({ success: true, data: report });
+}));
+
+// Cancel stale pending orders now (also the entry point for external cron).
+// Body: { days?, notify?, dryRun? }
+router.post('/orders/stale/cancel', asyncHandler(async (req, res) => {
+  const { days, notify, dryRun = false } = req.body || {};
+  const result = await StaleOrderService.run({
+    days,
+    dryRun: dryRun === true,
+    ...(typeof notify === 'boolean' ? { notify } : {})
+  });
+  res.json({ success: true, data: result });
+}));
+
+// Run the abandoned cart reminder job now (also the entry point for external cron).
+// { dryRun: true } lists the carts that would be emailed
+router.post('/abandoned-carts/run', asyncHandler(async (req, res) => {
+  const summary = await AbandonedCartService.run({ dryRun: req.body?.dryRun === true || req.query.dryRun === 'true' });
+  res.json({ success: true, data: summary });
+}));
+
+// Reminders sent and revenue recovered from them (?from=&to= on the send date)
+router.get('/abandoned-carts/report', asyncHandler(async (req, res) => {
+  const report = await AbandonedCartService.getRecoveryReport(req.query);
+  res.json({ success: true, data: report });
+}));
+
+// ===== Courier shipments =====
+router.get('/carriers', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: listCarriers() });
+}));
+
+// Push one order to a carrier. Body: { carrier? } (defaults to DEFAULT_CARRIER)
+router.post('/orders/:id/shipment', withCodedErrors(async (req, res) => {
+  const order = await ShippingService.createShipment(req.params.id, {
+    carrier: req.body?.carrier,
+    admin: { id: req.adminId, email: req.admin?.email }
+  });
+  res.status(201).json({
+    success: true,
+    data: { id: order._id, orderNumber: order.orderNumber, trackingNumber: order.trackingNumber, shipment: order.shipment }
+  });
+}));
+
+// Push several orders. Body: { orderIds: [...], carrier? }
+router.post('/orders/shipments/batch', withCodedErrors(async (req, res) => {
+  const result = await ShippingService.createShipments(req.body?.orderIds, {
+    carrier: req.body?.carrier,
+    admin: { id: req.adminId, email: req.admin?.email }
+  });
+  res.json({ success: true, data: result });
+}));
+
+router.get('/orders/:id/shipment/label', withCodedErrors(async (req, res) => {
+  const label = await ShippingService.getLabel(req.params.id);
+  res.setHeader('Content-Type', label.contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${label.filename}"`);
+  res.send(label.data);
+}));
+
+router.get('/orders/:id/shipment/tracking', withCodedErrors(async (req, res) => {
+  const tracking = await ShippingService.getTrackingEvents(req.params.id);
+  res.json({ success: true, data: tracking });
+}));
+
+router.post('/orders/:id/shipment/cancel', withCodedErrors(async (req, res) => {
+  const order = await ShippingService.cancelShipment(req.params.id);
+  res.json({ success: true, data: { id: order._id, orderNumber: order.orderNumber, shipment: order.shipment } });
+}));
+
+// Mock carrier only: move a parcel along to try the flow offline. Body: { status, description?, location? }
+router.post('/carriers/mock/shipments/:trackingNumber/events', withCodedErrors(async (req, res) => {
+  const event = await getCarrier('mock').addEvent(req.params.trackingNumber, req.body || {});
+  res.status(201).json({ success: true, data: event });
+}));
+
+// ===== COD remittances =====
+// Delivered COD orders the courier has not paid for after N days (?days=&carrier=&page=&limit=)
+router.get('/remittances/unremitted', asyncHandler(async (req, res) => {
+  const report = await RemittanceService.getUnremittedReport(req.query);
+  res.json({ success: true, data: report });
+}));
+
+router.get('/remittances', asyncHandler(async (req, res) => {
+  const { carrier, from, to, page, limit } = req.query;
+  const result = await RemittanceService.list({ carrier, from, to, page, limit });
+  res.json({ success: true, ...result });
+}));
+
+router.get('/remittances/:id', withCodedErrors(async (req, res) => {
+  const remittance = await RemittanceService.getById(req.params.id);
+  res.json({ success: true, data: remittance });
+}));
+
+// Record a courier payout; its orders are marked paid.
+// Body: { carrier?, reference?, receivedAt?, amountReceived?, notes?,
+//         orders: [{ orderId | orderNumber | trackingNumber, collectedAmount?, fee? }] }
+router.post('/remittances', withCodedErrors(async (req, res) => {
+  const remittance = await RemittanceService.recordRemittance(req.body || {}, {
+    admin: { id: req.adminId, email: req.admin?.email }
+  });
+  res.status(201).json({ success: true, data: remittance });
+}));
+
+// ===== Coupons =====
+// ?search=&active=true|false&page=&limit=
+router.get('/coupons', asyncHandler(async (req, res) => {
+  const { search, active, page, limit } = req.query;
+  const result = await CouponService.list({ search, active, page, limit });
+  res.json({ success: true, ...result });
+}));
+
+// Orders, discount and revenue per coupon (?from=&to= on the redemption date)
+router.get('/coupons/report', asyncHandler(async (req, res) => {
+  const report = await CouponService.getUsageReport({ from: req.query.from, to: req.query.to });
+  res.json({ success: true, data: report });
+}));
+
+router.post('/coupons', withCodedErrors(async (req, res) => {
+  const coupon = await CouponService.create(req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.status(201).json({ success: true, data: coupon });
+}));
+
+router.get('/coupons/:id', withCodedErrors(async (req, res) => {
+  const coupon = await CouponService.getById(req.params.id);
+  res.json({ success: true, data: coupon });
+}));
+
+router.put('/coupons/:id', withCodedErrors(async (req, res) => {
+  const coupon = await CouponService.update(req.params.id, req.body || {});
+  res.json({ success: true, data: coupon });
+}));
+
+// Unused coupons are deleted; used ones are deactivated to keep their history
+router.delete('/coupons/:id', withCodedErrors(async (req, res) => {
+  const result = await CouponService.remove(req.params.id);
+  res.json({ success: true, ...result });
+}));
+
+// One coupon's redemptions with totals (?from=&to=&page=&limit=)
+router.get('/coupons/:id/usage', withCodedErrors(async (req, res) => {
+  const usage = await CouponService.getCouponUsage(req.params.id, req.query);
+  res.json({ success: true, data: usage });
+}));
+
+// ===== Automatic promotions =====
+// ?active=true|false
+router.get('/promotions', asyncHandler(async (req, res) => {
+  const promotions = await PromotionService.list({ active: req.query.active });
+  res.json({ success: true, data: promotions });
+}));
+
+router.post('/promotions', withCodedErrors(async (req, res) => {
+  const promotion = await PromotionService.create(req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.status(201).json({ success: true, data: promotion });
+}));
+
+router.get('/promotions/:id', withCodedErrors(async (req, res) => {
+  const promotion = await PromotionService.getById(req.params.id);
+  res.json({ success: true, data: promotion });
+}));
+
+router.put('/promotions/:id', withCodedErrors(async (req, res) => {
+  const promotion = await PromotionService.update(req.params.id, req.body || {});
+  res.json({ success: true, data: promotion });
+}));
+
+router.delete('/promotions/:id', withCodedErrors(async (req, res) => {
+  await PromotionService.remove(req.params.id);
+  res.json({ success: true });
+}));
+
+// ===== Scheduled sales =====
+// Running and upcoming sales
+router.get('/price-schedules/overview', asyncHandler(async (req, res) => {
+  const overview = await PriceScheduleService.getOverview();
+  res.json({ success: true, data: overview });
+}));
+
+// Start and end due sales now (also the entry point for external cron)
+router.post('/price-schedules/run', asyncHandler(async (req, res) => {
+  const summary = await PriceScheduleService.run();
+  res.json({ success: true, data: summary });
+}));
+
+// ?status=scheduled|active|completed|cancelled&page=&limit=
+router.get('/price-schedules', asyncHandler(async (req, res) => {
+  const { status, page, limit } = req.query;
+  const result = await PriceScheduleService.list({ status, page, limit });
+  res.json({ success: true, ...result });
+}));
+
+// Body: { name, scope: product|category, productIds? | category?, discountType: price|percent, value, startsAt, endsAt }
+router.post('/price-schedules', withCodedErrors(async (req, res) => {
+  const sale = await PriceScheduleService.create(req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.status(201).json({ success: true, data: sale });
+}));
+
+router.get('/price-schedules/:id', withCodedErrors(async (req, res) => {
+  const sale = await PriceScheduleService.getById(req.params.id);
+  res.json({ success: true, data: sale });
+}));
+
+// Only sales that have not started can be edited
+router.put('/price-schedules/:id', withCodedErrors(async (req, res) => {
+  const sale = await PriceScheduleService.update(req.params.id, req.body || {});
+  res.json({ success: true, data: sale });
+}));
+
+// Cancel a sale; a running one ends now and its prices are restored
+router.post('/price-schedules/:id/cancel', withCodedErrors(async (req, res) => {
+  const sale = await PriceScheduleService.cancel(req.params.id);
+  res.json({ success: true, data: sale });
+}));
+
+// ?status=active|expired|void&search=&page=&limit=
+router.get('/gift-cards', asyncHandler(async (req, res) => {
+  const { status, search, page, limit } = req.query;
+  const result = await GiftCardService.list({ status, search, page, limit });
+  res.json({ success: true, ...result });
+}));
+
+// Body: { value, code?, expiresAt?, recipient: { name, email }, purchaser?: { name, email }, message?, reference?, sendEmail? }
+// The card is emailed to the recipient unless sendEmail is false
+router.post('/gift-cards', withCodedErrors(async (req, res) => {
+  const { card, email } = await GiftCardService.issue(req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.status(201).json({ success: true, data: card, email });
+}));
+
+// Card with its transaction history
+router.get('/gift-cards/:id', withCodedErrors(async (req, res) => {
+  const { card, transactions } = await GiftCardService.getWithTransactions(req.params.id);
+  res.json({ success: true, data: card, transactions });
+}));
+
+// Body: { amount (signed), note }
+router.post('/gift-cards/:id/adjust', withCodedErrors(async (req, res) => {
+  const card = await GiftCardService.adjust(req.params.id, req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.json({ success: true, data: card });
+}));
+
+// Body: { reason }
+router.post('/gift-cards/:id/void', withCodedErrors(async (req, res) => {
+  const card = await GiftCardService.void(req.params.id, req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.json({ success: true, data: card });
+}));
+
+// Send (or resend) the gift card email to its recipient
+router.post('/gift-cards/:id/send-email', withCodedErrors(async (req, res) => {
+  const email = await GiftCardService.sendEmail(req.params.id);
+  res.status(email.success ? 200 : 502).json({ success: email.success, email });
+}));
+
+// Store credit balance and history of a customer (?page=&limit=)
+router.get('/store-credit/:userId', withCodedErrors(async (req, res) => {
+  const { page, limit } = req.query;
+  const account = await StoreCreditService.getAccount(req.params.userId, { page, limit });
+  res.json({ success: true, data: account });
+}));
+
+// Body: { amount, note }
+router.post('/store-credit/:userId/issue', withCodedErrors(async (req, res) => {
+  const transaction = await StoreCreditService.issue(req.params.userId, req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.status(201).json({ success: true, data: transaction });
+}));
+
+// Body: { amount (signed), note }
+router.post('/store-credit/:userId/adjust', withCodedErrors(async (req, res) => {
+  const transaction = await StoreCreditService.adjust(req.params.userId, req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.json({ success: true, data: transaction });
+}));
+
+// Write off the remaining balance. Body: { reason }
+router.post('/store-credit/:userId/void', withCodedErrors(async (req, res) => {
+  const transaction = await StoreCreditService.void(req.params.userId, req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.json({ success: true, data: transaction });
+}));
+
+// Earning and redemption rules, and the tiers
+router.get('/loyalty/rules', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: LoyaltyService.getRules() });
+}));
+
+// Points balance, tier and history of a customer (?page=&limit=)
+router.get('/loyalty/:userId', withCodedErrors(async (req, res) => {
+  const { page, limit } = req.query;
+  const account = await LoyaltyService.getAccount(req.params.userId, { page, limit });
+  res.json({ success: true, data: account });
+}));
+
+// Body: { points (signed whole number), note }
+router.post('/loyalty/:userId/adjust', withCodedErrors(async (req, res) => {
+  const transaction = await LoyaltyService.adjust(req.params.userId, req.body || {}, { admin: { id: req.adminId, email: req.admin?.email } });
+  res.json({ success: true, data: transaction });
+}));
+
+// PDF invoice, numbered on first generation (?download=true to save it)
+router.get('/orders/:id/invoice', asyncHandler(async (req, res) => {
+  const Order = getOrderModel();
+  if (!Order) {
+    return res.status(503).json({ success: false, error: 'Order model not available' });
+  }
+  const order = mongoose.Types.ObjectId.isValid(req.params.id) ? await Order.findById(req.params.id) : null;
+  if (!order) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
+
+  const pdf = await InvoiceService.generateInvoicePDF(order);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="invoice-${order.invoice.number}.pdf"`
+  });
+  res.send(pdf);
+}));
+
+// ===== Refunds and credit notes =====
+// Body: { orderId, amount?, items?: [{ lineIndex, quantity, amount? }], reason, method }
+// Each refund is recorded in the ledger with its own credit note number
+router.post('/orders/refund', withCodedErrors(async (req, res) => {
+  const Order = getOrderModel();
+  if (!Order) {
+    return res.status(503).json({ success: false, error: 'Order model not available' });
+  }
+  const { orderId, amount, items, reason, method } = req.body || {};
+  if (!orderId) {
+    return res.status(400).json({ success: false, error: 'orderId is required' });
+  }
+  if ((amount === undefined || amount === null || amount === '') && !(Array.isArray(items) && items.length)) {
+    return res.status(400).json({ success: false, error: 'A numeric amount or refunded items are required' });
+  }
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let order, result, metricsChanged;
+  try {
+    order = await Order.findById(orderId).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    result = await RefundService.issueRefund(order, { amount, items, reason, method }, {
+      session,
+      admin: { id: req.adminId, email: req.admin?.email }
+    });
+    metricsChanged = await RevenueService.applyRefund(order, { session });
 
     await order.save({ session });
     await session.commitTransaction();
     session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
 
-    // Fire-and-forget: fetch latest and broadcast via global function if present
-    try {
-      const app = require('..'); // exported express app in index.js (for serverless compatibility)
-    } catch {}
+  if (metricsChanged) broadcastLatestMetrics(req);
 
-    res.json({ success: true });
-  } catch (e) {
+  res.json({
+    success: true,
+    refund: result.refund,
+    creditNote: RefundService.buildCreditNote(result.refund, order),
+    paymentStatus: order.paymentStatus,
+    ...result.summary
+  });
+}));
+
+// Refund ledger (?method=&from=&to=&orderNumber=&page=&limit=)
+router.get('/refunds', asyncHandler(async (req, res) => {
+  const { method, from, to, orderNumber, page, limit } = req.query;
+  const result = await RefundService.list({ method, from, to, orderNumber, page, limit });
+  res.json({ success: true, ...result });
+}));
+
+router.get('/orders/:id/refunds', asyncHandler(async (req, res) => {
+  const Order = getOrderModel();
+  if (!Order) {
+    return res.status(503).json({ success: false, error: 'Order model not available' });
+  }
+  const order = mongoose.Types.ObjectId.isValid(req.params.id) ? await Order.findById(req.params.id) : null;
+  if (!order) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
+
+  const refunds = await RefundService.getOrderRefunds(order._id);
+  res.json({
+    success: true,
+    refunds,
+    paymentStatus: order.paymentStatus,
+    ...RefundService.summarize(order, refunds)
+  });
+}));
+
+router.get('/refunds/:id/credit-note', asyncHandler(async (req, res) => {
+  const refund = mongoose.Types.ObjectId.isValid(req.params.id) ? await Refund.findById(req.params.id) : null;
+  if (!refund) {
+    return res.status(404).json({ success: false, error: 'Refund not found' });
+  }
+
+  const order = await getOrderModel()?.findById(refund.orderId);
+  res.json({ success: true, creditNote: RefundService.buildCreditNote(refund, order) });
+}));
+
+// ===== Returns (RMA) =====
+// ?status=&orderNumber=&page=&limit=
+router.get('/returns', asyncHandler(async (req, res) => {
+  const { status, orderNumber, page, limit } = req.query;
+  const result = await ReturnService.list({ status, orderNumber, page, limit });
+  res.json({ success: true, ...result });
+}));
+
+router.get('/returns/:id', withCodedErrors(async (req, res) => {
+  const returnRequest = await ReturnService.findOrFail(req.params.id);
+  res.json({ success: true, returnRequest });
+}));
+
+router.post('/returns/:id/approve', withCodedErrors(async (req, res) => {
+  const returnRequest = await ReturnService.approve(req.params.id, {
+    note: req.body?.note,
+    updatedBy: req.admin?.email || 'admin'
+  });
+  res.json({ success: true, returnRequest });
+}));
+
+router.post('/returns/:id/reject', withCodedErrors(async (req, res) => {
+  const returnRequest = await ReturnService.reject(req.params.id, {
+    reason: req.body?.reason,
+    updatedBy: req.admin?.email || 'admin'
+  });
+  res.json({ success: true, returnRequest });
+}));
+
+// Body: { items: [{ lineIndex, receivedQuantity, disposition: 'restock' | 'write_off' }], note }
+router.post('/returns/:id/receive', withCodedErrors(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let returnRequest;
+  try {
+    returnRequest = await ReturnService.receive(req.params.id, {
+      items: req.body?.items,
+      note: req.body?.note
+    }, {
+      session,
+      updatedBy: req.admin?.email || 'admin',
+      actor: { type: 'admin', id: String(req.adminId), name: req.admin?.email }
+    });
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+
+  ReturnService.notify(returnRequest);
+  res.json({ success: true, returnRequest });
+}));
+
+// Body: { amount, method, note }; the refund is recorded in the ledger like POST /orders/refund
+router.post('/returns/:id/refund', withCodedErrors(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let returnRequest, order, metricsChanged;
+  try {
+    ({ returnRequest, order } = await ReturnService.refund(req.params.id, {
+      amount: req.body?.amount,
+      method: req.body?.method,
+      note: req.body?.note
+    }, {
+      session,
+      updatedBy: req.admin?.email || 'admin',
+      admin: { id: req.adminId, email: req.admin?.email }
+    }));
+    metricsChanged = await RevenueService.applyRefund(order, { session });
+
+    await order.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
     await session.abortTransaction();
     session.endSession();
+    throw error;
+  }
+
+  if (metricsChanged) broadcastLatestMetrics(req);
+
+  ReturnService.notify(returnRequest);
+  res.json({
+    success: true,
+    returnRequest,
+    refundedAmount: order.financials.refundedAmount,
+    paymentStatus: order.paymentStatus
+  });
+}));
+
+// Order status transition table, so the UI can offer only valid next actions
+router.get('/orders/status-transitions', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: OrderStateMachine.getTransitionTable() });
+}));
+
+// Next actions for a specific order (guards evaluated against the order)
+router.get('/orders/:id/transitions', asyncHandler(async (req, res) => {
+  const Order = getOrderModel();
+  if (!Order) {
+    return res.status(503).json({ success: false, error: 'Order model not available' });
+  }
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid order id' });
+  }
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      actions: OrderStateMachine.getAvailableActions(order)
+    }
+  });
+}));
+
+// Update order status (admin)
+router.post('/updateorder', withCodedErrors(async (req, res) => {
+  const Order = getOrderModel();
+  if (!Order) {
+    return res.status(503).json({ success: false, error: 'Order model not available' });
+  }
+  const { orderId, status, financialsUpdate, note } = req.body;
+  if (!orderId || !status) {
+    return res.status(400).json({ success: false, error: 'orderId and status are required' });
+  }
+
+  const session = await mongoose.startSession();
+  let order;
+  let metricsChanged = false;
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order) return;
+      const prevStatus = order.status;
+
+      RevenueService.applyFinancialsUpdate(order, financialsUpdate);
+
+      // Validate the change against the status table; hooks release or confirm
+      // reserved stock as part of the same transaction
+      if (status !== prevStatus) {
+        await OrderStateMachine.transition(order, status, {
+          session,
+          note: note || '',
+          updatedBy: req.admin?.email || 'admin',
+          actor: { type: 'admin', id: String(req.adminId), name: req.admin?.email }
+        });
+      }
+
+      // Book or roll back realized revenue in the same transaction
+      metricsChanged = await RevenueService.applyStatusChange(order, prevStatus, { session });
+
+      await order.save({ session });
+    });
+  } catch (e) {
+    if (e instanceof CodedError) throw e;
     console.error('admin routes updateorder error', e);
-    res.status(500).json({ success: false, error: 'Update failed' });
+    return res.status(500).json({ success: false, error: 'Update failed' });
+  } finally {
+    session.endSession();
   }
+
+  if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+  if (metricsChanged) broadcastLatestMetrics(req);
+  res.json({ success: true });
 }));
 
 module.exports = router;
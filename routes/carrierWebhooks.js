@@ -0,0 +1,33 @@
+const express = require('express');
+const { getCarrier, CarrierError } = require('../services/carriers');
+const ShipmentTrackingService = require('../services/shipmentTrackingService');
+
+const router = express.Router();
+
+// Tracking updates pushed by couriers; the body must carry a valid signature
+router.post('/api/webhooks/carriers/:carrier', async (req, res) => {
+  const carrier = getCarrier(req.params.carrier);
+  if (!carrier || carrier.name !== req.params.carrier) {
+    return res.status(404).json({ success: false, error: 'Unknown carrier', code: 'UNKNOWN_CARRIER' });
+  }
+
+  try {
+    if (!carrier.verifyWebhook(req.rawBody, req.headers)) {
+      console.warn(`⚠️ Rejected ${carrier.name} webhook with an invalid signature from ${req.ip}`);
+      return res.status(401).json({ success: false, error: 'Invalid signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    const events = carrier.parseWebhook(req.body);
+    const results = await ShipmentTrackingService.processEvents(carrier, events);
+    return res.json({ success: true, received: events.length, results });
+  } catch (err) {
+    if (err instanceof CarrierError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message, code: err.code });
+    }
+    // 5xx makes the carrier retry; already applied events are skipped as duplicates
+    console.error(`Carrier webhook error (${carrier.name}):`, err.message);
+    return res.status(500).json({ success: false, error: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
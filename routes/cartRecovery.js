@@ -0,0 +1,46 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const AbandonedCartService = require('../services/abandonedCartService');
+
+const router = express.Router();
+
+// Links come from emails; tokens are long random strings but keep probing slow
+const reminderLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+const NOT_FOUND = { success: false, error: 'Reminder link is invalid or has expired' };
+
+const readToken = (req) => String(req.params.token || req.body?.token || '').trim().slice(0, 100);
+
+// Restore the cart from an abandoned cart reminder link
+router.get('/api/cart/restore/:token', reminderLinkLimiter, async (req, res) => {
+  try {
+    const token = readToken(req);
+    const result = token ? await AbandonedCartService.restoreCart(token) : null;
+    if (!result) return res.status(404).json(NOT_FOUND);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Cart restore error:', err.message);
+    return res.status(500).json({ success: false, error: 'Failed to restore cart' });
+  }
+});
+
+// Stop abandoned cart reminders (token from the reminder email)
+router.post('/api/cart/reminders/unsubscribe', reminderLinkLimiter, async (req, res) => {
+  try {
+    const token = readToken(req);
+    const done = token ? await AbandonedCartService.unsubscribe(token) : false;
+    if (!done) return res.status(404).json(NOT_FOUND);
+    return res.json({ success: true, message: 'You will no longer receive cart reminder emails' });
+  } catch (err) {
+    console.error('Cart reminder unsubscribe error:', err.message);
+    return res.status(500).json({ success: false, error: 'Failed to unsubscribe' });
+  }
+});
+
+module.exports = router;
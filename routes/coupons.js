@@ -0,0 +1,82 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const OrderPricingService = require('../services/orderPricingService');
+const CouponService = require('../services/couponService');
+const CheckoutService = require('../services/checkoutService');
+const { CouponError } = CouponService;
+
+const router = express.Router();
+
+// Slow down guessing codes; quotes without a code are not limited
+const couponLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !(req.body?.couponCodes || req.body?.couponCode || req.body?.codes || req.body?.code),
+  message: { success: false, error: 'Too many coupon attempts, please try again later' }
+});
+
+// Price a cart the way /placeorder will; responds itself and returns null on bad input
+const quoteCart = async (req, res, codes) => {
+  const { items, wilaya, commune, deliveryType = 'home', userId, email, phone } = req.body || {};
+  if (!Array.isArray(items) || !items.length) {
+    res.status(400).json({ success: false, error: 'Cart items are required', code: 'INVALID_ITEMS' });
+    return null;
+  }
+
+  const pricing = await OrderPricingService.priceOrder(items, { wilaya, commune, deliveryType });
+  if (pricing.issues.length > 0) {
+    res.status(400).json({
+      success: false,
+      code: 'INVALID_ITEMS',
+      error: 'Some items in your cart are no longer available',
+      issues: pricing.issues
+    });
+    return null;
+  }
+
+  const identity = CouponService.getIdentity({ userId, email, phone });
+  const quote = await CheckoutService.quote(pricing, { codes, identity });
+  return CheckoutService.toPublic(quote, { deliveryAvailable: pricing.deliveryAvailable, delivery: pricing.delivery });
+};
+
+const sendCouponError = (res, err) => res.status(err.statusCode).json({
+  success: false,
+  valid: false,
+  code: err.code,
+  error: err.message,
+  ...err.details
+});
+
+// Cart totals with automatic promotions per line and optional coupon codes.
+// Body: { items, couponCode | couponCodes?, wilaya?, commune?, deliveryType?, userId?, email?, phone? }
+router.post('/api/cart/quote', couponLimiter, async (req, res) => {
+  try {
+    const codes = CouponService.readCodes(req.body || {});
+    const quote = await quoteCart(req, res, codes);
+    if (quote) res.json({ success: true, ...quote });
+  } catch (err) {
+    if (err instanceof CouponError) return sendCouponError(res, err);
+    console.error('Cart quote error:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to price cart' });
+  }
+});
+
+// Check discount codes against a cart before checkout (same body as /api/cart/quote)
+router.post('/api/coupons/validate', couponLimiter, async (req, res) => {
+  try {
+    const codes = CouponService.readCodes(req.body || {});
+    if (!codes.length) {
+      return res.status(400).json({ success: false, error: 'A coupon code is required', code: 'COUPON_REQUIRED' });
+    }
+    const quote = await quoteCart(req, res, codes);
+    if (quote) res.json({ success: true, valid: true, ...quote });
+  } catch (err) {
+    if (err instanceof CouponError) return sendCouponError(res, err);
+    console.error('Coupon validation error:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to validate coupon' });
+  }
+});
+
+module.exports = router;
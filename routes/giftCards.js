@@ -0,0 +1,36 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const GiftCardService = require('../services/giftCardService');
+const { GiftCardError } = GiftCardService;
+
+const router = express.Router();
+
+// Slow down guessing codes
+const giftCardLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many gift card checks, please try again later' }
+});
+
+// Balance and expiry of a gift card before using it at checkout
+// Body: { code }
+router.post('/api/gift-cards/balance', giftCardLimiter, async (req, res) => {
+  try {
+    const code = String(req.body?.code || '').trim();
+    if (!code) {
+      return res.status(400).json({ success: false, code: 'GIFT_CARD_REQUIRED', error: 'A gift card code is required' });
+    }
+    const card = await GiftCardService.checkBalance(code);
+    res.json({ success: true, giftCard: card });
+  } catch (err) {
+    if (err instanceof GiftCardError) {
+      return res.status(err.statusCode).json({ success: false, code: err.code, error: err.message });
+    }
+    console.error('Gift card balance error:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to check gift card' });
+  }
+});
+
+module.exports = router;
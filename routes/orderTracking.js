@@ -0,0 +1,71 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Order = require('../models/Order');
+const { phonesMatch } = require('../utils/phone');
+
+const router = express.Router();
+
+// Tight limit: the endpoint is public and keyed on guessable order numbers
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many tracking requests, please try again later' }
+});
+
+const NOT_FOUND = { success: false, error: 'Order not found' };
+
+// Public view of an order: status and items only, no email, name, phone or address
+function toTrackingView(order) {
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    statusDisplay: order.statusDisplay,
+    date: order.date,
+    deliveryType: order.deliveryType,
+    wilaya: order.shippingAddress?.wilaya || null,
+    trackingNumber: order.trackingNumber || null,
+    estimatedDeliveryDate: order.estimatedDeliveryDate || null,
+    actualDeliveryDate: order.actualDeliveryDate || null,
+    timeline: (order.statusHistory || []).map(entry => ({
+      status: entry.status,
+      date: entry.date
+    })),
+    items: (order.items || []).map(item => ({
+      name: item.name,
+      image: item.image,
+      quantity: item.quantity,
+      size: item.size || null,
+      color: item.color || null
+    })),
+    totalItems: order.totalItems,
+    total: order.total
+  };
+}
+
+router.post('/api/orders/track', trackingLimiter, async (req, res) => {
+  try {
+    const orderNumber = String(req.body?.orderNumber || '').trim().toUpperCase();
+    const phone = String(req.body?.phone || '').trim();
+
+    if (!orderNumber || !phone || orderNumber.length > 30 || phone.length > 30) {
+      return res.status(400).json({ success: false, error: 'Order number and phone are required' });
+    }
+
+    const order = await Order.findOne({ orderNumber });
+
+    // Same response for unknown orders and wrong phones so numbers can't be probed
+    if (!order) return res.status(404).json(NOT_FOUND);
+    const matches = phonesMatch(phone, order.customerInfo?.phone) ||
+      phonesMatch(phone, order.shippingAddress?.phone);
+    if (!matches) return res.status(404).json(NOT_FOUND);
+
+    return res.json({ success: true, order: toTrackingView(order) });
+  } catch (err) {
+    console.error('Order tracking error:', err.message);
+    return res.status(500).json({ success: false, error: 'Failed to track order' });
+  }
+});
+
+module.exports = router;
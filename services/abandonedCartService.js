@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const CartReminder = require('../models/CartReminder');
+const emailService = require('./emailService');
+const EmailTemplates = require('./emailTemplates');
+
+/**
+ * Abandoned Cart Service
+ * Emails registered users whose cart has not changed for a while, restores
+ * the cart from the reminder link and attributes later orders to reminders.
+ */
+
+const getUserModel = () => mongoose.model('Users');
+const getProductModel = () => mongoose.model('Product');
+const getOrderModel = () => mongoose.model('Order');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Cart untouched for this long counts as abandoned
+const DELAY_HOURS = Number(process.env.ABANDONED_CART_DELAY_HOURS) || 24;
+// Older carts are left alone
+const MAX_AGE_DAYS = Number(process.env.ABANDONED_CART_MAX_AGE_DAYS) || 7;
+// At most one reminder per user in this period, even if the cart changed
+const COOLDOWN_DAYS = Number(process.env.ABANDONED_CART_COOLDOWN_DAYS) || 7;
+// Orders placed this long after a reminder count as recovered
+const ATTRIBUTION_DAYS = Number(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7;
+const BATCH_SIZE = 100;
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'https://damiokids.com').replace(/\/$/, '');
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+class AbandonedCartService {
+
+  static getLinks(reminder) {
+    const token = encodeURIComponent(reminder.token);
+    return {
+      restoreUrl: `${frontendUrl()}/cart?restore=${token}`,
+      unsubscribeUrl: `${frontendUrl()}/unsubscribe?type=cart&token=${token}`
+    };
+  }
+
+  /**
+   * Cart lines with current catalog name, image and price
+   * Products that no longer exist or are unavailable are dropped.
+   * @param {Array} cartLines - User.cartLines
+   */
+  static async buildLines(cartLines = []) {
+    const ids = [...new Set(cartLines.map(line => Number(line.id)).filter(Number.isFinite))];
+    if (!ids.length) return [];
+
+    const products = await getProductModel()
+      .find({ id: { $in: ids } })
+      .select('id name image images new_price status avilable')
+      .lean();
+    const byId = new Map(products.map(p => [p.id, p]));
+
+    return cartLines
+      .filter(line => Number(line.quantity) > 0)
+      .map(line => {
+        const product = byId.get(Number(line.id));
+        if (!product || product.avilable === false || product.status === 'inactive') return null;
+        return {
+          productId: product.id,
+          name: product.name,
+          image: product.image || product.images?.[0] || '',
+          price: Number(product.new_price || 0),
+          quantity: Number(line.quantity),
+          variant: {
+            size: line.variant?.size || '',
+            color: line.variant?.color || '',
+            age: line.variant?.age || ''
+          }
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Users whose cart is abandoned and who may be reminded
+   * Skips carts already reminded, users reminded within the cooldown and carts
+   * that were bought after their last change.
+   * @param {Date} now
+   */
+  static async findCandidates(now = new Date()) {
+    const cooldownStart = new Date(now.getTime() - COOLDOWN_DAYS * DAY);
+    const cursor = getUserModel().find({
+      'cartLines.0': { $exists: true },
+      cartUpdatedAt: {
+        $lte: new Date(now.getTime() - DELAY_HOURS * HOUR),
+        $gte: new Date(now.getTime() - MAX_AGE_DAYS * DAY)
+      },
+      isActive: { $ne: false },
+      'emailPreferences.cartReminders': { $ne: false },
+      $or: [
+        { cartRemindedAt: null },
+        {
+          $expr: {
+            $and: [
+              { $lt: ['$cartRemindedAt', '$cartUpdatedAt'] },
+              { $lte: ['$cartRemindedAt', cooldownStart] }
+            ]
+          }
+        }
+      ]
+    })
+      .select('name email cartLines cartUpdatedAt')
+      .sort({ cartUpdatedAt: 1 })
+      .lean()
+      .cursor();
+
+    const candidates = [];
+    for await (const user of cursor) {
+      // Carts are not emptied at checkout: an order after the last cart change means it was bought
+      const ordered = await getOrderModel().exists({
+        userId: String(user._id),
+        date: { $gte: user.cartUpdatedAt }
+      });
+      if (!ordered) candidates.push(user);
+      if (candidates.length >= BATCH_SIZE) break;
+    }
+    return candidates;
+  }
+
+  /**
+   * Email one user about their cart
+   * The reminder is stored before sending, so two runs can never email the
+   * same cart twice (unique userId + cartUpdatedAt).
+   * @returns {Object|null} - CartReminder, or null when there was nothing to send
+   */
+  static async sendReminder(user) {
+    const lines = await this.buildLines(user.cartLines);
+    if (!lines.length) return null;
+
+    let reminder;
+    try {
+      reminder = await CartReminder.create({
+        userId: user._id,
+        email: user.email,
+        cartUpdatedAt: user.cartUpdatedAt,
+        lines,
+        cartValue: roundAmount(lines.reduce((sum, line) => sum + line.price * line.quantity, 0))
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+    await getUserModel().updateOne({ _id: user._id }, { $set: { cartRemindedAt: reminder.createdAt } });
+
+    const links = this.getLinks(reminder);
+    const result = await emailService.sendEmail({
+      to: user.email,
+      subject: 'You left something in your cart 🛒',
+      html: EmailTemplates.generateAbandonedCartHTML(reminder, { name: user.name, ...links }),
+      text: EmailTemplates.generateAbandonedCartText(reminder, { name: user.name, ...links }),
+      headers: { 'List-Unsubscribe': `<${links.unsubscribeUrl}>` }
+    });
+
+    reminder.status = result.success ? 'sent' : 'failed';
+    reminder.sentAt = result.success ? new Date() : undefined;
+    reminder.error = result.success ? undefined : (result.error || result.reason);
+    await reminder.save();
+    return reminder;
+  }
+
+  /**
+   * Find abandoned carts and email them
+   * @param {Object} options - { dryRun } - dryRun lists the carts without emailing
+   */
+  static async run({ dryRun = false } = {}) {
+    const candidates = await this.findCandidates();
+    const summary = { candidates: candidates.length, sent: 0, failed: 0, skipped: 0, dryRun };
+
+    if (dryRun) {
+      summary.carts = candidates.map(u => ({
+        userId: u._id,
+        email: u.email,
+        lines: u.cartLines.length,
+        cartUpdatedAt: u.cartUpdatedAt
+      }));
+      return summary;
+    }
+
+    for (const user of candidates) {
+      try {
+        const reminder = await this.sendReminder(user);
+        if (!reminder) summary.skipped += 1;
+        else if (reminder.status === 'sent') summary.sent += 1;
+        else summary.failed += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`❌ Abandoned cart reminder failed for ${user.email}:`, error.message);
+      }
+    }
+
+    if (summary.sent || summary.failed) {
+      console.log(`🛒 Abandoned cart reminders: ${summary.sent} sent, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+
+  /**
+   * Restore a cart from a reminder link
+   * The saved lines are put back only when the user's cart is now empty.
+   * @param {string} token - Reminder token
+   * @returns {Object|null} - { cartLines, restored } or null for an unknown token
+   */
+  static async restoreCart(token) {
+    const reminder = await CartReminder.findOne({ token: String(token) });
+    if (!reminder) return null;
+
+    if (!reminder.clickedAt) {
+      reminder.clickedAt = new Date();
+      await reminder.save();
+    }
+
+    const user = await getUserModel().findById(reminder.userId);
+    if (!user) return null;
+
+    let restored = false;
+    if (!user.cartLines?.length) {
+      user.cartLines = reminder.lines.map(line => ({
+        id: line.productId,
+        quantity: line.quantity,
+        variant: line.variant
+      }));
+      user.cartData = user.cartLines.reduce((acc, line) => {
+        acc[line.id] = (acc[line.id] || 0) + Number(line.quantity || 0);
+        return acc;
+      }, {});
+      user.cartUpdatedAt = new Date();
+      await user.save();
+      restored = true;
+    }
+
+    return {
+      restored,
+      cartLines: user.cartLines,
+      items: await this.buildLines(user.cartLines)
+    };
+  }
+
+  /**
+   * Stop cart reminders for the user a reminder was sent to
+   * @returns {boolean} - false for an unknown token
+   */
+  static async unsubscribe(token) {
+    const reminder = await CartReminder.findOne({ token: String(token) }).select('userId').lean();
+    if (!reminder) return false;
+    await getUserModel().updateOne(
+      { _id: reminder.userId },
+      { $set: { 'emailPreferences.cartReminders': false } }
+    );
+    return true;
+  }
+
+  /**
+   * Credit an order to the user's latest reminder, if one was sent recently
+   * @param {Object} order - Newly placed order
+   */
+  static async attributeOrder(order) {
+    if (!order.userId || order.userId === 'guest' || !mongoose.Types.ObjectId.isValid(order.userId)) {
+      return null;
+    }
+    const placedAt = order.date || new Date();
+    return CartReminder.findOneAndUpdate(
+      {
+        userId: order.userId,
+        status: 'sent',
+        sentAt: { $lte: placedAt, $gte: new Date(placedAt.getTime() - ATTRIBUTION_DAYS * DAY) }
+      },
+      {
+        $set: {
+          status: 'recovered',
+          recoveredOrderId: order._id,
+          recoveredOrderNumber: order.orderNumber,
+          recoveredRevenue: Number(order.total || 0),
+          recoveredAt: new Date()
+        }
+      },
+      { sort: { sentAt: -1 }, new: true }
+    );
+  }
+
+  /**
+   * Reminders sent and revenue recovered
+   * Recovered orders that were later cancelled or returned are not counted.
+   * @param {Object} filters - { from, to } on the send date
+   */
+  static async getRecoveryReport({ from, to } = {}) {
+    const match = { status: { $in: ['sent', 'recovered'] } };
+    if (from || to) {
+      match.sentAt = {};
+      if (from) match.sentAt.$gte = new Date(from);
+      if (to) match.sentAt.$lte = new Date(to);
+    }
+
+    const [totals] = await CartReminder.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: getOrderModel().collection.name,
+          localField: 'recoveredOrderId',
+          foreignField: '_id',
+          as: 'order'
+        }
+      },
+      {
+        $addFields: {
+          counted: {
+            $and: [
+              { $eq: ['$status', 'recovered'] },
+              { $not: [{ $in: [{ $arrayElemAt: ['$order.status', 0] }, ['cancelled', 'returned']] }] }
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          sent: { $sum: 1 },
+          clicked: { $sum: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } },
+          recovered: { $sum: { $cond: ['$counted', 1, 0] } },
+          cartValue: { $sum: '$cartValue' },
+          recoveredRevenue: { $sum: { $cond: ['$counted', '$recoveredRevenue', 0] } }
+        }
+      }
+    ]);
+
+    const sent = totals?.sent || 0;
+    const recovered = totals?.recovered || 0;
+    return {
+      sent,
+      clicked: totals?.clicked || 0,
+      recovered,
+      recoveryRate: sent ? roundAmount((recovered / sent) * 100) : 0,
+      remindedCartValue: roundAmount(totals?.cartValue || 0),
+      recoveredRevenue: roundAmount(totals?.recoveredRevenue || 0),
+      currency: 'DZD'
+    };
+  }
+}
+
+module.exports = AbandonedCartService;
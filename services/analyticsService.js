@@ -2,6 +2,16 @@ const { Product, Order, User, Category } = require('../models');
 const cacheService = require('./cacheService');
 const websocketService = require('./websocketService');
 
+// One key per customer: the account id, or the checkout phone (else email) for
+// guest orders that were never linked to an account
+const CUSTOMER_KEY = {
+  $cond: [
+    { $ne: ['$userId', 'guest'] },
+    '$userId',
+    { $concat: ['guest:', { $ifNull: ['$phoneKey', { $toLower: { $ifNull: ['$customerInfo.email', ''] } }] }] }
+  ]
+};
+
 class AnalyticsService {
   
   constructor() {
@@ -873,7 +883,7 @@ class AnalyticsService {
       },
       {
         $group: {
-          _id: '$userId',
+          _id: CUSTOMER_KEY,
           totalSpent: { $sum: '$total' },
           orderCount: { $sum: 1 },
           lastOrderDate: { $max: '$date' }
@@ -935,7 +945,7 @@ class AnalyticsService {
       },
       {
         $group: {
-          _id: '$userId',
+          _id: CUSTOMER_KEY,
           orderCount: { $sum: 1 }
         }
       },
@@ -966,7 +976,7 @@ class AnalyticsService {
       },
       {
         $group: {
-          _id: '$userId',
+          _id: CUSTOMER_KEY,
           customerName: { $first: '$customerInfo.name' },
           totalSpent: { $sum: '$total' },
           orderCount: { $sum: 1 },
@@ -983,7 +993,7 @@ class AnalyticsService {
     ]);
     
     return topCustomers.map(customer => ({
-      userId: customer._id,
+      userId: String(customer._id).startsWith('guest:') ? null : customer._id,
       customerName: customer.customerName || 'Unknown',
       totalSpent: customer.totalSpent,
       orderCount: customer.orderCount,
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { CodedError } = require('../../middleware/errorHandler');
+
+class CarrierError extends CodedError {
+  constructor(message, code = 'CARRIER_ERROR', statusCode = 502, details = {}) {
+    super(message, code, statusCode, details);
+  }
+}
+
+/**
+ * Carrier Adapter
+ * Interface every courier integration implements. Adapters only talk to the
+ * carrier; ShippingService owns the order bookkeeping.
+ *
+ * Tracking event statuses are normalized to:
+ *   created | picked_up | in_transit | out_for_delivery | delivered |
+ *   delivery_failed | returned | cancelled
+ *
+ * Inbound webhooks are signed with HMAC-SHA256 over the raw request body
+ * using CARRIER_WEBHOOK_SECRET_<NAME>; adapters whose courier signs
+ * differently override verifyWebhook().
+ */
+class CarrierAdapter {
+  constructor({ name, displayName } = {}) {
+    this.name = name;
+    this.displayName = displayName || name;
+  }
+
+  /**
+   * Register a parcel for an order
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} - { trackingNumber, carrierShipmentId, fee, codAmount }
+   */
+  async createShipment(order) {
+    throw new CarrierError(`${this.displayName} does not support creating shipments`, 'NOT_SUPPORTED', 501);
+  }
+
+  /**
+   * Shipping label to print and stick on the parcel
+   * @param {string} trackingNumber
+   * @returns {Promise<Object>} - { contentType, data: Buffer, filename }
+   */
+  async getLabel(trackingNumber) {
+    throw new CarrierError(`${this.displayName} does not provide labels`, 'NOT_SUPPORTED', 501);
+  }
+
+  /**
+   * Tracking history, oldest first
+   * @param {string} trackingNumber
+   * @returns {Promise<Array>} - [{ status, description, location, occurredAt }]
+   */
+  async getTrackingEvents(trackingNumber) {
+    throw new CarrierError(`${this.displayName} does not provide tracking`, 'NOT_SUPPORTED', 501);
+  }
+
+  /**
+   * Cancel a parcel that has not been picked up yet
+   * @param {string} trackingNumber
+   * @returns {Promise<Object>} - { cancelled: true }
+   */
+  async cancelShipment(trackingNumber) {
+    throw new CarrierError(`${this.displayName} does not support cancelling shipments`, 'NOT_SUPPORTED', 501);
+  }
+
+  get webhookSecret() {
+    return process.env[`CARRIER_WEBHOOK_SECRET_${this.name.toUpperCase()}`] || '';
+  }
+
+  /**
+   * Hex HMAC-SHA256 signature of a webhook payload
+   * @param {Buffer|string} rawBody
+   */
+  signWebhook(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  /**
+   * Check the signature of an inbound webhook
+   * @param {Buffer} rawBody - Body exactly as received
+   * @param {Object} headers - Request headers (lower-case keys)
+   * @returns {boolean}
+   */
+  verifyWebhook(rawBody, headers = {}) {
+    if (!this.webhookSecret) {
+      throw new CarrierError(`Webhooks are not configured for ${this.displayName}`, 'WEBHOOK_NOT_CONFIGURED', 503);
+    }
+    const received = String(headers['x-carrier-signature'] || '').replace(/^sha256=/, '');
+    const expected = this.signWebhook(rawBody || '');
+    if (!rawBody || received.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  /**
+   * Turn a verified webhook body into normalized tracking events
+   * @param {Object} body - Parsed JSON body
+   * @returns {Array} - [{ eventId, trackingNumber, status, description, location, occurredAt }]
+   *   status is one of TRACKING_STATUSES, or null for codes we do not track
+   */
+  parseWebhook(body) {
+    throw new CarrierError(`${this.displayName} does not support webhooks`, 'NOT_SUPPORTED', 501);
+  }
+}
+
+const TRACKING_STATUSES = [
+  'created', 'picked_up', 'in_transit', 'out_for_delivery',
+  'delivered', 'delivery_failed', 'returned', 'cancelled'
+];
+
+module.exports = CarrierAdapter;
+module.exports.CarrierError = CarrierError;
+module.exports.TRACKING_STATUSES = TRACKING_STATUSES;
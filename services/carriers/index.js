@@ -0,0 +1,43 @@
+const CarrierAdapter = require('./carrierAdapter');
+const MockCarrier = require('./mockCarrier');
+
+/**
+ * Carrier registry
+ * Real courier adapters are added here; DEFAULT_CARRIER picks the one used
+ * when the admin does not choose.
+ */
+
+const carriers = new Map();
+
+const registerCarrier = (adapter) => {
+  if (!(adapter instanceof CarrierAdapter)) {
+    throw new TypeError('Carriers must extend CarrierAdapter');
+  }
+  carriers.set(adapter.name, adapter);
+  return adapter;
+};
+
+registerCarrier(new MockCarrier());
+
+const getDefaultCarrierName = () => process.env.DEFAULT_CARRIER || 'mock';
+
+/**
+ * @param {string} name - Carrier name, defaults to DEFAULT_CARRIER
+ * @returns {CarrierAdapter|null}
+ */
+const getCarrier = (name) => carriers.get(name || getDefaultCarrierName()) || null;
+
+const listCarriers = () => [...carriers.values()].map(c => ({
+  name: c.name,
+  displayName: c.displayName,
+  isDefault: c.name === getDefaultCarrierName()
+}));
+
+module.exports = {
+  registerCarrier,
+  getCarrier,
+  listCarriers,
+  CarrierAdapter,
+  CarrierError: CarrierAdapter.CarrierError,
+  TRACKING_STATUSES: CarrierAdapter.TRACKING_STATUSES
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const CarrierAdapter = require('./carrierAdapter');
+const { CarrierError, TRACKING_STATUSES } = CarrierAdapter;
+
+/**
+ * Mock Carrier
+ * Offline courier that keeps its shipments in a JSON file, so the shipping
+ * flow (create, label, tracking, cancel) can run without a real courier.
+ * Tracking events are added with addEvent() (admin simulate endpoint); when
+ * MOCK_CARRIER_WEBHOOK_URL is set each event is also pushed there as a signed
+ * webhook, the way a real courier would.
+ */
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'mock-carrier.json');
+// Flat fee the mock courier charges per parcel (DZD)
+const MOCK_FEE = Number(process.env.MOCK_CARRIER_FEE) || 400;
+
+// Statuses after which a parcel can no longer be cancelled
+const NOT_CANCELLABLE = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned'];
+
+// Event codes the mock courier sends in webhooks → normalized tracking status
+const EVENT_CODES = {
+  CREATED: 'created',
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  DELIVERY_FAILED: 'delivery_failed',
+  RETURNED_TO_SENDER: 'returned',
+  CANCELLED: 'cancelled'
+};
+const STATUS_CODES = Object.fromEntries(Object.entries(EVENT_CODES).map(([code, status]) => [status, code]));
+
+class MockCarrier extends CarrierAdapter {
+  constructor({ file = process.env.MOCK_CARRIER_FILE || DEFAULT_FILE } = {}) {
+    super({ name: 'mock', displayName: 'Mock Carrier (offline)' });
+    this.file = file;
+    // Writes are chained so concurrent requests never interleave
+    this.queue = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { sequence: 0, shipments: {} };
+      throw new CarrierError(`Mock carrier store is unreadable: ${error.message}`);
+    }
+  }
+
+  async write(data) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmp, this.file);
+  }
+
+  // Read-modify-write under the queue
+  update(fn) {
+    const run = this.queue.then(async () => {
+      const data = await this.read();
+      const result = await fn(data);
+      await this.write(data);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async findShipment(trackingNumber) {
+    const data = await this.read();
+    const shipment = data.shipments[trackingNumber];
+    if (!shipment) throw new CarrierError(`Unknown tracking number ${trackingNumber}`, 'SHIPMENT_NOT_FOUND', 404);
+    return shipment;
+  }
+
+  async createShipment(order) {
+    const address = order.shippingAddress || {};
+    // Gift cards and store credit already paid part of the order
+    const codAmount = order.paymentMethod === 'cash_on_delivery' ? Number(order.amountDue ?? order.total ?? 0) : 0;
+
+    return this.update((data) => {
+      data.sequence += 1;
+      const trackingNumber = `MCK${String(data.sequence).padStart(9, '0')}`;
+      const now = new Date().toISOString();
+      data.shipments[trackingNumber] = {
+        trackingNumber,
+        carrierShipmentId: `mock-${data.sequence}`,
+        reference: order.orderNumber,
+        recipient: {
+          name: address.fullName || order.customerInfo?.name,
+          phone: address.phone || order.customerInfo?.phone,
+          wilaya: address.wilaya,
+          commune: address.commune,
+          address: address.address
+        },
+        deliveryType: order.deliveryType,
+        parcels: (order.items || []).reduce((sum, item) => sum + Number(item.quantity || 0), 0),
+        codAmount,
+        fee: MOCK_FEE,
+        status: 'created',
+        createdAt: now,
+        events: [{ status: 'created', description: 'Shipment registered', location: null, occurredAt: now }]
+      };
+      return {
+        trackingNumber,
+        carrierShipmentId: `mock-${data.sequence}`,
+        fee: MOCK_FEE,
+        codAmount
+      };
+    });
+  }
+
+  async getLabel(trackingNumber) {
+    const shipment = await this.findShipment(trackingNumber);
+    if (shipment.status === 'cancelled') {
+      throw new CarrierError('Shipment was cancelled', 'SHIPMENT_CANCELLED', 409);
+    }
+
+    const data = await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [288, 432], margin: 18 }); // 4x6 in label
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const r = shipment.recipient || {};
+      doc.font('Helvetica-Bold').fontSize(14).text(this.displayName);
+      doc.moveDown(0.5);
+      doc.fontSize(18).text(shipment.trackingNumber);
+      doc.font('Helvetica').fontSize(9).text(`Ref: ${shipment.reference}`);
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(10).text('Deliver to');
+      doc.font('Helvetica').fontSize(11)
+        .text(r.name || '')
+        .text(r.phone || '')
+        .text(r.address || '')
+        .text([r.commune, r.wilaya].filter(Boolean).join(', '));
+      doc.moveDown();
+      doc.fontSize(10).text(`Delivery: ${shipment.deliveryType === 'pickup' ? 'Stop desk' : 'Home'}`);
+      doc.text(`Items: ${shipment.parcels}`);
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(14)
+        .text(shipment.codAmount ? `COD: ${shipment.codAmount} DZD` : 'PREPAID');
+      doc.end();
+    });
+
+    return { contentType: 'application/pdf', data, filename: `label-${trackingNumber}.pdf` };
+  }
+
+  async getTrackingEvents(trackingNumber) {
+    const shipment = await this.findShipment(trackingNumber);
+    return shipment.events;
+  }
+
+  async cancelShipment(trackingNumber) {
+    return this.update((data) => {
+      const shipment = data.shipments[trackingNumber];
+      if (!shipment) throw new CarrierError(`Unknown tracking number ${trackingNumber}`, 'SHIPMENT_NOT_FOUND', 404);
+      if (shipment.status === 'cancelled') return { cancelled: true };
+      if (NOT_CANCELLABLE.includes(shipment.status)) {
+        throw new CarrierError(`Shipment is already ${shipment.status.replace(/_/g, ' ')}`, 'SHIPMENT_NOT_CANCELLABLE', 409);
+      }
+      const now = new Date().toISOString();
+      shipment.status = 'cancelled';
+      shipment.events.push({ status: 'cancelled', description: 'Shipment cancelled', location: null, occurredAt: now });
+      return { cancelled: true };
+    });
+  }
+
+  /**
+   * Simulate the courier moving a parcel (mock only)
+   * @param {string} trackingNumber
+   * @param {Object} event - { status, description, location }
+   * @returns {Object} - The added event
+   */
+  async addEvent(trackingNumber, { status, description, location = null } = {}) {
+    if (!TRACKING_STATUSES.includes(status)) {
+      throw new CarrierError(`status must be one of: ${TRACKING_STATUSES.join(', ')}`, 'INVALID_EVENT', 400);
+    }
+    return this.update((data) => {
+      const shipment = data.shipments[trackingNumber];
+      if (!shipment) throw new CarrierError(`Unknown tracking number ${trackingNumber}`, 'SHIPMENT_NOT_FOUND', 404);
+      const event = {
+        id: `${trackingNumber}-${shipment.events.length + 1}`,
+        status,
+        description: description || status.replace(/_/g, ' '),
+        location,
+        occurredAt: new Date().toISOString()
+      };
+      shipment.status = status;
+      shipment.events.push(event);
+      return event;
+    }).then((event) => {
+      this.sendWebhook(trackingNumber, event);
+      return event;
+    });
+  }
+
+  /**
+   * POST a signed webhook for an event to MOCK_CARRIER_WEBHOOK_URL (fire and forget)
+   */
+  sendWebhook(trackingNumber, event) {
+    const url = process.env.MOCK_CARRIER_WEBHOOK_URL;
+    if (!url || !this.webhookSecret) return;
+
+    const body = JSON.stringify({
+      events: [{
+        id: event.id,
+        tracking_number: trackingNumber,
+        code: STATUS_CODES[event.status],
+        message: event.description,
+        location: event.location,
+        timestamp: event.occurredAt
+      }]
+    });
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Carrier-Signature': this.signWebhook(body) },
+      body
+    })
+      .then((res) => {
+        if (!res.ok) console.warn(`⚠️ Mock carrier webhook for ${trackingNumber} returned ${res.status}`);
+      })
+      .catch((error) => console.warn(`⚠️ Mock carrier webhook for ${trackingNumber} failed:`, error.message));
+  }
+
+  parseWebhook(body) {
+    const events = Array.isArray(body?.events) ? body.events : [];
+    return events.map((e) => ({
+      eventId: e.id ? String(e.id) : null,
+      trackingNumber: String(e.tracking_number || ''),
+      status: EVENT_CODES[e.code] || null,
+      description: e.message || null,
+      location: e.location || null,
+      occurredAt: e.timestamp ? new Date(e.timestamp) : null
+    }));
+  }
+}
+
+module.exports = MockCarrier;
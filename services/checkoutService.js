@@ -0,0 +1,173 @@
+const PromotionService = require('./promotionService');
+const CouponService = require('./couponService');
+const { CouponError } = CouponService;
+const GiftCardService = require('./giftCardService');
+const { maskCode } = GiftCardService;
+const StoreCreditService = require('./storeCreditService');
+const LoyaltyService = require('./loyaltyService');
+
+/**
+ * Checkout Service
+ * Turns a priced cart into the amounts the customer pays: automatic
+ * promotions first (per line), then coupon codes and loyalty points on what
+ * is left; gift cards and store credit then pay part of the discounted total.
+ * Used by /placeorder and the cart quote, so both always agree.
+ */
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+class CheckoutService {
+
+  /**
+   * @param {Object} pricing - OrderPricingService.priceOrder() result
+   * @param {Object} options - { codes, identity, loyalty: { userId, points }, session }
+   *   loyalty.userId must be the authenticated customer
+   * @returns {Object} - { items, promotions, coupons, discounts, subtotal, promotionDiscount,
+   *   couponDiscount, loyaltyDiscount, pointsRedeemed, orderDiscount, deliveryFee, deliveryDiscount, total }
+   *   items carry promotionDiscount (line total) and the promotions behind it
+   */
+  static async quote(pricing, { codes = [], identity = {}, loyalty = null, session = null } = {}) {
+    const promotions = await PromotionService.applyToCart(pricing.items, { session });
+
+    const blocking = promotions.applied.find(p => !p.combinesWithCoupons);
+    if (codes.length && blocking) {
+      throw new CouponError(
+        `Coupons cannot be combined with the "${blocking.name}" promotion`,
+        'COUPON_NOT_COMBINABLE',
+        400,
+        { promotion: blocking.name }
+      );
+    }
+
+    const items = pricing.items.map((item, index) => ({
+      ...item,
+      promotionDiscount: promotions.lines[index].discount,
+      promotions: promotions.lines[index].promotions
+    }));
+
+    // Coupons see line amounts after promotions
+    const coupons = await CouponService.evaluate(codes, {
+      ...pricing,
+      items: items.map(item => ({ ...item, subtotal: round2(item.subtotal - item.promotionDiscount) })),
+      subtotal: round2(pricing.subtotal - promotions.totalDiscount)
+    }, identity, { session });
+
+    // Points pay for part of the items left after promotions and coupons
+    let redemption = { points: 0, amount: 0 };
+    if (loyalty?.points) {
+      const discountable = round2(pricing.subtotal - promotions.totalDiscount - coupons.orderDiscount);
+      redemption = await LoyaltyService.evaluateRedemption(loyalty.userId, loyalty.points, discountable, { session });
+    }
+
+    return {
+      items,
+      promotions: promotions.applied,
+      coupons: coupons.coupons,
+      discounts: [
+        ...promotions.applied.map(p => ({
+          source: 'promotion',
+          promotionId: p.promotionId,
+          label: p.name,
+          amount: p.amount,
+          deliveryDiscount: 0
+        })),
+        ...coupons.discounts,
+        ...(redemption.points ? [{
+          source: 'loyalty',
+          label: `${redemption.points} loyalty points`,
+          amount: redemption.amount,
+          deliveryDiscount: 0
+        }] : [])
+      ],
+      subtotal: pricing.subtotal,
+      promotionDiscount: promotions.totalDiscount,
+      couponDiscount: coupons.orderDiscount,
+      loyaltyDiscount: redemption.amount,
+      pointsRedeemed: redemption.points,
+      orderDiscount: round2(promotions.totalDiscount + coupons.orderDiscount + redemption.amount),
+      deliveryFee: coupons.deliveryFee,
+      deliveryDiscount: coupons.deliveryDiscount,
+      total: round2(coupons.total - redemption.amount)
+    };
+  }
+
+  /**
+   * Split a total between gift cards, store credit and the amount still due
+   * Gift cards are used first, in the order given, then store credit.
+   * @param {number} total - Order total after discounts
+   * @param {Object} options - { giftCardCodes, storeCreditUserId, session }
+   *   storeCreditUserId must be the authenticated customer
+   * @returns {Object} - { payments: [{ source, giftCardId, code, amount }], prepaidAmount, amountDue }
+   */
+  static async planPayments(total, { giftCardCodes = [], storeCreditUserId = null, session = null } = {}) {
+    const payments = [];
+    let remaining = round2(total);
+
+    for (const code of giftCardCodes) {
+      const card = await GiftCardService.getUsable(code, { session });
+      const amount = round2(Math.min(card.balance, remaining));
+      if (amount <= 0) break;
+      payments.push({ source: 'gift_card', giftCardId: card._id, code: maskCode(card.code), amount });
+      remaining = round2(remaining - amount);
+    }
+
+    if (storeCreditUserId && remaining > 0) {
+      const balance = await StoreCreditService.getBalance(storeCreditUserId, { session });
+      const amount = round2(Math.min(balance, remaining));
+      if (amount > 0) {
+        payments.push({ source: 'store_credit', amount });
+        remaining = round2(remaining - amount);
+      }
+    }
+
+    return {
+      payments,
+      prepaidAmount: round2(total - remaining),
+      amountDue: remaining
+    };
+  }
+
+  /**
+   * Take the planned payments from the cards and the account (checkout transaction)
+   */
+  static async redeemPayments(order, { session }) {
+    for (const payment of order.payments || []) {
+      if (payment.source === 'gift_card') await GiftCardService.redeem(payment, order, { session });
+      if (payment.source === 'store_credit') await StoreCreditService.redeem(payment, order, { session });
+    }
+  }
+
+  /**
+   * Quote as sent to the storefront (no internal documents)
+   */
+  static toPublic(quote, { deliveryAvailable = true, delivery = null } = {}) {
+    return {
+      items: quote.items.map(({ categoryId, promotions, ...item }) => ({
+        ...item,
+        promotions: promotions.map(({ name, amount }) => ({ name, amount }))
+      })),
+      discounts: quote.discounts.map(({ couponId, promotionId, ...discount }) => discount),
+      subtotal: quote.subtotal,
+      promotionDiscount: quote.promotionDiscount,
+      couponDiscount: quote.couponDiscount,
+      loyaltyDiscount: quote.loyaltyDiscount,
+      pointsRedeemed: quote.pointsRedeemed,
+      orderDiscount: quote.orderDiscount,
+      // Delivery amounts are null until a destination with a rate is given
+      deliveryFee: deliveryAvailable ? quote.deliveryFee : null,
+      deliveryDiscount: deliveryAvailable ? quote.deliveryDiscount : null,
+      total: deliveryAvailable ? quote.total : null,
+      // Free delivery threshold and window (DeliveryQuoteService) for the chosen delivery type
+      delivery: deliveryAvailable && delivery ? {
+        deliveryType: delivery.deliveryType,
+        freeDelivery: delivery.freeDelivery,
+        freeDeliveryThreshold: delivery.freeDeliveryThreshold,
+        amountToFreeDelivery: delivery.amountToFreeDelivery,
+        estimatedDays: delivery.estimatedDays,
+        estimatedDelivery: delivery.estimatedDelivery
+      } : null
+    };
+  }
+}
+
+module.exports = CheckoutService;
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const OrderStateMachine = require('./orderStateMachine');
+
+/**
+ * Confirmation Call Service
+ * Queue of pending cash-on-delivery orders to call before shipping. Each call
+ * attempt is recorded on the order; its outcome confirms or cancels the order
+ * or schedules the next call.
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+const getCallOutcomes = () => require('../models/Order').CALL_OUTCOMES;
+
+// Unanswered calls before the order is cancelled as unreachable
+const MAX_ATTEMPTS = Number(process.env.COD_CONFIRMATION_MAX_ATTEMPTS) || 3;
+// Default delay before calling back after no answer (minutes)
+const RETRY_DELAY_MINUTES = Number(process.env.COD_CONFIRMATION_RETRY_MINUTES) || 120;
+// Orders at or above this total (DZD) are called first
+const HIGH_VALUE_TOTAL = Number(process.env.COD_CONFIRMATION_HIGH_VALUE) || 10000;
+
+class ConfirmationCallError extends CodedError {}
+
+class ConfirmationCallService {
+
+  /**
+   * Queue priority, higher is called first
+   * High value orders go first; every unanswered call moves an order down.
+   * @param {Object} order - { total, confirmation: { attempts } }
+   */
+  static getPriority(order) {
+    const attempts = Number(order.confirmation?.attempts || 0);
+    return (Number(order.total || 0) >= HIGH_VALUE_TOTAL ? 2 : 0) - attempts;
+  }
+
+  static baseQuery() {
+    return { status: 'pending', paymentMethod: 'cash_on_delivery' };
+  }
+
+  // Never called, or callback time reached
+  static dueFilter(now = new Date()) {
+    return [
+      { 'confirmation.nextCallAt': { $exists: false } },
+      { 'confirmation.nextCallAt': null },
+      { 'confirmation.nextCallAt': { $lte: now } }
+    ];
+  }
+
+  /**
+   * Orders waiting for a confirmation call
+   * Sorted by priority, then by callback time (never called first), then oldest.
+   * @param {Object} options - { page, limit, due } - due=true hides callbacks scheduled later
+   */
+  static async getQueue({ page = 1, limit = 20, due } = {}) {
+    const Order = getOrderModel();
+    const query = this.baseQuery();
+    if (String(due) === 'true') query.$or = this.dueFilter();
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [orders, total, dueNow] = await Promise.all([
+      Order.find(query)
+        .sort({ 'confirmation.priority': -1, 'confirmation.nextCallAt': 1, date: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .select('orderNumber date customerInfo shippingAddress deliveryType total items risk confirmation')
+        .lean(),
+      Order.countDocuments(query),
+      Order.countDocuments({ ...this.baseQuery(), $or: this.dueFilter() })
+    ]);
+
+    return {
+      orders,
+      dueNow,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalOrders: total,
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Record a call attempt and apply its outcome
+   * - confirmed: order → confirmed
+   * - refused / wrong_number: order → cancelled
+   * - no_answer: call back at nextCallAt (default in RETRY_DELAY_MINUTES);
+   *   after MAX_ATTEMPTS unanswered calls the order is cancelled
+   * The caller saves the order in the same session.
+   * @param {Object} order - Order document
+   * @param {Object} data - { outcome, note, nextCallAt }
+   * @param {Object} options - { session, admin: { id, email } }
+   * @returns {Object} - The recorded call
+   */
+  static async recordCall(order, { outcome, note = '', nextCallAt } = {}, { session = null, admin = {} } = {}) {
+    const outcomes = getCallOutcomes();
+    if (!outcomes.includes(outcome)) {
+      throw new ConfirmationCallError(`outcome must be one of: ${outcomes.join(', ')}`, 'INVALID_CALL');
+    }
+    if (order.paymentMethod !== 'cash_on_delivery') {
+      throw new ConfirmationCallError('Only cash on delivery orders need a confirmation call', 'NOT_COD');
+    }
+    if (order.status !== 'pending') {
+      throw new ConfirmationCallError(`Order is already ${order.status}`, 'ORDER_NOT_PENDING', 409);
+    }
+
+    let callbackAt = null;
+    if (outcome === 'no_answer') {
+      callbackAt = nextCallAt ? new Date(nextCallAt) : new Date(Date.now() + RETRY_DELAY_MINUTES * 60 * 1000);
+      if (Number.isNaN(callbackAt.getTime())) {
+        throw new ConfirmationCallError('Invalid nextCallAt date', 'INVALID_CALL');
+      }
+    }
+
+    const now = new Date();
+    const callNote = String(note || '').trim().slice(0, 500);
+    const confirmation = order.confirmation || {};
+    confirmation.calls = confirmation.calls || [];
+    confirmation.calls.push({
+      outcome,
+      note: callNote,
+      calledBy: { id: admin.id ? String(admin.id) : null, email: admin.email || null },
+      calledAt: now,
+      nextCallAt: callbackAt
+    });
+    confirmation.attempts = Number(confirmation.attempts || 0) + 1;
+    confirmation.lastOutcome = outcome;
+    confirmation.lastCalledAt = now;
+    confirmation.nextCallAt = callbackAt;
+    order.confirmation = confirmation;
+
+    const ctx = {
+      session,
+      updatedBy: admin.email || 'admin',
+      actor: { type: 'admin', id: admin.id ? String(admin.id) : null, name: admin.email }
+    };
+    const withNote = (text) => (callNote ? `${text}: ${callNote}` : text);
+
+    if (outcome === 'confirmed') {
+      await OrderStateMachine.transition(order, 'confirmed', { ...ctx, note: withNote('Confirmed by phone') });
+      order.confirmation.status = 'confirmed';
+    } else if (outcome === 'refused' || outcome === 'wrong_number') {
+      const reason = outcome === 'refused' ? 'Customer refused the order on the confirmation call' : 'Wrong phone number';
+      await OrderStateMachine.transition(order, 'cancelled', { ...ctx, note: withNote(reason) });
+      order.confirmation.status = 'cancelled';
+      order.confirmation.nextCallAt = null;
+    } else if (order.confirmation.attempts >= MAX_ATTEMPTS) {
+      await OrderStateMachine.transition(order, 'cancelled', {
+        ...ctx,
+        note: withNote(`Customer unreachable after ${order.confirmation.attempts} calls`)
+      });
+      order.confirmation.status = 'cancelled';
+      order.confirmation.nextCallAt = null;
+    }
+
+    order.confirmation.priority = this.getPriority(order);
+    return order.confirmation.calls[order.confirmation.calls.length - 1];
+  }
+}
+
+module.exports = ConfirmationCallService;
+module.exports.ConfirmationCallError = ConfirmationCallError;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
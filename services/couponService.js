@@ -0,0 +1,438 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { phoneKey } = require('../utils/phone');
+
+/**
+ * Coupon Service
+ * Checks discount codes against a priced cart, works out the discount and
+ * records redemptions inside the checkout transaction so usage limits hold
+ * under concurrent orders.
+ */
+
+const MAX_CODES = 5;
+
+class CouponError extends CodedError {}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+class CouponService {
+
+  /**
+   * Codes from a request body: { couponCode } or { couponCodes: [] }
+   */
+  static readCodes(body = {}) {
+    const raw = [].concat(body.couponCodes || body.couponCode || body.codes || body.code || []);
+    const codes = [...new Set(raw.map(normalizeCode).filter(Boolean))];
+    if (codes.length > MAX_CODES) {
+      throw new CouponError(`At most ${MAX_CODES} coupon codes per order`, 'TOO_MANY_COUPONS');
+    }
+    return codes;
+  }
+
+  /**
+   * Who is using a coupon, for per-customer limits; guests are matched on email and phone
+   * @param {Object} customer - { userId, email, phone }
+   */
+  static getIdentity({ userId, email, phone } = {}) {
+    return {
+      userId: userId && userId !== 'guest' ? String(userId) : null,
+      email: email ? String(email).toLowerCase().trim() : null,
+      phoneKey: phoneKey(phone) || null
+    };
+  }
+
+  static identityFilter(identity) {
+    const or = [];
+    if (identity.userId) or.push({ userId: identity.userId });
+    if (identity.email) or.push({ email: identity.email });
+    if (identity.phoneKey) or.push({ phoneKey: identity.phoneKey });
+    return or.length ? { $or: or } : null;
+  }
+
+  /**
+   * Cart lines a coupon applies to
+   * @param {Object} coupon
+   * @param {Array} items - Priced items (OrderPricingService)
+   */
+  static getEligibleItems(coupon, items) {
+    const categories = coupon.appliesTo?.categories || [];
+    const products = coupon.appliesTo?.products || [];
+    if (!categories.length && !products.length) return items;
+
+    return items.filter(item => (
+      products.includes(String(item.productId)) ||
+      categories.includes(String(item.category || '')) ||
+      (item.categoryId && categories.includes(String(item.categoryId)))
+    ));
+  }
+
+  /**
+   * Refuse a coupon that cannot be used right now (ignoring the cart)
+   */
+  static checkAvailability(coupon, now = new Date()) {
+    if (!coupon.isActive) throw new CouponError(`Coupon ${coupon.code} is no longer active`, 'COUPON_INACTIVE');
+    if (coupon.startsAt && coupon.startsAt > now) {
+      throw new CouponError(`Coupon ${coupon.code} is not valid yet`, 'COUPON_NOT_STARTED', 400, { startsAt: coupon.startsAt });
+    }
+    if (coupon.endsAt && coupon.endsAt <= now) {
+      throw new CouponError(`Coupon ${coupon.code} has expired`, 'COUPON_EXPIRED', 400, { endsAt: coupon.endsAt });
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      throw new CouponError(`Coupon ${coupon.code} has reached its usage limit`, 'COUPON_USAGE_LIMIT', 409);
+    }
+  }
+
+  static async checkCustomerLimit(coupon, identity, { session = null } = {}) {
+    if (!coupon.perCustomerLimit) return;
+    const filter = this.identityFilter(identity);
+    if (!filter) return;
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, status: 'applied', ...filter }).session(session);
+    if (used >= coupon.perCustomerLimit) {
+      throw new CouponError(`You have already used coupon ${coupon.code}`, 'COUPON_CUSTOMER_LIMIT', 409, {
+        perCustomerLimit: coupon.perCustomerLimit
+      });
+    }
+  }
+
+  /**
+   * Check codes against a priced cart and work out the discount
+   * @param {Array} codes - Normalized codes
+   * @param {Object} pricing - OrderPricingService.priceOrder() result
+   * @param {Object} identity - getIdentity() result
+   * @param {Object} options - { session, now }
+   * @returns {Object} - { coupons, discounts, orderDiscount, deliveryDiscount, deliveryFee, total }
+   */
+  static async evaluate(codes, pricing, identity, { session = null, now = new Date() } = {}) {
+    const subtotal = Number(pricing.subtotal || 0);
+    const baseDeliveryFee = Number(pricing.deliveryFee || 0);
+    const result = {
+      coupons: [],
+      discounts: [],
+      orderDiscount: 0,
+      deliveryDiscount: 0,
+      deliveryFee: baseDeliveryFee,
+      total: round2(subtotal + baseDeliveryFee)
+    };
+    if (!codes.length) return result;
+
+    const coupons = await Coupon.find({ code: { $in: codes } }).session(session);
+    for (const code of codes) {
+      if (!coupons.some(c => c.code === code)) {
+        throw new CouponError(`Coupon ${code} does not exist`, 'COUPON_NOT_FOUND', 404, { code });
+      }
+    }
+    if (coupons.length > 1 && coupons.some(c => !c.stackable)) {
+      const single = coupons.find(c => !c.stackable);
+      throw new CouponError(`Coupon ${single.code} cannot be combined with other coupons`, 'COUPON_NOT_STACKABLE');
+    }
+
+    let remaining = subtotal;
+    let deliveryFee = baseDeliveryFee;
+    // Percentages first, so a fixed amount never inflates a percentage
+    const ordered = codes.map(code => coupons.find(c => c.code === code))
+      .sort((a, b) => (a.type === 'percentage' ? 0 : 1) - (b.type === 'percentage' ? 0 : 1));
+
+    for (const coupon of ordered) {
+      this.checkAvailability(coupon, now);
+      await this.checkCustomerLimit(coupon, identity, { session });
+
+      const eligible = this.getEligibleItems(coupon, pricing.items || []);
+      if (!eligible.length) {
+        throw new CouponError(`Coupon ${coupon.code} does not apply to any item in your cart`, 'COUPON_NOT_APPLICABLE');
+      }
+      const eligibleSubtotal = round2(eligible.reduce((sum, item) => sum + Number(item.subtotal || 0), 0));
+      if (eligibleSubtotal < Number(coupon.minSubtotal || 0)) {
+        throw new CouponError(
+          `Coupon ${coupon.code} requires a minimum of ${coupon.minSubtotal} DZD on eligible items`,
+          'COUPON_MIN_SUBTOTAL',
+          400,
+          { minSubtotal: coupon.minSubtotal, eligibleSubtotal }
+        );
+      }
+
+      let amount = 0;
+      let deliveryDiscount = 0;
+      if (coupon.type === 'percentage') {
+        amount = eligibleSubtotal * coupon.value / 100;
+        if (coupon.maxDiscount != null) amount = Math.min(amount, coupon.maxDiscount);
+      } else if (coupon.type === 'fixed') {
+        amount = Math.min(coupon.value, eligibleSubtotal);
+      } else if (coupon.type === 'free_delivery') {
+        deliveryDiscount = deliveryFee;
+        deliveryFee = 0;
+      }
+      amount = round2(Math.min(amount, remaining));
+      remaining = round2(remaining - amount);
+
+      result.coupons.push(coupon);
+      result.discounts.push({
+        source: 'coupon',
+        code: coupon.code,
+        couponId: coupon._id,
+        label: coupon.description || coupon.code,
+        amount,
+        deliveryDiscount: round2(deliveryDiscount)
+      });
+    }
+
+    result.orderDiscount = round2(subtotal - remaining);
+    result.deliveryDiscount = round2(baseDeliveryFee - deliveryFee);
+    result.deliveryFee = round2(deliveryFee);
+    result.total = round2(remaining + deliveryFee);
+    return result;
+  }
+
+  /**
+   * Record the coupons used by a new order (inside the checkout transaction)
+   * Usage is counted with a conditional increment, so two orders racing for
+   * the last use cannot both get it.
+   * @param {Object} order - Order document (not saved yet)
+   * @param {Object} evaluation - evaluate() result
+   * @param {Object} identity - getIdentity() result
+   * @param {Object} options - { session }
+   */
+  static async redeem(order, evaluation, identity, { session }) {
+    for (const coupon of evaluation.coupons) {
+      const claimed = await Coupon.findOneAndUpdate(
+        {
+          _id: coupon._id,
+          isActive: true,
+          $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new CouponError(`Coupon ${coupon.code} has reached its usage limit`, 'COUPON_USAGE_LIMIT', 409);
+      }
+      // Counted after the increment: concurrent orders on the same coupon conflict on it
+      await this.checkCustomerLimit(claimed, identity, { session });
+
+      const entry = evaluation.discounts.find(d => String(d.couponId) === String(coupon._id));
+      await CouponRedemption.create([{
+        couponId: coupon._id,
+        code: coupon.code,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        ...identity,
+        discount: entry?.amount || 0,
+        deliveryDiscount: entry?.deliveryDiscount || 0,
+        orderSubtotal: order.subtotal,
+        orderTotal: order.total
+      }], { session });
+    }
+  }
+
+  /**
+   * Give the uses back when an order is cancelled (OrderStateMachine hook)
+   */
+  static async releaseForOrder(order, { session = null } = {}) {
+    if (!(order.discounts || []).some(d => d.source === 'coupon')) return;
+
+    const redemptions = await CouponRedemption.find({ orderId: order._id, status: 'applied' }).session(session);
+    for (const redemption of redemptions) {
+      redemption.status = 'released';
+      redemption.releasedAt = new Date();
+      await redemption.save({ session });
+      await Coupon.updateOne(
+        { _id: redemption.couponId, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session }
+      );
+    }
+  }
+
+  // ===== Admin =====
+
+  static pickFields(data = {}) {
+    const fields = [
+      'code', 'description', 'type', 'value', 'maxDiscount', 'minSubtotal', 'appliesTo',
+      'startsAt', 'endsAt', 'isActive', 'usageLimit', 'perCustomerLimit', 'stackable'
+    ];
+    const picked = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) picked[field] = data[field] === '' ? null : data[field];
+    }
+    if (picked.appliesTo) {
+      picked.appliesTo = {
+        categories: [].concat(picked.appliesTo.categories || []).map(String),
+        products: [].concat(picked.appliesTo.products || []).map(String)
+      };
+    }
+    return picked;
+  }
+
+  static async create(data, { admin = {} } = {}) {
+    const coupon = new Coupon({ ...this.pickFields(data), createdBy: admin.email || null });
+    try {
+      return await coupon.save();
+    } catch (error) {
+      throw this.toCouponError(error);
+    }
+  }
+
+  static async update(id, data) {
+    const coupon = await this.getById(id);
+    const fields = this.pickFields(data);
+    if (coupon.usedCount > 0 && ['code', 'type'].some(f => fields[f] !== undefined && fields[f] !== coupon[f])) {
+      throw new CouponError('The code and type of a coupon that has been used cannot change', 'COUPON_IN_USE', 409);
+    }
+    coupon.set(fields);
+    try {
+      return await coupon.save();
+    } catch (error) {
+      throw this.toCouponError(error);
+    }
+  }
+
+  /**
+   * Delete an unused coupon; used ones are deactivated to keep their history
+   * @returns {Object} - { deleted, deactivated }
+   */
+  static async remove(id) {
+    const coupon = await this.getById(id);
+    const used = await CouponRedemption.exists({ couponId: coupon._id });
+    if (used) {
+      coupon.isActive = false;
+      await coupon.save();
+      return { deleted: false, deactivated: true };
+    }
+    await coupon.deleteOne();
+    return { deleted: true, deactivated: false };
+  }
+
+  static toCouponError(error) {
+    if (error?.code === 11000) return new CouponError('A coupon with this code already exists', 'DUPLICATE_CODE', 409);
+    if (error?.name === 'ValidationError' || error?.name === 'CastError') {
+      return new CouponError(error.message, 'INVALID_COUPON');
+    }
+    return error;
+  }
+
+  static async getById(id) {
+    const coupon = mongoose.Types.ObjectId.isValid(id) ? await Coupon.findById(id) : null;
+    if (!coupon) throw new CouponError('Coupon not found', 'COUPON_NOT_FOUND', 404);
+    return coupon;
+  }
+
+  static async list({ search, active, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (search) query.code = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    if (active === 'true') query.isActive = true;
+    if (active === 'false') query.isActive = false;
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+      Coupon.countDocuments(query)
+    ]);
+
+    return {
+      coupons,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalCoupons: total,
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Usage per coupon: orders, discount given and order revenue
+   * @param {Object} filters - { couponId, from, to } (dates on the redemption)
+   */
+  static async getUsageReport({ couponId, from, to } = {}) {
+    const match = {};
+    if (couponId) match.couponId = new mongoose.Types.ObjectId(String(couponId));
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const rows = await CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$couponId',
+          code: { $last: '$code' },
+          orders: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] } },
+          released: { $sum: { $cond: [{ $eq: ['$status', 'released'] }, 1, 0] } },
+          discount: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, '$discount', 0] } },
+          deliveryDiscount: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, '$deliveryDiscount', 0] } },
+          revenue: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, '$orderTotal', 0] } },
+          customers: {
+            $addToSet: {
+              $cond: [
+                { $eq: ['$status', 'applied'] },
+                { $ifNull: ['$userId', { $ifNull: ['$email', '$phoneKey'] }] },
+                null
+              ]
+            }
+          },
+          firstUsedAt: { $min: '$createdAt' },
+          lastUsedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { orders: -1 } }
+    ]);
+
+    return rows.map(row => ({
+      couponId: row._id,
+      code: row.code,
+      orders: row.orders,
+      released: row.released,
+      uniqueCustomers: row.customers.filter(Boolean).length,
+      discount: round2(row.discount),
+      deliveryDiscount: round2(row.deliveryDiscount),
+      revenue: round2(row.revenue),
+      averageOrderValue: row.orders ? round2(row.revenue / row.orders) : 0,
+      firstUsedAt: row.firstUsedAt,
+      lastUsedAt: row.lastUsedAt
+    }));
+  }
+
+  /**
+   * One coupon's usage: totals plus its redemptions, newest first
+   */
+  static async getCouponUsage(id, { from, to, page = 1, limit = 50 } = {}) {
+    const coupon = await this.getById(id);
+    const query = { couponId: coupon._id };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const [[summary], redemptions, total] = await Promise.all([
+      this.getUsageReport({ couponId: coupon._id, from, to }),
+      CouponRedemption.find(query).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).lean(),
+      CouponRedemption.countDocuments(query)
+    ]);
+
+    return {
+      coupon,
+      summary: summary || { orders: 0, released: 0, uniqueCustomers: 0, discount: 0, deliveryDiscount: 0, revenue: 0 },
+      redemptions,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalRedemptions: total,
+        limit: pageSize
+      }
+    };
+  }
+}
+
+module.exports = CouponService;
+module.exports.CouponError = CouponError;
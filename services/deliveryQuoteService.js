@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+/**
+ * Delivery Quote Service
+ * Single place that turns a destination and a cart subtotal into what the
+ * customer pays for delivery: the configured fee, free delivery above the
+ * rate's threshold, the delivery window and the delivery types offered.
+ * Used by /deliveryfee, the admin shipping rate lookup, order pricing and
+ * DeliveryFee.calculateDeliveryFee.
+ */
+
+// DeliveryFee is registered in index.js; resolve lazily
+const getDeliveryFeeModel = () => mongoose.model('DeliveryFee');
+
+const DELIVERY_TYPES = ['home', 'pickup'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+class DeliveryQuoteService {
+
+  /**
+   * Active rates for a destination, one per delivery type
+   * Rates saved before isActive existed count as active; when a type has
+   * several rates the highest priority (then the most recent) wins.
+   * @returns {Map} - deliveryType -> rate
+   */
+  static async findRates({ wilaya, commune } = {}, { session = null } = {}) {
+    if (!wilaya || !commune) return new Map();
+    const rates = await getDeliveryFeeModel()
+      .find({ wilaya, commune, isActive: { $ne: false } })
+      .sort({ priority: -1, date: -1 })
+      .session(session)
+      .lean();
+
+    const byType = new Map();
+    for (const rate of rates) {
+      if (!byType.has(rate.deliveryType)) byType.set(rate.deliveryType, rate);
+    }
+    return byType;
+  }
+
+  /**
+   * Delivery window for a rate; null when the rate has no estimate
+   */
+  static getWindow(rate, now = new Date()) {
+    const min = Number(rate.estimatedDays?.min);
+    if (!min) return null;
+    const max = Math.max(min, Number(rate.estimatedDays?.max) || min);
+    return {
+      estimatedDays: { min, max },
+      estimatedDelivery: {
+        from: new Date(now.getTime() + min * DAY_MS),
+        to: new Date(now.getTime() + max * DAY_MS)
+      },
+      display: min === max ? `${min} day${min > 1 ? 's' : ''}` : `${min}-${max} days`
+    };
+  }
+
+  /**
+   * Price one rate for a cart subtotal
+   */
+  static priceRate(rate, subtotal, now = new Date()) {
+    const baseFee = round2(rate.fee);
+    const threshold = Number(rate.freeDeliveryThreshold || 0);
+    const freeDelivery = threshold > 0 && baseFee > 0 && Number(subtotal || 0) >= threshold;
+    const window = this.getWindow(rate, now);
+
+    return {
+      deliveryType: rate.deliveryType,
+      fee: freeDelivery ? 0 : baseFee,
+      baseFee,
+      freeDelivery,
+      freeDeliveryThreshold: threshold > 0 ? threshold : null,
+      // What the cart still needs for free delivery (null when there is no threshold)
+      amountToFreeDelivery: threshold > 0 && baseFee > 0 ? round2(Math.max(0, threshold - Number(subtotal || 0))) : null,
+      estimatedDays: window?.estimatedDays || null,
+      estimatedDelivery: window?.estimatedDelivery || null,
+      estimatedDeliveryDisplay: window?.display || null,
+      notes: rate.notes || null
+    };
+  }
+
+  /**
+   * Quote delivery to a destination
+   * @param {Object} destination - { wilaya, commune, deliveryType, subtotal }
+   *   subtotal is the cart's catalog subtotal, before discounts
+   * @returns {Object} - { available, deliveryType, fee, baseFee, freeDelivery, freeDeliveryThreshold,
+   *   amountToFreeDelivery, estimatedDays, estimatedDelivery, estimatedDeliveryDisplay, notes, options }
+   *   options lists every delivery type offered at the destination, priced the same way
+   */
+  static async quote({ wilaya, commune, deliveryType = 'home', subtotal = 0 } = {}, { now = new Date(), session = null } = {}) {
+    const rates = await this.findRates({ wilaya, commune }, { session });
+    const options = DELIVERY_TYPES
+      .filter(type => rates.has(type))
+      .map(type => this.priceRate(rates.get(type), subtotal, now));
+
+    const selected = options.find(option => option.deliveryType === deliveryType);
+    if (!selected) {
+      return { available: false, deliveryType, fee: null, options };
+    }
+    return { available: true, ...selected, options };
+  }
+}
+
+module.exports = DeliveryQuoteService;
+module.exports.DELIVERY_TYPES = DELIVERY_TYPES;
@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const { ValidationError } = require('../middleware/errorHandler');
+const EmailTemplates = require('./emailTemplates');
 
 class EmailService {
   constructor() {
@@ -385,6 +386,110 @@ class EmailService {
     return await this.sendEmail(mailOptions);
   }
   
+  /**
+   * Send email address verification link
+   * @param {Object} user - User object
+   * @param {string} verificationToken - Verification token
+   */
+  async sendEmailVerification(user, verificationToken) {
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+
+    const subject = 'Confirm your email - Damio Kids';
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Confirm your email address</h2>
+
+        <p>Dear ${user.name},</p>
+
+        <p>Please confirm that this is your email address. Orders you placed as a guest with this email will then appear in your account.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${verifyUrl}"
+             style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px;">
+            Confirm Email
+          </a>
+        </div>
+
+        <p><strong>This link will expire in 24 hours.</strong></p>
+
+        <p>If the button doesn't work, copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #666;">${verifyUrl}</p>
+
+        <p>Best regards,<br>The Damio Kids Team</p>
+      </div>
+    `;
+
+    const mailOptions = {
+      to: user.email,
+      subject,
+      html
+    };
+
+    return await this.sendEmail(mailOptions);
+  }
+
+  /**
+   * Send a gift card to its recipient
+   * @param {Object} giftCard - GiftCard document
+   */
+  async sendGiftCardEmail(giftCard) {
+    const esc = (value) => EmailTemplates.escapeHtml(value);
+    const amount = EmailTemplates.formatCurrency(giftCard.balance);
+    const shopUrl = process.env.FRONTEND_URL || 'https://damiokids.com';
+    const from = giftCard.purchaser?.name;
+
+    const subject = from
+      ? `${from} sent you a Damio Kids gift card`
+      : 'Your Damio Kids gift card';
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You received a gift card!</h2>
+
+        <p>Dear ${esc(giftCard.recipient?.name || 'customer')},</p>
+
+        <p>${from ? `${esc(from)} has sent you` : 'Here is'} a Damio Kids gift card worth <strong>${amount}</strong>.</p>
+
+        ${giftCard.message ? `<p style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; font-style: italic;">${esc(giftCard.message)}</p>` : ''}
+
+        <div style="text-align: center; background-color: #e7f3ff; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 0;">Your gift card code</p>
+          <p style="font-size: 22px; font-weight: bold; letter-spacing: 2px; margin: 10px 0;">${esc(giftCard.code)}</p>
+          ${giftCard.expiresAt ? `<p style="margin: 0; color: #666;">Valid until ${EmailTemplates.formatDate(giftCard.expiresAt)}</p>` : ''}
+        </div>
+
+        <p>Enter the code at checkout to pay for your order. Any amount left stays on the card for your next order.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${shopUrl}"
+             style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px;">
+            Start Shopping
+          </a>
+        </div>
+
+        <p>Best regards,<br>The Damio Kids Team</p>
+      </div>
+    `;
+
+    const text = [
+      `You received a Damio Kids gift card worth ${amount}${from ? ` from ${from}` : ''}.`,
+      giftCard.message ? `\n"${giftCard.message}"\n` : '',
+      `Gift card code: ${giftCard.code}`,
+      giftCard.expiresAt ? `Valid until: ${EmailTemplates.formatDate(giftCard.expiresAt)}` : '',
+      `\nEnter the code at checkout on ${shopUrl}.`
+    ].filter(Boolean).join('\n');
+
+    const mailOptions = {
+      to: giftCard.recipient.email,
+      subject,
+      html,
+      text
+    };
+
+    return await this.sendEmail(mailOptions);
+  }
+
   /**
    * Generate order confirmation HTML
    * @param {Object} order - Order object
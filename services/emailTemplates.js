@@ -34,6 +34,18 @@ class EmailTemplates {
     }).format(new Date(date));
   }
 
+  /**
+   * Escape customer-provided text before inserting it into HTML
+   */
+  static escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Get status display name
    */
@@ -486,6 +498,85 @@ This is an automated notification from Damio Kids Order Management System.
     `;
   }
 
+  /**
+   * Generate abandoned cart reminder HTML
+   * @param {Object} reminder - CartReminder (lines with catalog name, image, price)
+   * @param {Object} links - { name, restoreUrl, unsubscribeUrl }
+   */
+  static generateAbandonedCartHTML(reminder, { name, restoreUrl, unsubscribeUrl }) {
+    const esc = (value) => this.escapeHtml(value);
+    const itemsHTML = reminder.lines.map(line => {
+      const variant = [line.variant?.size && `Size: ${line.variant.size}`, line.variant?.color && `Color: ${line.variant.color}`, line.variant?.age && `Age: ${line.variant.age}`]
+        .filter(Boolean).join(' · ');
+      return `
+      <tr>
+        <td style="padding: 12px; border-bottom: 1px solid #eee; width: 72px;">
+          ${line.image ? `<img src="${esc(line.image)}" alt="${esc(line.name)}" style="width: 60px; height: 60px; object-fit: cover; border-radius: 6px;">` : ''}
+        </td>
+        <td style="padding: 12px; border-bottom: 1px solid #eee;">
+          <strong style="color: #333;">${esc(line.name)}</strong>
+          ${variant ? `<div style="color: #666; font-size: 13px;">${esc(variant)}</div>` : ''}
+          <div style="color: #666; font-size: 13px;">Qty: ${line.quantity}</div>
+        </td>
+        <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: right; white-space: nowrap;">
+          ${this.formatCurrency(line.price)}
+        </td>
+      </tr>`;
+    }).join('');
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #333; text-align: center;">You left something in your cart</h1>
+        <p>Hi ${esc(name)},</p>
+        <p>The items below are still waiting for you at Damio Kids. Complete your order before they sell out!</p>
+
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          ${itemsHTML}
+          <tr>
+            <td></td>
+            <td style="padding: 12px; text-align: right;"><strong>Total</strong></td>
+            <td style="padding: 12px; text-align: right; white-space: nowrap;"><strong>${this.formatCurrency(reminder.cartValue)}</strong></td>
+          </tr>
+        </table>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${esc(restoreUrl)}"
+             style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px;">
+            Return to my cart
+          </a>
+        </div>
+
+        <p style="color: #999; font-size: 12px; text-align: center;">
+          Prices shown are current catalog prices and may change.<br>
+          Don't want these reminders? <a href="${esc(unsubscribeUrl)}" style="color: #999;">Unsubscribe</a>
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Generate abandoned cart reminder plain text
+   */
+  static generateAbandonedCartText(reminder, { name, restoreUrl, unsubscribeUrl }) {
+    const itemsText = reminder.lines.map(line =>
+      `- ${line.name}${line.variant?.size ? ` (Size: ${line.variant.size})` : ''} x${line.quantity} - ${this.formatCurrency(line.price)}`
+    ).join('\n');
+
+    return `
+Hi ${name},
+
+You left something in your cart at Damio Kids:
+
+${itemsText}
+
+Total: ${this.formatCurrency(reminder.cartValue)}
+
+Return to your cart: ${restoreUrl}
+
+Don't want these reminders? Unsubscribe: ${unsubscribeUrl}
+    `;
+  }
+
   /**
    * Get payment method display name
    */
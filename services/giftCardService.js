@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const GiftCard = require('../models/GiftCard');
+const CreditTransaction = require('../models/CreditTransaction');
+const emailService = require('./emailService');
+
+/**
+ * Gift Card Service
+ * Issues gift cards, spends them as a payment at checkout (inside the order
+ * transaction, so a balance can never be spent twice) and keeps every balance
+ * change in the CreditTransaction ledger.
+ */
+
+const MAX_CODES = 3;
+// No 0/O or 1/I, codes are read off printed cards
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class GiftCardError extends CodedError {}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Last four characters only, for customer-facing output and order records
+const maskCode = (code) => `****${String(code || '').slice(-4)}`;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class GiftCardService {
+
+  /**
+   * Codes from a request body: { giftCardCode } or { giftCardCodes: [] }
+   */
+  static readCodes(body = {}) {
+    const raw = [].concat(body.giftCardCodes || body.giftCardCode || []);
+    const codes = [...new Set(raw.map(normalizeCode).filter(Boolean))];
+    if (codes.length > MAX_CODES) {
+      throw new GiftCardError(`At most ${MAX_CODES} gift cards per order`, 'TOO_MANY_GIFT_CARDS');
+    }
+    return codes;
+  }
+
+  static generateCode() {
+    const groups = [];
+    for (let g = 0; g < 4; g++) {
+      let group = '';
+      for (let i = 0; i < 4; i++) group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+      groups.push(group);
+    }
+    return `GC-${groups.join('-')}`;
+  }
+
+  static isExpired(card, now = new Date()) {
+    return !!card.expiresAt && card.expiresAt <= now;
+  }
+
+  /**
+   * A card that can pay for an order right now
+   */
+  static async getUsable(code, { now = new Date(), session = null } = {}) {
+    const card = await GiftCard.findOne({ code: normalizeCode(code) }).session(session);
+    if (!card) {
+      throw new GiftCardError('Gift card not found', 'GIFT_CARD_NOT_FOUND', 404, { code: normalizeCode(code) });
+    }
+    const details = { code: card.code };
+    if (card.status === 'void') throw new GiftCardError('This gift card is no longer valid', 'GIFT_CARD_VOID', 400, details);
+    if (this.isExpired(card, now)) throw new GiftCardError('This gift card has expired', 'GIFT_CARD_EXPIRED', 400, details);
+    if (card.balance <= 0) throw new GiftCardError('This gift card has no balance left', 'GIFT_CARD_EMPTY', 400, details);
+    return card;
+  }
+
+  /**
+   * Balance as shown to the card holder
+   */
+  static async checkBalance(code) {
+    const card = await GiftCard.findOne({ code: normalizeCode(code) }).lean();
+    if (!card) throw new GiftCardError('Gift card not found', 'GIFT_CARD_NOT_FOUND', 404);
+    return {
+      code: maskCode(card.code),
+      balance: card.status === 'void' ? 0 : card.balance,
+      expiresAt: card.expiresAt,
+      status: card.status === 'void' ? 'void' : (this.isExpired(card) ? 'expired' : 'active')
+    };
+  }
+
+  /**
+   * Spend from a card for an order (checkout transaction)
+   * The claim is conditional, so two orders racing for the same balance
+   * cannot both succeed.
+   */
+  static async redeem(payment, order, { now = new Date(), session }) {
+    const card = await GiftCard.findOneAndUpdate(
+      {
+        _id: payment.giftCardId,
+        status: 'active',
+        balance: { $gte: payment.amount },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      },
+      { $inc: { balance: -payment.amount } },
+      { new: true, session }
+    );
+    if (!card) {
+      throw new GiftCardError(
+        `Gift card ${payment.code} balance changed, please review your order`,
+        'GIFT_CARD_BALANCE_CHANGED',
+        409,
+        { code: payment.code }
+      );
+    }
+    await CreditTransaction.record({
+      account: 'gift_card',
+      giftCardId: card._id,
+      code: card.code,
+      type: 'redeem',
+      amount: -payment.amount,
+      balanceAfter: round2(card.balance),
+      orderId: order._id,
+      orderNumber: order.orderNumber
+    }, { session });
+  }
+
+  /**
+   * Put the amounts back on the cards when an order is cancelled (OrderStateMachine hook)
+   * A card voided since the order keeps its zero balance.
+   */
+  static async releaseForOrder(order, { session = null } = {}) {
+    for (const payment of order.payments || []) {
+      if (payment.source !== 'gift_card' || payment.releasedAt) continue;
+
+      const card = await GiftCard.findOneAndUpdate(
+        { _id: payment.giftCardId, status: 'active' },
+        { $inc: { balance: payment.amount } },
+        { new: true, session }
+      );
+      payment.releasedAt = new Date();
+      if (!card) continue;
+
+      await CreditTransaction.record({
+        account: 'gift_card',
+        giftCardId: card._id,
+        code: card.code,
+        type: 'release',
+        amount: payment.amount,
+        balanceAfter: round2(card.balance),
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        note: `Order ${order.orderNumber} cancelled`
+      }, { session });
+    }
+  }
+
+  // ===== Admin =====
+
+  static toGiftCardError(error) {
+    if (error?.name === 'ValidationError' || error?.name === 'CastError') {
+      return new GiftCardError(error.message, 'INVALID_GIFT_CARD');
+    }
+    if (error?.code === 11000) {
+      return new GiftCardError('A gift card with this code already exists', 'GIFT_CARD_EXISTS', 409);
+    }
+    return error;
+  }
+
+  static readAmount(value, { allowNegative = false } = {}) {
+    const amount = round2(value);
+    if (!Number.isFinite(Number(value)) || amount === 0 || (!allowNegative && amount < 0)) {
+      throw new GiftCardError(
+        allowNegative ? 'amount must be a non-zero number' : 'amount must be greater than 0',
+        'INVALID_AMOUNT'
+      );
+    }
+    return amount;
+  }
+
+  static async getById(id, { session = null } = {}) {
+    const card = mongoose.Types.ObjectId.isValid(id) ? await GiftCard.findById(id).session(session) : null;
+    if (!card) throw new GiftCardError('Gift card not found', 'GIFT_CARD_NOT_FOUND', 404);
+    return card;
+  }
+
+  /**
+   * Card with its ledger, newest first
+   */
+  static async getWithTransactions(id) {
+    const card = await this.getById(id);
+    const transactions = await CreditTransaction.find({ giftCardId: card._id }).sort({ createdAt: -1 }).lean();
+    return { card, transactions };
+  }
+
+  static async list({ status, search, page = 1, limit = 20 } = {}) {
+    const query = {};
+    const now = new Date();
+    if (status === 'void') query.status = 'void';
+    if (status === 'active') Object.assign(query, { status: 'active', $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] });
+    if (status === 'expired') Object.assign(query, { status: 'active', expiresAt: { $lte: now } });
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$and = [{ $or: [{ code: pattern }, { 'recipient.email': pattern }, { 'purchaser.email': pattern }, { reference: pattern }] }];
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [giftCards, total, totals] = await Promise.all([
+      GiftCard.find(query).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+      GiftCard.countDocuments(query),
+      GiftCard.aggregate([
+        { $match: query },
+        { $group: { _id: null, issued: { $sum: '$initialValue' }, outstanding: { $sum: '$balance' } } }
+      ])
+    ]);
+
+    return {
+      giftCards,
+      totals: {
+        issued: round2(totals[0]?.issued || 0),
+        outstanding: round2(totals[0]?.outstanding || 0)
+      },
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalGiftCards: total,
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Issue a new card; it is emailed to the recipient unless sendEmail is false
+   * @param {Object} data - { value, code?, expiresAt?, recipient: { name, email }, purchaser?, message?, reference?, sendEmail? }
+   * @returns {Object} - { card, email } (email is the send result, or null)
+   */
+  static async issue(data = {}, { admin = {} } = {}) {
+    const value = this.readAmount(data.value ?? data.initialValue);
+    const card = new GiftCard({
+      code: data.code ? normalizeCode(data.code) : this.generateCode(),
+      initialValue: value,
+      balance: value,
+      expiresAt: data.expiresAt || null,
+      recipient: data.recipient || {},
+      purchaser: data.purchaser || {},
+      message: data.message,
+      reference: data.reference || null,
+      issuedBy: admin.email || null
+    });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await card.save({ session });
+      await CreditTransaction.record({
+        account: 'gift_card',
+        giftCardId: card._id,
+        code: card.code,
+        type: 'issue',
+        amount: value,
+        balanceAfter: value,
+        note: data.reference ? `Sold against ${data.reference}` : undefined,
+        admin: { id: admin.id ? String(admin.id) : null, email: admin.email || null }
+      }, { session });
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw this.toGiftCardError(error);
+    }
+
+    console.log(`🎁 Gift card ${maskCode(card.code)} issued for ${value} DZD`);
+
+    let email = null;
+    if (data.sendEmail !== false && card.recipient?.email) {
+      email = await this.sendEmail(card._id);
+    }
+    return { card, email };
+  }
+
+  /**
+   * Email a card to its recipient (through emailService) and stamp emailedAt
+   */
+  static async sendEmail(id) {
+    const card = await this.getById(id);
+    if (!card.recipient?.email) {
+      throw new GiftCardError('Gift card has no recipient email', 'NO_RECIPIENT_EMAIL');
+    }
+    if (card.status === 'void') {
+      throw new GiftCardError('A void gift card cannot be sent', 'GIFT_CARD_VOID', 409);
+    }
+
+    const result = await emailService.sendGiftCardEmail(card);
+    if (result?.success) {
+      await GiftCard.updateOne({ _id: card._id }, { $set: { emailedAt: new Date() } });
+    } else {
+      console.warn(`⚠️ Gift card email to ${card.recipient.email} failed:`, result?.error || result?.reason);
+    }
+    return { success: !!result?.success, to: card.recipient.email, error: result?.error || result?.reason || null };
+  }
+
+  /**
+   * Credit or debit a card by hand (signed amount); the balance never goes below 0
+   */
+  static async adjust(id, { amount, note } = {}, { admin = {} } = {}) {
+    const change = this.readAmount(amount, { allowNegative: true });
+    const reason = String(note || '').trim();
+    if (!reason) throw new GiftCardError('A note explaining the adjustment is required', 'NOTE_REQUIRED');
+
+    const existing = await this.getById(id);
+    if (existing.status === 'void') {
+      throw new GiftCardError('A void gift card cannot be adjusted', 'GIFT_CARD_VOID', 409);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const card = await GiftCard.findOneAndUpdate(
+        { _id: existing._id, status: 'active', ...(change < 0 ? { balance: { $gte: -change } } : {}) },
+        { $inc: { balance: change } },
+        { new: true, session }
+      );
+      if (!card) {
+        throw new GiftCardError('Adjustment would make the balance negative', 'INSUFFICIENT_BALANCE', 409, { balance: existing.balance });
+      }
+      await CreditTransaction.record({
+        account: 'gift_card',
+        giftCardId: card._id,
+        code: card.code,
+        type: 'adjust',
+        amount: change,
+        balanceAfter: round2(card.balance),
+        note: reason,
+        admin: { id: admin.id ? String(admin.id) : null, email: admin.email || null }
+      }, { session });
+      await session.commitTransaction();
+      session.endSession();
+      return card;
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  }
+
+  /**
+   * Void a card: its remaining balance is written off and it can no longer be used
+   */
+  static async void(id, { reason } = {}, { admin = {} } = {}) {
+    const voidReason = String(reason || '').trim();
+    if (!voidReason) throw new GiftCardError('A reason is required to void a gift card', 'NOTE_REQUIRED');
+
+    const existing = await this.getById(id);
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const before = await GiftCard.findOneAndUpdate(
+        { _id: existing._id, status: 'active' },
+        { $set: { status: 'void', balance: 0, voidedAt: new Date(), voidReason } },
+        { new: false, session }
+      );
+      if (!before) throw new GiftCardError('Gift card is already void', 'GIFT_CARD_VOID', 409);
+
+      await CreditTransaction.record({
+        account: 'gift_card',
+        giftCardId: before._id,
+        code: before.code,
+        type: 'void',
+        amount: -round2(before.balance),
+        balanceAfter: 0,
+        note: voidReason,
+        admin: { id: admin.id ? String(admin.id) : null, email: admin.email || null }
+      }, { session });
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+    return this.getById(id);
+  }
+}
+
+module.exports = GiftCardService;
+module.exports.GiftCardError = GiftCardError;
+module.exports.maskCode = maskCode;
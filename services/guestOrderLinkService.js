@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { phoneKey } = require('../utils/phone');
+
+/**
+ * Guest Order Link Service
+ * Attaches orders placed as a guest (userId "guest") to a registered account
+ * once the customer has proven they own the email or phone used at checkout,
+ * or when an admin merges them by hand.
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+
+// Email filled in by the checkout when the customer gave none; never matched
+const PLACEHOLDER_EMAIL = /^guest\.\d+@damiokids\.com$/i;
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+class GuestOrderLinkService {
+
+  /**
+   * Guest order filters for an email and/or phone
+   * @returns {Object} - { email, phone } filters (null when not usable)
+   */
+  static buildFilters({ email, phone } = {}) {
+    const normalizedEmail = normalizeEmail(email);
+    const key = phoneKey(phone);
+    return {
+      email: normalizedEmail && !PLACEHOLDER_EMAIL.test(normalizedEmail)
+        ? { userId: 'guest', 'customerInfo.email': normalizedEmail }
+        : null,
+      // Same minimum as RiskScoringService: shorter keys are placeholders
+      phone: key.length >= 8 ? { userId: 'guest', phoneKey: key } : null
+    };
+  }
+
+  /**
+   * Guest orders matching an email and/or phone (preview, nothing is changed)
+   * @param {Object} identifiers - { email, phone }
+   */
+  static async findGuestOrders(identifiers = {}) {
+    const filters = Object.values(this.buildFilters(identifiers)).filter(Boolean);
+    if (!filters.length) return [];
+    return getOrderModel()
+      .find({ $or: filters })
+      .sort({ date: -1 })
+      .select('orderNumber date status total customerInfo phoneKey')
+      .lean();
+  }
+
+  /**
+   * Attach guest orders to a user
+   * @param {Object} user - User document
+   * @param {Object} options - { email, phone, orderIds, linkedBy }
+   *   email / phone: link every guest order with that checkout email / phone
+   *   orderIds: link these guest orders (admin merge)
+   * @returns {Object} - { linked, orderNumbers }
+   */
+  static async linkOrders(user, { email, phone, orderIds = [], linkedBy = 'system' } = {}) {
+    const Order = getOrderModel();
+    const userId = String(user._id);
+    const filters = this.buildFilters({ email, phone });
+    const ids = orderIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    const steps = [
+      ['email', filters.email],
+      ['phone', filters.phone],
+      ['manual', ids.length ? { userId: 'guest', _id: { $in: ids } } : null]
+    ].filter(([, filter]) => filter);
+
+    // Every filter has userId: 'guest', so an order is linked only once even
+    // when another request links it at the same time
+    const linkedAt = new Date();
+    let linked = 0;
+    for (const [matchedOn, filter] of steps) {
+      const result = await Order.updateMany(filter, {
+        $set: { userId, accountLink: { linkedAt, linkedBy, matchedOn } }
+      });
+      linked += result.modifiedCount;
+    }
+    if (!linked) return { linked: 0, orderNumbers: [] };
+
+    // Report the orders this call linked, not the ones it matched
+    const orders = await Order.find({ userId, 'accountLink.linkedAt': linkedAt, 'accountLink.linkedBy': linkedBy })
+      .select('orderNumber')
+      .lean();
+    const orderNumbers = orders.map(o => o.orderNumber);
+
+    console.log(`🔗 Linked ${linked} guest order(s) to user ${userId} (${linkedBy})`);
+    return { linked, orderNumbers };
+  }
+
+  /**
+   * Link guest orders using whatever the user has verified
+   * @param {Object} user - User document
+   * @param {string} linkedBy - Who triggered the link
+   */
+  static async linkVerified(user, linkedBy = 'system') {
+    return this.linkOrders(user, {
+      email: user.emailVerified ? user.email : null,
+      phone: user.phoneVerified ? user.phone : null,
+      linkedBy
+    });
+  }
+}
+
+module.exports = GuestOrderLinkService;
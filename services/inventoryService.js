@@ -1,5 +1,17 @@
-const { Product, Order } = require('../models');
+const mongoose = require('mongoose');
 const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const StockMovement = require('../models/StockMovement');
+
+// Resolve the Product model lazily so this service works with whichever schema
+// registered it (index.js defines its own lightweight Product schema).
+const getProductModel = () => mongoose.model('Product');
+
+// Order items reference products by numeric catalog id or by ObjectId
+const productFilter = (productId) => (
+  /^\d+$/.test(String(productId)) ? { id: Number(productId) } : { _id: productId }
+);
+
+const STOCK_MOVEMENT_REASONS = ['order', 'cancellation', 'return', 'manual', 'stock_count'];
 
 class InventoryService {
   
@@ -7,11 +19,13 @@ class InventoryService {
    * Update stock quantity for a product
    * @param {number} productId - Product ID
    * @param {number} quantity - Quantity to add/subtract (can be negative)
-   * @param {string} reason - Reason for stock change
+   * @param {string} reason - Reason for stock change (free-form reasons are recorded as manual)
    * @param {string} userId - User making the change
+   * @param {Object} options - { note, variant, reference }
    */
-  static async updateStock(productId, quantity, reason = 'manual_adjustment', userId = null) {
-    const product = await Product.findOne({ id: productId });
+  static async updateStock(productId, quantity, reason = 'manual', userId = null, options = {}) {
+    const Product = getProductModel();
+    const product = await Product.findOne(productFilter(productId));
     
     if (!product) {
       throw new NotFoundError(`Product with ID ${productId} not found`);
@@ -39,15 +53,18 @@ class InventoryService {
     await product.save();
     
     // Log stock movement
+    const knownReason = STOCK_MOVEMENT_REASONS.includes(reason);
     await this.logStockMovement({
       productId: product.id,
       productName: product.name,
-      oldQuantity,
-      newQuantity,
-      quantityChanged: quantity,
-      reason,
-      userId,
-      timestamp: new Date()
+      variant: options.variant,
+      delta: quantity,
+      quantityBefore: oldQuantity,
+      quantityAfter: newQuantity,
+      reason: knownReason ? reason : 'manual',
+      actor: userId ? { type: 'admin', id: String(userId) } : { type: 'system' },
+      reference: options.reference,
+      note: options.note || (knownReason ? undefined : reason)
     });
     
     // Check for low stock alerts
@@ -68,97 +85,187 @@ class InventoryService {
   
   /**
    * Reserve stock for an order (pending orders)
+   * Each line is decremented with a conditional update so two concurrent
+   * checkouts can never both take the last unit. Run it inside the order's
+   * transaction so a failed line rolls back the lines already reserved.
    * @param {Array} orderItems - Array of order items
    * @param {string} orderId - Order ID for tracking
+   * @param {Object} options - { session, orderNumber }
    */
-  static async reserveStock(orderItems, orderId) {
+  static async reserveStock(orderItems, orderId, { session = null, orderNumber = null } = {}) {
+    const Product = getProductModel();
     const reservations = [];
     const errors = [];
     
-    // Check availability for all items first
     for (const item of orderItems) {
-      const product = await Product.findById(item.productId);
+      const quantity = Number(item.quantity);
+      const product = await Product.findOneAndUpdate(
+        { ...productFilter(item.productId), stock_quantity: { $gte: quantity } },
+        { $inc: { stock_quantity: -quantity } },
+        { new: true, session }
+      );
       
       if (!product) {
-        errors.push(`Product ${item.name || item.productId} not found`);
+        const current = await Product.findOne(productFilter(item.productId))
+          .select('id name stock_quantity')
+          .session(session)
+          .lean();
+        errors.push({
+          productId: item.productId,
+          name: current?.name || item.name,
+          requested: quantity,
+          available: current ? Number(current.stock_quantity || 0) : 0
+        });
         continue;
       }
       
-      if (product.stock_quantity < item.quantity) {
-        errors.push(`Insufficient stock for ${product.name}. Available: ${product.stock_quantity}, Requested: ${item.quantity}`);
+      if (product.stock_quantity === 0) {
+        await Product.updateOne(
+          { _id: product._id, stock_quantity: 0 },
+          { $set: { status: 'out_of_stock', avilable: false } },
+          { session }
+        );
+      }
+      
+      await this.logStockMovement({
+        productId: product.id,
+        productName: product.name,
+        variant: { size: item.size, color: item.color },
+        delta: -quantity,
+        quantityBefore: product.stock_quantity + quantity,
+        quantityAfter: product.stock_quantity,
+        reason: 'order',
+        actor: { type: 'customer' },
+        reference: { type: 'order', id: String(orderId), number: orderNumber }
+      }, { session });
+      
+      if (product.stock_quantity <= this.getLowStockThreshold(product)) {
+        await this.triggerLowStockAlert(product);
       }
-    }
-    
-    if (errors.length > 0) {
-      throw new ValidationError(`Stock reservation failed: ${errors.join(', ')}`);
-    }
-    
-    // Reserve stock for all items
-    for (const item of orderItems) {
-      const result = await this.updateStock(
-        item.productId,
-        -item.quantity,
-        `order_reservation:${orderId}`,
-        'system'
-      );
       
       reservations.push({
         productId: item.productId,
-        quantity: item.quantity,
-        reserved: result
+        quantity,
+        remaining: product.stock_quantity
       });
     }
     
+    if (errors.length > 0) {
+      const error = new ValidationError(`Stock reservation failed: ${errors.map(e => `${e.name} (available: ${e.available}, requested: ${e.requested})`).join(', ')}`);
+      error.code = 'INSUFFICIENT_STOCK';
+      error.items = errors;
+      throw error;
+    }
+    
     return reservations;
   }
   
   /**
-   * Release reserved stock (when order is cancelled)
+   * Release reserved stock (when order is cancelled or returned)
    * @param {Array} orderItems - Array of order items
    * @param {string} orderId - Order ID for tracking
+   * @param {Object} options - { session, reason, orderNumber, actor, reference }
+   *   reference overrides the ledger reference (defaults to the order)
    */
-  static async releaseReservedStock(orderItems, orderId) {
+  static async releaseReservedStock(orderItems, orderId, { session = null, reason = 'cancellation', orderNumber = null, actor = { type: 'system' }, reference = null } = {}) {
+    const Product = getProductModel();
     const releases = [];
     
     for (const item of orderItems) {
-      try {
-        const result = await this.updateStock(
-          item.productId,
-          item.quantity,
-          `order_cancellation:${orderId}`,
-          'system'
-        );
-        
-        releases.push({
-          productId: item.productId,
-          quantity: item.quantity,
-          released: result
-        });
-      } catch (error) {
-        console.error(`Failed to release stock for product ${item.productId}:`, error.message);
+      const quantity = Number(item.quantity);
+      const product = await Product.findOneAndUpdate(
+        productFilter(item.productId),
+        { $inc: { stock_quantity: quantity } },
+        { new: true, session }
+      );
+      
+      if (!product) {
+        console.error(`Failed to release stock for product ${item.productId}: product not found`);
         // Continue with other items even if one fails
+        continue;
+      }
+      
+      if (product.status === 'out_of_stock' && product.stock_quantity > 0) {
+        await Product.updateOne(
+          { _id: product._id },
+          { $set: { status: 'active', avilable: true } },
+          { session }
+        );
       }
+      
+      await this.logStockMovement({
+        productId: product.id,
+        productName: product.name,
+        variant: { size: item.size, color: item.color },
+        delta: quantity,
+        quantityBefore: product.stock_quantity - quantity,
+        quantityAfter: product.stock_quantity,
+        reason,
+        actor,
+        reference: reference || { type: 'order', id: String(orderId), number: orderNumber }
+      }, { session });
+      
+      releases.push({
+        productId: item.productId,
+        quantity,
+        remaining: product.stock_quantity
+      });
     }
     
     return releases;
   }
   
+  /**
+   * Apply the stock side of an order status change
+   * Reserved stock goes back on the shelf when an order is cancelled or
+   * returned and is confirmed as sold when the order is delivered. Units
+   * already restocked or written off by a return are not released again.
+   * The caller saves the order (inventoryStatus is updated in place).
+   * @param {Object} order - Order document
+   * @param {string} newStatus - Status the order is moving to
+   * @param {Object} options - { session, actor }
+   */
+  static async syncOrderStock(order, newStatus, { session = null, actor = { type: 'system' } } = {}) {
+    const status = String(newStatus || '').toLowerCase();
+    const inventoryStatus = order.inventoryStatus || 'none';
+    
+    if (['cancelled', 'returned'].includes(status) && ['reserved', 'confirmed'].includes(inventoryStatus)) {
+      const reason = status === 'returned' ? 'return' : 'cancellation';
+      const items = order.items
+        .map(item => ({
+          productId: item.productId,
+          size: item.size,
+          color: item.color,
+          quantity: item.quantity - Number(item.restockedQuantity || 0) - Number(item.writtenOffQuantity || 0)
+        }))
+        .filter(item => item.quantity > 0);
+      const releases = await this.releaseReservedStock(items, order._id, {
+        session,
+        reason,
+        orderNumber: order.orderNumber,
+        actor
+      });
+      order.inventoryStatus = 'released';
+      return { action: 'released', releases };
+    }
+    
+    if (status === 'delivered' && inventoryStatus === 'reserved') {
+      const confirmation = await this.confirmStockUsage(order.items, order._id);
+      order.inventoryStatus = 'confirmed';
+      return { action: 'confirmed', confirmation };
+    }
+    
+    return { action: 'none' };
+  }
+  
   /**
    * Confirm stock usage (when order is fulfilled)
    * @param {Array} orderItems - Array of order items
    * @param {string} orderId - Order ID for tracking
    */
   static async confirmStockUsage(orderItems, orderId) {
-    // Stock was already deducted during reservation
-    // This is for logging purposes and analytics
-    
-    await this.logStockMovement({
-      orderId,
-      items: orderItems,
-      reason: `order_fulfilled:${orderId}`,
-      timestamp: new Date()
-    });
-    
+    // Stock was already deducted (and logged) during reservation,
+    // so nothing moves here; this is for analytics only
     return {
       orderId,
       itemsConfirmed: orderItems.length,
@@ -171,6 +278,7 @@ class InventoryService {
    * @param {number} threshold - Stock threshold (optional)
    */
   static async getLowStockProducts(threshold = null) {
+    const Product = getProductModel();
     const query = {
       status: 'active',
       $expr: {
@@ -198,6 +306,7 @@ class InventoryService {
    * Get out of stock products
    */
   static async getOutOfStockProducts() {
+    const Product = getProductModel();
     const outOfStockProducts = await Product.find({
       $or: [
         { stock_quantity: 0 },
@@ -259,6 +368,7 @@ class InventoryService {
       outOfStock = false
     } = filters;
     
+    const Product = getProductModel();
     let query = {};
     
     if (category) query.category = new RegExp(category, 'i');
@@ -305,23 +415,102 @@ class InventoryService {
     };
   }
   
+  /**
+   * Record a physical stock count
+   * Sets the product to the counted quantity and logs the difference
+   * @param {number} productId - Product ID
+   * @param {number} countedQuantity - Quantity found on the shelf
+   * @param {string} userId - Admin who counted
+   * @param {string} note - Optional note
+   */
+  static async recordStockCount(productId, countedQuantity, userId = null, note = '') {
+    const counted = Number(countedQuantity);
+    if (!Number.isInteger(counted) || counted < 0) {
+      throw new ValidationError('Counted quantity must be a non-negative integer');
+    }
+    
+    const Product = getProductModel();
+    const product = await Product.findOne(productFilter(productId)).select('stock_quantity').lean();
+    if (!product) {
+      throw new NotFoundError(`Product with ID ${productId} not found`);
+    }
+    
+    const delta = counted - Number(product.stock_quantity || 0);
+    return this.updateStock(productId, delta, 'stock_count', userId, { note });
+  }
+  
   /**
    * Get stock movement history
-   * @param {Object} filters - Filtering options
+   * @param {Object} filters - { productId, reason, startDate, endDate, page, limit }
    */
   static async getStockMovementHistory(filters = {}) {
-    // This would typically come from a separate StockMovement collection
-    // For now, we'll return a placeholder structure
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(filters.limit) || 50));
+    const query = this.buildStockMovementQuery(filters);
+    
+    const [movements, totalMovements] = await Promise.all([
+      StockMovement.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      StockMovement.countDocuments(query)
+    ]);
+    
     return {
-      movements: [],
+      movements,
       pagination: {
-        currentPage: 1,
-        totalPages: 0,
-        totalMovements: 0
+        currentPage: page,
+        totalPages: Math.ceil(totalMovements / limit),
+        totalMovements,
+        limit
       }
     };
   }
   
+  /**
+   * Stream stock movements matching the filters (oldest first, for exports)
+   * @param {Object} filters - { productId, reason, startDate, endDate }
+   */
+  static getStockMovementCursor(filters = {}) {
+    return StockMovement.find(this.buildStockMovementQuery(filters))
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+  }
+  
+  /**
+   * Build a StockMovement query from request filters
+   * @param {Object} filters - Filtering options
+   */
+  static buildStockMovementQuery(filters = {}) {
+    const { productId, reason, startDate, endDate } = filters;
+    const query = {};
+    
+    if (productId !== undefined && productId !== '') {
+      query.productId = /^\d+$/.test(String(productId)) ? Number(productId) : String(productId);
+    }
+    
+    if (reason) {
+      const reasons = String(reason).split(',').map(r => r.trim()).filter(r => STOCK_MOVEMENT_REASONS.includes(r));
+      if (reasons.length === 0) {
+        throw new ValidationError(`Invalid reason. Use one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`);
+      }
+      query.reason = { $in: reasons };
+    }
+    
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+      if (Object.values(query.createdAt).some(d => isNaN(d.getTime()))) {
+        throw new ValidationError('Invalid date range');
+      }
+    }
+    
+    return query;
+  }
+  
   /**
    * Private helper methods
    */
@@ -353,14 +542,12 @@ class InventoryService {
   
   /**
    * Log stock movement
-   * @param {Object} movement - Movement data
+   * @param {Object} movement - Movement data (see models/StockMovement.js)
+   * @param {Object} options - { session } to write the entry in the caller's transaction
    */
-  static async logStockMovement(movement) {
-    // This would typically save to a StockMovement collection
-    console.log('Stock Movement:', JSON.stringify(movement, null, 2));
-    
-    // TODO: Save to StockMovement collection
-    // await StockMovement.create(movement);
+  static async logStockMovement(movement, { session = null } = {}) {
+    const [entry] = await StockMovement.create([movement], { session });
+    return entry;
   }
 }
 
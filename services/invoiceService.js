@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+
+/**
+ * Invoice Service
+ * Assigns sequential invoice numbers to orders and renders invoices as PDF
+ * (pdfkit, generated in-process).
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+
+const STORE = {
+  name: process.env.STORE_NAME || 'Damio Kids',
+  address: process.env.STORE_ADDRESS || '',
+  phone: process.env.STORE_PHONE || '',
+  email: process.env.STORE_EMAIL || process.env.ADMIN_EMAIL || 'support@damiokids.com',
+  // Registre de commerce / NIF, printed when configured
+  taxId: process.env.STORE_TAX_ID || ''
+};
+
+// "12 500,00 DZD" — plain ASCII so it renders with the built-in PDF fonts
+const formatDZD = (amount) => {
+  const value = Math.round(Number(amount || 0) * 100) / 100;
+  const [whole, decimals] = Math.abs(value).toFixed(2).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+  return `${value < 0 ? '-' : ''}${grouped},${decimals} DZD`;
+};
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+class InvoiceService {
+
+  /**
+   * Give an order its invoice number, once
+   * The counter increment and the assignment commit together, so numbers are
+   * sequential and a number is never handed out twice.
+   * @param {Object} order - Order document
+   * @returns {Object} - { number, issuedAt }
+   */
+  static async ensureInvoiceNumber(order) {
+    if (order.invoice?.number) return order.invoice;
+
+    const Order = getOrderModel();
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      const seq = await Counter.next('invoice', { session });
+      const invoice = {
+        number: `INV-${new Date().getFullYear()}-${String(seq).padStart(6, '0')}`,
+        issuedAt: new Date()
+      };
+
+      const updated = await Order.findOneAndUpdate(
+        { _id: order._id, 'invoice.number': { $exists: false } },
+        { $set: { invoice } },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        // Another request numbered this order first: give the number back
+        await session.abortTransaction();
+        const current = await Order.findById(order._id).select('invoice').lean();
+        order.invoice = current?.invoice;
+        return order.invoice;
+      }
+
+      await session.commitTransaction();
+      order.invoice = invoice;
+      return invoice;
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Amounts printed on the invoice
+   * The total is the order total the customer was charged; prices include
+   * tax, so tax is only shown as a breakdown of that total.
+   * @param {Object} order - Order document
+   */
+  static computeTotals(order) {
+    return {
+      subtotal: Number(order.subtotal || 0),
+      deliveryFee: Number(order.deliveryFee || 0),
+      discount: Number(order.financials?.orderDiscount || 0),
+      tax: Number(order.financials?.taxAmount || 0),
+      total: Number(order.total || 0)
+    };
+  }
+
+  /**
+   * Render an invoice PDF for an order (numbering it first if needed)
+   * @param {Object} order - Order document
+   * @returns {Promise<Buffer>} - PDF file contents
+   */
+  static async generateInvoicePDF(order) {
+    const invoice = await this.ensureInvoiceNumber(order);
+    return this.renderPDF(order, invoice);
+  }
+
+  /**
+   * Draw the invoice
+   * @param {Object} order - Order document
+   * @param {Object} invoice - { number, issuedAt }
+   * @returns {Promise<Buffer>}
+   */
+  static renderPDF(order, invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.number}` } });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = 50;
+      const right = doc.page.width - 50;
+
+      // Store header
+      doc.font('Helvetica-Bold').fontSize(20).text(STORE.name, left, 50);
+      doc.font('Helvetica').fontSize(9);
+      [STORE.address, STORE.phone, STORE.email, STORE.taxId && `NIF/RC: ${STORE.taxId}`]
+        .filter(Boolean)
+        .forEach(line => doc.text(line));
+
+      // Invoice meta
+      doc.font('Helvetica-Bold').fontSize(16).text('INVOICE', 350, 50, { width: right - 350, align: 'right' });
+      doc.font('Helvetica').fontSize(9)
+        .text(`Invoice no: ${invoice.number}`, 350, 75, { width: right - 350, align: 'right' })
+        .text(`Invoice date: ${formatDate(invoice.issuedAt)}`, { width: right - 350, align: 'right' })
+        .text(`Order: #${order.orderNumber}`, { width: right - 350, align: 'right' })
+        .text(`Order date: ${formatDate(order.date || order.createdAt)}`, { width: right - 350, align: 'right' });
+
+      // Customer and shipping address
+      const addressTop = 150;
+      const address = order.shippingAddress || {};
+      doc.font('Helvetica-Bold').fontSize(10).text('Bill to', left, addressTop);
+      doc.font('Helvetica').fontSize(9)
+        .text(order.customerInfo?.name || '')
+        .text(order.customerInfo?.email || '')
+        .text(order.customerInfo?.phone || '');
+
+      doc.font('Helvetica-Bold').fontSize(10).text(order.deliveryType === 'pickup' ? 'Pickup point' : 'Ship to', 300, addressTop);
+      doc.font('Helvetica').fontSize(9)
+        .text(address.fullName || '', 300)
+        .text(address.address || '', 300)
+        .text([address.commune, address.wilaya, address.postalCode].filter(Boolean).join(', '), 300)
+        .text(address.phone || '', 300);
+
+      // Line items
+      const columns = { item: left, qty: 330, price: 380, total: 470 };
+      let y = 250;
+      doc.font('Helvetica-Bold').fontSize(9);
+      doc.text('Item', columns.item, y);
+      doc.text('Qty', columns.qty, y, { width: 40, align: 'right' });
+      doc.text('Unit price', columns.price, y, { width: 80, align: 'right' });
+      doc.text('Amount', columns.total, y, { width: right - columns.total, align: 'right' });
+      y += 15;
+      doc.moveTo(left, y).lineTo(right, y).stroke();
+      y += 8;
+
+      doc.font('Helvetica').fontSize(9);
+      for (const item of order.items || []) {
+        const variant = [item.size && `Size: ${item.size}`, item.color && `Color: ${item.color}`].filter(Boolean).join(' - ');
+        const description = variant ? `${item.name}\n${variant}` : item.name;
+        const rowHeight = Math.max(doc.heightOfString(description, { width: 270 }), 12);
+
+        if (y + rowHeight > doc.page.height - 150) {
+          doc.addPage();
+          y = 50;
+        }
+
+        doc.text(description, columns.item, y, { width: 270 });
+        doc.text(String(item.quantity), columns.qty, y, { width: 40, align: 'right' });
+        doc.text(formatDZD(item.price), columns.price, y, { width: 80, align: 'right' });
+        doc.text(formatDZD(item.subtotal ?? item.price * item.quantity), columns.total, y, { width: right - columns.total, align: 'right' });
+        y += rowHeight + 6;
+      }
+
+      doc.moveTo(left, y).lineTo(right, y).stroke();
+      y += 10;
+
+      // Totals
+      const totals = this.computeTotals(order);
+      const totalRows = [
+        ['Subtotal', totals.subtotal],
+        ['Delivery fee', totals.deliveryFee],
+        totals.discount ? ['Discount', -totals.discount] : null
+      ].filter(Boolean);
+
+      for (const [label, amount] of totalRows) {
+        doc.font('Helvetica').text(label, 330, y, { width: 120, align: 'right' });
+        doc.text(formatDZD(amount), columns.total, y, { width: right - columns.total, align: 'right' });
+        y += 15;
+      }
+      doc.font('Helvetica-Bold').fontSize(11);
+      doc.text('Total', 330, y, { width: 120, align: 'right' });
+      doc.text(formatDZD(totals.total), columns.total - 20, y, { width: right - columns.total + 20, align: 'right' });
+      y += 18;
+      if (totals.tax) {
+        doc.font('Helvetica').fontSize(9);
+        doc.text('Including tax', 330, y, { width: 120, align: 'right' });
+        doc.text(formatDZD(totals.tax), columns.total, y, { width: right - columns.total, align: 'right' });
+        y += 15;
+      }
+      y += 7;
+
+      // Gift cards and store credit are payments against the total, not discounts
+      const prepaid = (order.payments || []).filter(p => !p.releasedAt);
+      if (prepaid.length) {
+        doc.font('Helvetica').fontSize(9);
+        for (const payment of prepaid) {
+          const label = payment.source === 'gift_card' ? `Paid by gift card ${payment.code || ''}`.trim() : 'Paid with store credit';
+          doc.text(label, 250, y, { width: 200, align: 'right' });
+          doc.text(formatDZD(-payment.amount), columns.total, y, { width: right - columns.total, align: 'right' });
+          y += 15;
+        }
+        doc.font('Helvetica-Bold').text('Amount due', 330, y, { width: 120, align: 'right' });
+        doc.text(formatDZD(order.amountDue ?? totals.total), columns.total, y, { width: right - columns.total, align: 'right' });
+        y += 25;
+      }
+
+      const paymentLabels = {
+        cash_on_delivery: 'Cash on delivery',
+        bank_transfer: 'Bank transfer',
+        card_payment: 'Card payment'
+      };
+      doc.font('Helvetica').fontSize(9)
+        .text(`Payment method: ${paymentLabels[order.paymentMethod] || order.paymentMethod}`, left, y)
+        .text(`All amounts in Algerian Dinar (DZD).`)
+        .moveDown()
+        .text(`Thank you for shopping with ${STORE.name}!`, { align: 'center' });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = InvoiceService;
+module.exports.formatDZD = formatDZD;
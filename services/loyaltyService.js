@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+
+/**
+ * Loyalty Service
+ * Customers earn points when an order is delivered (per DZD spent, more in
+ * bonus categories and higher tiers), lose them again on returns and refunds,
+ * and spend them as a discount at checkout. Every change of a balance is a
+ * LoyaltyTransaction entry.
+ */
+
+// Users model is registered by models/User.js (loaded from index.js); resolve lazily
+const getUserModel = () => mongoose.model('Users');
+
+// Unset or empty env values use the default, so 0 can be configured
+const readNumber = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value);
+};
+
+// Spend (after discounts, without delivery) that earns one point
+const DZD_PER_POINT = readNumber('LOYALTY_DZD_PER_POINT', 100);
+const SIGNUP_BONUS = readNumber('LOYALTY_SIGNUP_BONUS', 100);
+// What one point is worth at checkout, in DZD
+const POINT_VALUE = readNumber('LOYALTY_POINT_VALUE_DZD', 1);
+const MIN_REDEEM_POINTS = readNumber('LOYALTY_MIN_REDEEM_POINTS', 100);
+// Points can pay at most this share of the discounted items
+const MAX_REDEEM_PERCENT = readNumber('LOYALTY_MAX_REDEEM_PERCENT', 50);
+
+// "girls:2,babies:1.5" - points multiplier per category name or id
+const BONUS_CATEGORIES = new Map(
+  String(process.env.LOYALTY_BONUS_CATEGORIES || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([category, multiplier]) => category && Number(multiplier) > 0)
+    .map(([category, multiplier]) => [category.toLowerCase(), Number(multiplier)])
+);
+
+// Reached by lifetime points; higher tiers earn more per DZD
+const TIERS = [
+  { name: 'bronze', minPoints: 0, multiplier: 1 },
+  { name: 'silver', minPoints: readNumber('LOYALTY_TIER_SILVER_POINTS', 1000), multiplier: 1.25 },
+  { name: 'gold', minPoints: readNumber('LOYALTY_TIER_GOLD_POINTS', 5000), multiplier: 1.5 }
+];
+
+class LoyaltyError extends CodedError {}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const isAccount = (userId) => !!userId && userId !== 'guest' && mongoose.Types.ObjectId.isValid(userId);
+
+const toAdmin = (admin = {}) => ({ id: admin.id ? String(admin.id) : null, email: admin.email || null });
+
+class LoyaltyService {
+
+  static getRules() {
+    return {
+      dzdPerPoint: DZD_PER_POINT,
+      pointValue: POINT_VALUE,
+      signupBonus: SIGNUP_BONUS,
+      minRedeemPoints: MIN_REDEEM_POINTS,
+      maxRedeemPercent: MAX_REDEEM_PERCENT,
+      bonusCategories: Object.fromEntries(BONUS_CATEGORIES),
+      tiers: TIERS
+    };
+  }
+
+  static getTier(lifetimePoints = 0) {
+    return [...TIERS].reverse().find(tier => lifetimePoints >= tier.minPoints) || TIERS[0];
+  }
+
+  static getNextTier(lifetimePoints = 0) {
+    const next = TIERS.find(tier => tier.minPoints > lifetimePoints);
+    return next ? { name: next.name, pointsNeeded: next.minPoints - lifetimePoints } : null;
+  }
+
+  /**
+   * Change a balance and record it in the ledger
+   * Spending is conditional on the balance, so it never goes below 0.
+   * @param {number} points - Signed change of the spendable balance
+   * @param {Object} entry - { type, lifetime (signed change of lifetime points), note, orderId, orderNumber, refundId, admin, filter, set }
+   * @returns {Object|null} - Ledger entry, or null when filter did not match
+   */
+  static async change(userId, points, { type, lifetime = 0, note, orderId = null, orderNumber = null, refundId = null, admin, filter = {}, set = {} }, { session = null } = {}) {
+    const Users = getUserModel();
+    const user = await Users.findOneAndUpdate(
+      { _id: userId, ...filter, ...(points < 0 ? { 'loyalty.points': { $gte: -points } } : {}) },
+      { $inc: { 'loyalty.points': points, 'loyalty.lifetimePoints': lifetime }, ...(Object.keys(set).length ? { $set: set } : {}) },
+      { new: true, session }
+    ).select('loyalty');
+    if (!user) return null;
+
+    const tier = this.getTier(user.loyalty.lifetimePoints).name;
+    if (tier !== user.loyalty.tier) {
+      await Users.updateOne({ _id: user._id }, { $set: { 'loyalty.tier': tier } }, { session });
+      console.log(`⭐ Customer ${user._id} is now ${tier}`);
+    }
+
+    const [transaction] = await LoyaltyTransaction.create([{
+      userId: String(user._id),
+      type,
+      points,
+      balanceAfter: user.loyalty.points,
+      orderId,
+      orderNumber,
+      refundId,
+      note,
+      admin: toAdmin(admin)
+    }], { session });
+    return transaction;
+  }
+
+  /**
+   * Welcome points, given once per account
+   */
+  static async awardSignupBonus(userId) {
+    if (!(SIGNUP_BONUS > 0)) return null;
+    return this.change(userId, SIGNUP_BONUS, {
+      type: 'signup_bonus',
+      lifetime: SIGNUP_BONUS,
+      note: 'Welcome bonus',
+      filter: { 'loyalty.signupBonusAt': null },
+      set: { 'loyalty.signupBonusAt': new Date() }
+    });
+  }
+
+  /**
+   * Points an order earns at a tier
+   * The spend is what was paid for the items (discounts deducted, delivery
+   * excluded), spread over the lines so bonus categories count their share.
+   * @returns {Object} - { points, eligibleAmount }
+   */
+  static computeEarnedPoints(order, tier = TIERS[0]) {
+    const subtotal = Number(order.subtotal || 0);
+    const eligibleAmount = round2(Math.max(0, subtotal - Number(order.financials?.orderDiscount || 0)));
+    if (!subtotal || !eligibleAmount || !(DZD_PER_POINT > 0)) return { points: 0, eligibleAmount };
+
+    const weighted = (order.items || []).reduce((sum, item) => {
+      const share = Number(item.subtotal || 0) / subtotal * eligibleAmount;
+      const multiplier = BONUS_CATEGORIES.get(String(item.category || '').toLowerCase()) ||
+        BONUS_CATEGORIES.get(String(item.categoryId || '').toLowerCase()) || 1;
+      return sum + share * multiplier;
+    }, 0);
+
+    return { points: Math.floor(weighted / DZD_PER_POINT * tier.multiplier), eligibleAmount };
+  }
+
+  /**
+   * Credit the points for a delivered order (OrderStateMachine hook)
+   * Updates order.loyalty in place; the caller saves the order.
+   */
+  static async earnForOrder(order, { session = null } = {}) {
+    if (!isAccount(order.userId) || order.loyalty?.earnedAt) return;
+
+    const user = await getUserModel().findById(order.userId).select('loyalty').session(session);
+    if (!user) return;
+
+    const { points, eligibleAmount } = this.computeEarnedPoints(order, this.getTier(user.loyalty?.lifetimePoints || 0));
+    if (points <= 0) return;
+
+    await this.change(order.userId, points, {
+      type: 'earn',
+      lifetime: points,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      note: `Order ${order.orderNumber} delivered`
+    }, { session });
+
+    order.loyalty = order.loyalty || {};
+    order.loyalty.earnedPoints = points;
+    order.loyalty.earnedOnAmount = eligibleAmount;
+    order.loyalty.earnedAt = new Date();
+  }
+
+  /**
+   * Take back earned points; points already spent cannot be recovered and
+   * the balance stops at 0
+   */
+  static async reversePoints(order, points, { note, refundId = null, session = null } = {}) {
+    if (points <= 0) return;
+    const user = await getUserModel().findById(order.userId).select('loyalty').session(session);
+    const deducted = Math.min(points, user?.loyalty?.points || 0);
+
+    if (user) {
+      await this.change(order.userId, -deducted, {
+        type: 'reverse',
+        lifetime: -points,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        refundId,
+        note: deducted < points ? `${note} (${points - deducted} points already spent)` : note
+      }, { session });
+    }
+    order.loyalty.reversedPoints = Number(order.loyalty.reversedPoints || 0) + points;
+  }
+
+  /**
+   * Reverse all points still held from a returned order (OrderStateMachine hook)
+   */
+  static async reverseForOrder(order, { session = null } = {}) {
+    const remaining = Number(order.loyalty?.earnedPoints || 0) - Number(order.loyalty?.reversedPoints || 0);
+    if (!isAccount(order.userId) || remaining <= 0) return;
+    await this.reversePoints(order, remaining, { note: `Order ${order.orderNumber} returned`, session });
+  }
+
+  /**
+   * Reverse points in proportion to a refund (RefundService)
+   */
+  static async reverseForRefund(order, refundAmount, { refundId = null, note, session = null } = {}) {
+    const earned = Number(order.loyalty?.earnedPoints || 0);
+    const remaining = earned - Number(order.loyalty?.reversedPoints || 0);
+    const base = Number(order.loyalty?.earnedOnAmount || 0);
+    if (!isAccount(order.userId) || remaining <= 0 || !base) return;
+
+    const points = Math.min(remaining, Math.round(earned * Math.min(1, refundAmount / base)));
+    await this.reversePoints(order, points, { note, refundId, session });
+  }
+
+  /**
+   * Check a points redemption against a balance and the amount it may pay
+   * @param {number} discountableAmount - Item amount left after promotions and coupons
+   * @returns {Object} - { points, amount } (points can be capped by MAX_REDEEM_PERCENT)
+   */
+  static async evaluateRedemption(userId, requestedPoints, discountableAmount, { session = null } = {}) {
+    const requested = Number(requestedPoints);
+    if (!Number.isInteger(requested) || requested <= 0) {
+      throw new LoyaltyError('Points to redeem must be a whole number above 0', 'INVALID_POINTS');
+    }
+    if (requested < MIN_REDEEM_POINTS) {
+      throw new LoyaltyError(`At least ${MIN_REDEEM_POINTS} points can be redeemed at a time`, 'LOYALTY_MIN_POINTS', 400, { minRedeemPoints: MIN_REDEEM_POINTS });
+    }
+
+    const user = isAccount(userId) ? await getUserModel().findById(userId).select('loyalty').session(session) : null;
+    if (!user) throw new LoyaltyError('Customer account not found', 'ACCOUNT_NOT_FOUND', 404);
+    const balance = user.loyalty?.points || 0;
+    if (requested > balance) {
+      throw new LoyaltyError('Not enough loyalty points', 'INSUFFICIENT_POINTS', 400, { balance });
+    }
+
+    const maxAmount = Math.floor(Number(discountableAmount || 0) * MAX_REDEEM_PERCENT / 100);
+    const points = Math.min(requested, Math.floor(maxAmount / POINT_VALUE));
+    if (points <= 0) {
+      throw new LoyaltyError('Points cannot be used on this order', 'LOYALTY_NOT_APPLICABLE');
+    }
+    return { points, amount: round2(points * POINT_VALUE) };
+  }
+
+  /**
+   * Spend the points of an order (checkout transaction)
+   */
+  static async redeem(order, { session }) {
+    const points = Number(order.loyalty?.pointsRedeemed || 0);
+    if (points <= 0) return;
+    const transaction = await this.change(order.userId, -points, {
+      type: 'redeem',
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      note: `Redeemed on order ${order.orderNumber}`
+    }, { session });
+    if (!transaction) {
+      throw new LoyaltyError('Loyalty points balance changed, please review your order', 'LOYALTY_POINTS_CHANGED', 409);
+    }
+  }
+
+  /**
+   * Give redeemed points back when an order is cancelled (OrderStateMachine hook)
+   */
+  static async releaseForOrder(order, { session = null } = {}) {
+    const points = Number(order.loyalty?.pointsRedeemed || 0);
+    if (points <= 0 || order.loyalty.redeemedReleasedAt || !isAccount(order.userId)) return;
+    await this.change(order.userId, points, {
+      type: 'release',
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      note: `Order ${order.orderNumber} cancelled`
+    }, { session });
+    order.loyalty.redeemedReleasedAt = new Date();
+  }
+
+  // ===== Account and admin =====
+
+  /**
+   * Balance, tier and ledger of a customer, newest first
+   */
+  static async getAccount(userId, { page = 1, limit = 20 } = {}) {
+    const user = isAccount(userId) ? await getUserModel().findById(userId).select('loyalty').lean() : null;
+    if (!user) throw new LoyaltyError('Customer account not found', 'ACCOUNT_NOT_FOUND', 404);
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const query = { userId: String(user._id) };
+
+    const [transactions, total] = await Promise.all([
+      LoyaltyTransaction.find(query).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).lean(),
+      LoyaltyTransaction.countDocuments(query)
+    ]);
+
+    const loyalty = user.loyalty || {};
+    const lifetimePoints = loyalty.lifetimePoints || 0;
+    return {
+      userId: user._id,
+      points: loyalty.points || 0,
+      pointsValue: round2((loyalty.points || 0) * POINT_VALUE),
+      lifetimePoints,
+      tier: this.getTier(lifetimePoints).name,
+      nextTier: this.getNextTier(lifetimePoints),
+      rules: this.getRules(),
+      transactions,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalTransactions: total,
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Add or remove points by hand (signed); only the spendable balance changes, not the tier
+   */
+  static async adjust(userId, { points, note } = {}, { admin = {} } = {}) {
+    const change = Number(points);
+    if (!Number.isInteger(change) || change === 0) {
+      throw new LoyaltyError('points must be a non-zero whole number', 'INVALID_POINTS');
+    }
+    const reason = String(note || '').trim().slice(0, 300);
+    if (!reason) throw new LoyaltyError('A note explaining the adjustment is required', 'NOTE_REQUIRED');
+    if (!isAccount(userId) || !(await getUserModel().exists({ _id: userId }))) {
+      throw new LoyaltyError('Customer account not found', 'ACCOUNT_NOT_FOUND', 404);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const transaction = await this.change(userId, change, { type: 'adjust', note: reason, admin }, { session });
+      if (!transaction) {
+        throw new LoyaltyError('Adjustment would make the balance negative', 'INSUFFICIENT_POINTS', 409);
+      }
+      await session.commitTransaction();
+      session.endSession();
+      return transaction;
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  }
+}
+
+module.exports = LoyaltyService;
+module.exports.LoyaltyError = LoyaltyError;
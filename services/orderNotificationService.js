@@ -1,5 +1,6 @@
 const emailService = require('./emailService');
 const EmailTemplates = require('./emailTemplates');
+const InvoiceService = require('./invoiceService');
 
 /**
  * Order Notification Service
@@ -13,7 +14,8 @@ class OrderNotificationService {
       adminEmail: process.env.ADMIN_EMAIL,
       enableAdminNotifications: process.env.ENABLE_ADMIN_EMAIL_NOTIFICATIONS !== 'false',
       enableCustomerNotifications: process.env.ENABLE_CUSTOMER_EMAIL_NOTIFICATIONS !== 'false',
-      sendCustomerNotifications: process.env.SEND_CUSTOMER_ORDER_CONFIRMATION !== 'false'
+      sendCustomerNotifications: process.env.SEND_CUSTOMER_ORDER_CONFIRMATION !== 'false',
+      attachInvoice: process.env.ATTACH_INVOICE_TO_CONFIRMATION !== 'false'
     };
   }
 
@@ -130,11 +132,27 @@ class OrderNotificationService {
       // Generate plain text version
       const textContent = this.generateCustomerOrderConfirmationText(order);
 
+      // The confirmation still goes out if the invoice cannot be generated
+      const attachments = [];
+      if (this.config.attachInvoice && order._id) {
+        try {
+          const pdf = await InvoiceService.generateInvoicePDF(order);
+          attachments.push({
+            filename: `invoice-${order.invoice.number}.pdf`,
+            content: pdf,
+            contentType: 'application/pdf'
+          });
+        } catch (error) {
+          console.warn(`⚠️ Invoice not attached for order ${order.orderNumber}:`, error.message);
+        }
+      }
+
       const result = await this.emailService.sendEmail({
         to: order.customerInfo.email,
         subject,
         html: htmlContent,
-        text: textContent
+        text: textContent,
+        attachments
       });
 
       return result;
@@ -189,6 +207,196 @@ class OrderNotificationService {
     }
   }
 
+  /**
+   * Send notifications for an order cancelled by the customer
+   * Admin gets an alert; the customer gets the regular status update email
+   * @param {Object} order - Order object (already cancelled)
+   * @param {string} oldStatus - Status before cancellation
+   * @param {string} reason - Reason given by the customer
+   * @returns {Object} - Notification results
+   */
+  async sendOrderCancellationNotifications(order, oldStatus, reason = '') {
+    const results = {
+      adminNotification: null,
+      customerNotification: null,
+      success: false,
+      errors: []
+    };
+
+    if (this.config.enableAdminNotifications && this.config.adminEmail) {
+      try {
+        results.adminNotification = await this.sendAdminOrderCancelledNotification(order, oldStatus, reason);
+      } catch (error) {
+        results.errors.push(`Admin notification: ${error.message}`);
+        results.adminNotification = { success: false, error: error.message };
+      }
+    } else {
+      results.adminNotification = { success: false, error: 'Admin notifications disabled or admin email not configured' };
+    }
+
+    try {
+      results.customerNotification = await this.sendOrderStatusUpdate(order, oldStatus, 'cancelled', reason);
+    } catch (error) {
+      results.errors.push(`Customer notification: ${error.message}`);
+      results.customerNotification = { success: false, error: error.message };
+    }
+
+    results.success = (results.adminNotification?.success || results.customerNotification?.success);
+    return results;
+  }
+
+  /**
+   * Send admin alert for a customer cancellation
+   * @param {Object} order - Order object
+   * @param {string} oldStatus - Status before cancellation
+   * @param {string} reason - Reason given by the customer
+   * @returns {Object} - Email result
+   */
+  async sendAdminOrderCancelledNotification(order, oldStatus, reason = '') {
+    try {
+      const subject = `❌ ORDER CANCELLED #${order.orderNumber} - ${EmailTemplates.formatCurrency(order.total)}`;
+      const reasonText = reason || 'No reason given';
+
+      const text = `
+Order #${order.orderNumber} was cancelled by the customer.
+
+Customer: ${order.customerInfo?.name || ''} (${order.customerInfo?.phone || ''})
+Previous status: ${EmailTemplates.getStatusDisplay(oldStatus)}
+Total: ${EmailTemplates.formatCurrency(order.total)}
+Reason: ${reasonText}
+
+Cancelled on ${EmailTemplates.formatDate(new Date())}
+      `;
+
+      const html = `
+        <div style="font-family: Arial, sans-serif; padding: 20px; border: 2px solid #dc3545; border-radius: 8px;">
+          <h2 style="color: #dc3545;">❌ Order #${order.orderNumber} cancelled by customer</h2>
+          <p><strong>Customer:</strong> ${EmailTemplates.escapeHtml(order.customerInfo?.name)} (${EmailTemplates.escapeHtml(order.customerInfo?.phone)})</p>
+          <p><strong>Previous status:</strong> ${EmailTemplates.getStatusDisplay(oldStatus)}</p>
+          <p><strong>Total:</strong> ${EmailTemplates.formatCurrency(order.total)}</p>
+          <p><strong>Reason:</strong> ${EmailTemplates.escapeHtml(reasonText)}</p>
+          <p style="color: #666; font-size: 12px;">Cancelled on ${EmailTemplates.formatDate(new Date())}</p>
+        </div>
+      `;
+
+      return await this.emailService.sendEmail({
+        to: this.config.adminEmail,
+        subject,
+        html,
+        text
+      });
+    } catch (error) {
+      console.error('Error sending admin cancellation notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send admin alert for a new return request
+   * @param {Object} returnRequest - ReturnRequest document
+   * @returns {Object} - Email result
+   */
+  async sendAdminNewReturnNotification(returnRequest) {
+    if (!this.config.enableAdminNotifications || !this.config.adminEmail) {
+      return { success: false, error: 'Admin notifications disabled or admin email not configured' };
+    }
+
+    const itemsText = returnRequest.items.map(item =>
+      `- ${item.name}${item.size ? ` (Size: ${item.size})` : ''}${item.color ? ` (Color: ${item.color})` : ''} × ${item.quantity}`
+    ).join('\n');
+    const itemsHtml = returnRequest.items.map(item =>
+      `<li>${EmailTemplates.escapeHtml(item.name)}${item.size ? ` (Size: ${EmailTemplates.escapeHtml(item.size)})` : ''}${item.color ? ` (Color: ${EmailTemplates.escapeHtml(item.color)})` : ''} × ${item.quantity}</li>`
+    ).join('');
+    const photosHtml = (returnRequest.photos || []).map(url =>
+      `<a href="${EmailTemplates.escapeHtml(url)}">${EmailTemplates.escapeHtml(url)}</a>`
+    ).join('<br/>');
+
+    return this.emailService.sendEmail({
+      to: this.config.adminEmail,
+      subject: `↩️ RETURN REQUEST ${returnRequest.rmaNumber} for order #${returnRequest.orderNumber}`,
+      text: `
+Return ${returnRequest.rmaNumber} requested for order #${returnRequest.orderNumber}
+
+Customer: ${returnRequest.customerInfo?.name || ''} (${returnRequest.customerInfo?.phone || ''})
+Reason: ${returnRequest.reason}
+${returnRequest.comment ? `Comment: ${returnRequest.comment}\n` : ''}
+Items:
+${itemsText}
+
+Photos: ${(returnRequest.photos || []).length}
+      `,
+      html: `
+        <div style="font-family: Arial, sans-serif; padding: 20px; border: 2px solid #fd7e14; border-radius: 8px;">
+          <h2 style="color: #fd7e14;">↩️ Return ${returnRequest.rmaNumber} for order #${returnRequest.orderNumber}</h2>
+          <p><strong>Customer:</strong> ${EmailTemplates.escapeHtml(returnRequest.customerInfo?.name)} (${EmailTemplates.escapeHtml(returnRequest.customerInfo?.phone)})</p>
+          <p><strong>Reason:</strong> ${returnRequest.reason}</p>
+          ${returnRequest.comment ? `<p><strong>Comment:</strong> ${EmailTemplates.escapeHtml(returnRequest.comment)}</p>` : ''}
+          <ul>${itemsHtml}</ul>
+          ${photosHtml ? `<p><strong>Photos:</strong><br/>${photosHtml}</p>` : ''}
+        </div>
+      `
+    });
+  }
+
+  /**
+   * Send the customer an update for the current step of their return
+   * @param {Object} returnRequest - ReturnRequest document
+   * @returns {Object} - Email result
+   */
+  async sendReturnStatusUpdate(returnRequest) {
+    if (!this.config.enableCustomerNotifications || !returnRequest.customerInfo?.email) {
+      return { success: false, error: 'Customer notifications disabled or customer email not provided' };
+    }
+
+    const statusMessages = {
+      requested: 'We received your return request and will review it shortly.',
+      approved: 'Your return has been approved. Please send the items back to us.',
+      rejected: 'Unfortunately your return request could not be accepted.',
+      received: 'We received your returned items and are processing them.',
+      refunded: `Your refund of ${EmailTemplates.formatCurrency(returnRequest.refundAmount)} has been issued.`
+    };
+    const statusTitles = {
+      requested: 'Return requested',
+      approved: 'Return approved',
+      rejected: 'Return rejected',
+      received: 'Return received',
+      refunded: 'Return refunded'
+    };
+
+    const title = statusTitles[returnRequest.status] || returnRequest.status;
+    const message = statusMessages[returnRequest.status] || '';
+    const lastEntry = returnRequest.statusHistory[returnRequest.statusHistory.length - 1];
+    const note = returnRequest.status === 'rejected' ? returnRequest.rejectionReason : lastEntry?.note;
+
+    const result = await this.emailService.sendEmail({
+      to: returnRequest.customerInfo.email,
+      subject: `${title} ${returnRequest.rmaNumber} - Order #${returnRequest.orderNumber} - Damio Kids`,
+      text: `
+Hello ${returnRequest.customerInfo.name || ''},
+
+${message}
+
+Return: ${returnRequest.rmaNumber}
+Order: #${returnRequest.orderNumber}
+${note ? `Additional Information: ${note}\n` : ''}
+Damio Kids
+      `,
+      html: `
+        <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #17a2b8;">${title}</h2>
+          <p>Hello ${EmailTemplates.escapeHtml(returnRequest.customerInfo.name)},</p>
+          <p>${message}</p>
+          <p><strong>Return:</strong> ${returnRequest.rmaNumber}<br/><strong>Order:</strong> #${returnRequest.orderNumber}</p>
+          ${note ? `<p style="color: #666;">${EmailTemplates.escapeHtml(note)}</p>` : ''}
+          <p>Damio Kids</p>
+        </div>
+      `
+    });
+
+    console.log(`📧 Return update sent to ${returnRequest.customerInfo.email}: ${returnRequest.rmaNumber} → ${returnRequest.status}`);
+    return result;
+  }
+
   /**
    * Generate customer order confirmation text (plain text version)
    */
@@ -275,7 +483,7 @@ This email was sent on ${EmailTemplates.formatDate(new Date())}
             ${note ? `
               <div style="background-color: #f8f9fa; border-left: 4px solid #007bff; padding: 15px; margin: 20px 0;">
                 <p style="margin: 0; font-weight: bold; color: #333;">Additional Information:</p>
-                <p style="margin: 5px 0 0 0; color: #666;">${note}</p>
+                <p style="margin: 5px 0 0 0; color: #666;">${EmailTemplates.escapeHtml(note)}</p>
               </div>
             ` : ''}
 
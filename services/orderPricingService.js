@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const DeliveryQuoteService = require('./deliveryQuoteService');
+
+// Resolve models lazily: index.js registers its own Product schema, so
+// requiring ../models here would redefine it.
+const getProductModel = () => mongoose.model('Product');
+
+// Client prices are compared with a small tolerance to absorb float rounding
+const PRICE_TOLERANCE = 0.01;
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+class OrderPricingService {
+
+  /**
+   * Price an order from the catalog instead of trusting the storefront
+   * @param {Array} items - Items as sent by the client (productId/id, quantity, price, size, color)
+   * @param {Object} delivery - { wilaya, commune, deliveryType, clientFee }
+   * @returns {Object} - Authoritative items and totals plus any issues found;
+   *   delivery is the DeliveryQuoteService quote the fee comes from
+   */
+  static async priceOrder(items, delivery = {}) {
+    const issues = [];
+    const priceMismatches = [];
+    const pricedItems = [];
+
+    const products = await this.loadProducts(items);
+
+    items.forEach((item, index) => {
+      const ref = item.productId ?? item.id;
+      const product = products.get(String(ref));
+      const quantity = Number(item.quantity);
+      const size = String(item.size || item.variant?.size || '').trim();
+      const color = String(item.color || item.variant?.color || '').trim();
+
+      if (!product) {
+        issues.push({ index, productId: ref, name: item.name, reason: 'not_found' });
+        return;
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+        issues.push({ index, productId: product.id, name: product.name, reason: 'invalid_quantity', quantity: item.quantity });
+        return;
+      }
+
+      if (product.status !== 'active' || product.avilable === false) {
+        issues.push({ index, productId: product.id, name: product.name, reason: 'unavailable' });
+        return;
+      }
+
+      if (size && Array.isArray(product.sizes) && product.sizes.length && !product.sizes.includes(size)) {
+        issues.push({ index, productId: product.id, name: product.name, reason: 'invalid_size', size });
+        return;
+      }
+
+      if (color && Array.isArray(product.colors) && product.colors.length && !product.colors.includes(color)) {
+        issues.push({ index, productId: product.id, name: product.name, reason: 'invalid_color', color });
+        return;
+      }
+
+      const unitPrice = round2(product.new_price);
+      if (item.price != null && Math.abs(Number(item.price) - unitPrice) > PRICE_TOLERANCE) {
+        priceMismatches.push({
+          index,
+          productId: product.id,
+          name: product.name,
+          size,
+          color,
+          clientPrice: Number(item.price),
+          currentPrice: unitPrice
+        });
+      }
+
+      pricedItems.push({
+        productId: product.id ?? product._id,
+        name: product.name,
+        image: product.image || item.image,
+        price: unitPrice,
+        quantity,
+        size,
+        color,
+        category: product.category || undefined,
+        categoryId: product.categoryId ? String(product.categoryId) : undefined,
+        subtotal: round2(unitPrice * quantity)
+      });
+    });
+
+    const subtotal = round2(pricedItems.reduce((sum, it) => sum + it.subtotal, 0));
+    const deliveryQuote = await DeliveryQuoteService.quote({ ...delivery, subtotal });
+    const deliveryFee = deliveryQuote.available ? deliveryQuote.fee : null;
+
+    let deliveryFeeMismatch = null;
+    // A storefront that showed the full fee when the cart reached free delivery is not a mismatch
+    const clientFee = Number(delivery.clientFee);
+    const showedBaseFee = deliveryQuote.freeDelivery && Math.abs(clientFee - deliveryQuote.baseFee) <= PRICE_TOLERANCE;
+    if (deliveryQuote.available && delivery.clientFee != null && !showedBaseFee &&
+        Math.abs(clientFee - deliveryFee) > PRICE_TOLERANCE) {
+      deliveryFeeMismatch = { clientFee: Number(delivery.clientFee), currentFee: deliveryFee };
+    }
+
+    return {
+      items: pricedItems,
+      subtotal,
+      deliveryFee,
+      total: deliveryQuote.available ? round2(subtotal + deliveryFee) : null,
+      deliveryAvailable: deliveryQuote.available,
+      delivery: deliveryQuote,
+      issues,
+      priceMismatches,
+      deliveryFeeMismatch
+    };
+  }
+
+  /**
+   * Load every referenced product in at most two queries
+   * @param {Array} items - Client items
+   * @returns {Map} - Product documents keyed by the reference the client used
+   */
+  static async loadProducts(items) {
+    const Product = getProductModel();
+    const numericIds = new Set();
+    const objectIds = new Set();
+
+    for (const item of items) {
+      const ref = String(item.productId ?? item.id ?? '').trim();
+      if (/^\d+$/.test(ref)) numericIds.add(Number(ref));
+      else if (/^[0-9a-fA-F]{24}$/.test(ref)) objectIds.add(ref);
+    }
+
+    const [byNumericId, byObjectId] = await Promise.all([
+      numericIds.size ? Product.find({ id: { $in: [...numericIds] } }).lean() : [],
+      objectIds.size ? Product.find({ _id: { $in: [...objectIds] } }).lean() : []
+    ]);
+
+    const products = new Map();
+    byNumericId.forEach(p => products.set(String(p.id), p));
+    byObjectId.forEach(p => products.set(String(p._id), p));
+    return products;
+  }
+}
+
+module.exports = OrderPricingService;
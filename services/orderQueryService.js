@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('../middleware/errorHandler');
+const { phoneKey } = require('../utils/phone');
+
+/**
+ * Order Query Service
+ * Filtering, free-text search, sorting and cursor pagination for the admin
+ * order list and its exports.
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+
+// Sortable fields and the order property their value is read from
+const SORT_FIELDS = {
+  date: 'date',
+  total: 'total',
+  orderNumber: 'orderNumber',
+  status: 'status',
+  riskScore: 'risk.score'
+};
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comma-separated or repeated query params → array
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim()).filter(Boolean);
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ValidationError(`Invalid ${name} date`);
+  return date;
+};
+
+const parseNumber = (value, name) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new ValidationError(`Invalid ${name}`);
+  return n;
+};
+
+class OrderQueryService {
+
+  /**
+   * Build the MongoDB filter for the admin order list
+   * @param {Object} filters - { status, paymentStatus, wilaya, deliveryType,
+   *   startDate, endDate, minTotal, maxTotal, flagged, minRiskScore, q }
+   */
+  static buildQuery(filters = {}) {
+    const query = {};
+    const and = [];
+
+    const statuses = toList(filters.status);
+    if (statuses.length) {
+      const invalid = statuses.filter(s => !ORDER_STATUSES.includes(s));
+      if (invalid.length) throw new ValidationError(`Invalid status: ${invalid.join(', ')}`);
+      query.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+    }
+
+    const paymentStatuses = toList(filters.paymentStatus);
+    if (paymentStatuses.length) {
+      const invalid = paymentStatuses.filter(s => !PAYMENT_STATUSES.includes(s));
+      if (invalid.length) throw new ValidationError(`Invalid paymentStatus: ${invalid.join(', ')}`);
+      query.paymentStatus = paymentStatuses.length === 1 ? paymentStatuses[0] : { $in: paymentStatuses };
+    }
+
+    const wilayas = toList(filters.wilaya);
+    if (wilayas.length) {
+      query['shippingAddress.wilaya'] = wilayas.length === 1 ? wilayas[0] : { $in: wilayas };
+    }
+
+    if (filters.deliveryType) {
+      if (!['home', 'pickup'].includes(filters.deliveryType)) {
+        throw new ValidationError('deliveryType must be home or pickup');
+      }
+      query.deliveryType = filters.deliveryType;
+    }
+
+    if (filters.startDate || filters.endDate) {
+      query.date = {};
+      if (filters.startDate) query.date.$gte = parseDate(filters.startDate, 'start');
+      if (filters.endDate) {
+        const end = parseDate(filters.endDate, 'end');
+        // A bare YYYY-MM-DD end date includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(filters.endDate))) end.setUTCHours(23, 59, 59, 999);
+        query.date.$lte = end;
+      }
+    }
+
+    if (hasValue(filters.minTotal) || hasValue(filters.maxTotal)) {
+      query.total = {};
+      if (hasValue(filters.minTotal)) query.total.$gte = parseNumber(filters.minTotal, 'minTotal');
+      if (hasValue(filters.maxTotal)) query.total.$lte = parseNumber(filters.maxTotal, 'maxTotal');
+    }
+
+    if (hasValue(filters.flagged)) {
+      query['risk.flagged'] = String(filters.flagged) === 'true';
+    }
+    if (hasValue(filters.minRiskScore)) {
+      query['risk.score'] = { $gte: parseNumber(filters.minRiskScore, 'minRiskScore') };
+    }
+
+    const search = String(filters.q || '').trim().slice(0, 100);
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      const or = [
+        // Anchored, so the orderNumber index can be used
+        { orderNumber: new RegExp(`^${escapeRegex(search.toUpperCase())}`) },
+        { 'customerInfo.name': pattern },
+        { 'shippingAddress.fullName': pattern },
+        { 'customerInfo.email': pattern }
+      ];
+
+      // Phones are stored as typed ("0555 12 34 56", "+213555..."): match the
+      // local digits with any separators in between
+      const digits = phoneKey(search);
+      if (digits.length >= 4 && /^[\d\s+\-().]+$/.test(search)) {
+        const phonePattern = new RegExp(digits.split('').join('[\\s\\-().]*'));
+        or.push({ 'customerInfo.phone': phonePattern }, { 'shippingAddress.phone': phonePattern });
+      }
+      and.push({ $or: or });
+    }
+
+    if (and.length) query.$and = and;
+    return query;
+  }
+
+  /**
+   * Validate the sort parameters
+   * @param {string} sortBy - One of SORT_FIELDS
+   * @param {string} sortOrder - asc | desc
+   */
+  static parseSort(sortBy = 'date', sortOrder = 'desc') {
+    const field = SORT_FIELDS[sortBy];
+    if (!field) {
+      throw new ValidationError(`sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    return { field, direction: String(sortOrder).toLowerCase() === 'asc' ? 1 : -1 };
+  }
+
+  static encodeCursor(order, field) {
+    const value = field.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), order);
+    return Buffer.from(JSON.stringify({
+      v: value instanceof Date ? { $date: value.toISOString() } : value,
+      id: String(order._id)
+    })).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+      return {
+        value: v && typeof v === 'object' && v.$date ? new Date(v.$date) : v,
+        id: new mongoose.Types.ObjectId(id)
+      };
+    } catch {
+      throw new ValidationError('Invalid cursor');
+    }
+  }
+
+  /**
+   * One page of orders, continuing after `cursor`
+   * Ties on the sort field are broken by _id so pages never overlap.
+   * @param {Object} params - filters plus { sortBy, sortOrder, cursor, limit }
+   * @returns {Object} - { orders, pagination: { limit, nextCursor, hasMore, total } }
+   */
+  static async listOrders(params = {}) {
+    const Order = getOrderModel();
+    const query = this.buildQuery(params);
+    const { field, direction } = this.parseSort(params.sortBy, params.sortOrder);
+    const limit = Math.min(100, Math.max(1, parseInt(params.limit) || 25));
+
+    const pageQuery = { ...query };
+    if (params.cursor) {
+      const { value, id } = this.decodeCursor(params.cursor);
+      const op = direction === 1 ? '$gt' : '$lt';
+      pageQuery.$and = [
+        ...(query.$and || []),
+        { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] }
+      ];
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(pageQuery)
+        .sort({ [field]: direction, _id: direction })
+        .limit(limit + 1)
+        .select('-statusHistory')
+        .lean(),
+      // Total for the filter, not for the remaining pages
+      Order.countDocuments(query)
+    ]);
+
+    const hasMore = orders.length > limit;
+    const page = hasMore ? orders.slice(0, limit) : orders;
+
+    return {
+      orders: page,
+      pagination: {
+        limit,
+        total,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], field) : null
+      }
+    };
+  }
+
+  /**
+   * Cursor over every order matching the filters, for exports
+   * @param {Object} params - filters plus { sortBy, sortOrder }
+   */
+  static getOrderCursor(params = {}) {
+    const query = this.buildQuery(params);
+    const { field, direction } = this.parseSort(params.sortBy, params.sortOrder);
+    return getOrderModel()
+      .find(query)
+      .sort({ [field]: direction, _id: direction })
+      .select('-statusHistory')
+      .lean()
+      .cursor({ batchSize: 500 });
+  }
+
+  /**
+   * Flat export row for an order
+   */
+  static toExportRow(order) {
+    return {
+      orderNumber: order.orderNumber,
+      date: order.date,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      paymentMethod: order.paymentMethod,
+      customerName: order.customerInfo?.name,
+      email: order.customerInfo?.email,
+      phone: order.customerInfo?.phone,
+      wilaya: order.shippingAddress?.wilaya,
+      commune: order.shippingAddress?.commune,
+      address: order.shippingAddress?.address,
+      deliveryType: order.deliveryType,
+      items: (order.items || []).reduce((sum, item) => sum + Number(item.quantity || 0), 0),
+      subtotal: order.subtotal,
+      deliveryFee: order.deliveryFee,
+      discount: order.financials?.orderDiscount || 0,
+      refunded: order.financials?.refundedAmount || 0,
+      total: order.total,
+      trackingNumber: order.trackingNumber,
+      riskScore: order.risk?.score ?? 0,
+      riskReasons: (order.risk?.reasons || []).map(r => r.code).join(' ')
+    };
+  }
+}
+
+OrderQueryService.EXPORT_COLUMNS = [
+  { key: 'orderNumber', header: 'Order Number' },
+  { key: 'date', header: 'Date' },
+  { key: 'status', header: 'Status' },
+  { key: 'paymentStatus', header: 'Payment Status' },
+  { key: 'paymentMethod', header: 'Payment Method' },
+  { key: 'customerName', header: 'Customer' },
+  { key: 'email', header: 'Email' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'wilaya', header: 'Wilaya' },
+  { key: 'commune', header: 'Commune' },
+  { key: 'address', header: 'Address' },
+  { key: 'deliveryType', header: 'Delivery Type' },
+  { key: 'items', header: 'Items' },
+  { key: 'subtotal', header: 'Subtotal' },
+  { key: 'deliveryFee', header: 'Delivery Fee' },
+  { key: 'discount', header: 'Discount' },
+  { key: 'refunded', header: 'Refunded' },
+  { key: 'total', header: 'Total' },
+  { key: 'trackingNumber', header: 'Tracking Number' },
+  { key: 'riskScore', header: 'Risk Score' },
+  { key: 'riskReasons', header: 'Risk Reasons' }
+];
+
+module.exports = OrderQueryService;
@@ -0,0 +1,194 @@
+const { CodedError } = require('../middleware/errorHandler');
+const InventoryService = require('./inventoryService');
+const CouponService = require('./couponService');
+const GiftCardService = require('./giftCardService');
+const StoreCreditService = require('./storeCreditService');
+const LoyaltyService = require('./loyaltyService');
+
+/**
+ * Order Status State Machine
+ * Single source of truth for which status changes are allowed, what must hold
+ * before a change (guards) and what happens when an order enters a status (hooks).
+ */
+
+// Allowed next statuses for each status
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  // confirmed → shipped lets admins ship straight away once a tracking number exists
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  // shipped → returned covers parcels refused at the door
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Guards return an error message when the transition must be refused
+const TRANSITION_GUARDS = {
+  // Flagged COD orders wait for the risk review (cleared or rejected) first
+  'pending->confirmed': (order) => (
+    order.risk?.review?.status === 'pending'
+      ? 'This order is waiting for a risk review'
+      : null
+  ),
+  'processing->shipped': (order) => (
+    order.paymentMethod !== 'cash_on_delivery' && order.paymentStatus !== 'paid'
+      ? 'Prepaid orders must be paid before they are shipped'
+      : null
+  ),
+  'confirmed->shipped': (order) => {
+    if (!order.trackingNumber) return 'A tracking number is required to ship a confirmed order directly';
+    return TRANSITION_GUARDS['processing->shipped'](order);
+  },
+  'delivered->returned': (order) => (
+    order.canReturn === false ? 'The return window for this order has closed' : null
+  )
+};
+
+// Side effects run when an order enters a status (after status and history are set)
+const STATUS_HOOKS = {
+  delivered: [
+    (order) => {
+      if (!order.actualDeliveryDate) order.actualDeliveryDate = new Date();
+    },
+    (order, ctx) => InventoryService.syncOrderStock(order, 'delivered', ctx),
+    (order, ctx) => LoyaltyService.earnForOrder(order, ctx)
+  ],
+  cancelled: [
+    (order, ctx) => {
+      if (ctx.note && !order.cancellationReason) order.cancellationReason = ctx.note;
+    },
+    (order, ctx) => InventoryService.syncOrderStock(order, 'cancelled', ctx),
+    // Cancelled orders give their coupon uses back
+    (order, ctx) => CouponService.releaseForOrder(order, ctx),
+    // ...and the gift card and store credit amounts they were paid with
+    (order, ctx) => GiftCardService.releaseForOrder(order, ctx),
+    (order, ctx) => StoreCreditService.releaseForOrder(order, ctx),
+    (order, ctx) => LoyaltyService.releaseForOrder(order, ctx)
+  ],
+  returned: [
+    (order, ctx) => InventoryService.syncOrderStock(order, 'returned', ctx),
+    (order, ctx) => LoyaltyService.reverseForOrder(order, ctx),
+    // A parcel refused at the door was never paid for on delivery; prepaid
+    // amounts and redeemed points go back as on cancellation (delivered
+    // orders are refunded instead)
+    async (order, ctx) => {
+      if (order.actualDeliveryDate) return;
+      await GiftCardService.releaseForOrder(order, ctx);
+      await StoreCreditService.releaseForOrder(order, ctx);
+      await LoyaltyService.releaseForOrder(order, ctx);
+    }
+  ]
+};
+
+class OrderTransitionError extends CodedError {
+  constructor(message, code, details = {}) {
+    super(message, code, 409, details);
+  }
+}
+
+class OrderStateMachine {
+
+  /**
+   * Statuses reachable from the given status (ignoring guards)
+   * @param {string} status - Current status
+   */
+  static getAllowedTransitions(status) {
+    return ORDER_TRANSITIONS[status] || [];
+  }
+
+  /**
+   * Check whether an order may move to a status
+   * @param {Object} order - Order document
+   * @param {string} toStatus - Target status
+   * @returns {Object} - { allowed, code, reason }
+   */
+  static canTransition(order, toStatus) {
+    const from = order.status;
+
+    if (!ORDER_STATUSES.includes(toStatus)) {
+      return { allowed: false, code: 'INVALID_STATUS', reason: `Unknown order status: ${toStatus}` };
+    }
+
+    if (!this.getAllowedTransitions(from).includes(toStatus)) {
+      return {
+        allowed: false,
+        code: 'ILLEGAL_STATUS_TRANSITION',
+        reason: `Order cannot move from ${from} to ${toStatus}`
+      };
+    }
+
+    const guard = TRANSITION_GUARDS[`${from}->${toStatus}`];
+    const guardError = guard ? guard(order) : null;
+    if (guardError) {
+      return { allowed: false, code: 'TRANSITION_GUARD_FAILED', reason: guardError };
+    }
+
+    return { allowed: true, code: null, reason: null };
+  }
+
+  /**
+   * Next actions available for an order, with the reason blocked ones are refused
+   * @param {Object} order - Order document
+   */
+  static getAvailableActions(order) {
+    return this.getAllowedTransitions(order.status).map(status => {
+      const check = this.canTransition(order, status);
+      return { status, allowed: check.allowed, reason: check.reason };
+    });
+  }
+
+  /**
+   * Move an order to a new status
+   * Validates the transition, records it in statusHistory and runs the status
+   * hooks. The caller is responsible for saving the order.
+   * @param {Object} order - Order document
+   * @param {string} toStatus - Target status
+   * @param {Object} ctx - { note, updatedBy, session, actor }
+   */
+  static async transition(order, toStatus, ctx = {}) {
+    const from = order.status;
+    const check = this.canTransition(order, toStatus);
+
+    if (!check.allowed) {
+      throw new OrderTransitionError(check.reason, check.code, {
+        from,
+        to: toStatus,
+        allowed: this.getAllowedTransitions(from)
+      });
+    }
+
+    order.status = toStatus;
+    order.statusHistory.push({
+      status: toStatus,
+      date: new Date(),
+      note: String(ctx.note || '').slice(0, 200),
+      updatedBy: ctx.updatedBy || 'system'
+    });
+
+    for (const hook of STATUS_HOOKS[toStatus] || []) {
+      await hook(order, ctx);
+    }
+
+    return { from, to: toStatus };
+  }
+
+  /**
+   * Transition table for clients (admin UI)
+   */
+  static getTransitionTable() {
+    return ORDER_STATUSES.map(status => ({
+      status,
+      next: ORDER_TRANSITIONS[status],
+      terminal: ORDER_TRANSITIONS[status].length === 0,
+      guarded: ORDER_TRANSITIONS[status].filter(to => TRANSITION_GUARDS[`${status}->${to}`])
+    }));
+  }
+}
+
+module.exports = OrderStateMachine;
+module.exports.OrderTransitionError = OrderTransitionError;
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
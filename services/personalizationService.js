@@ -117,8 +117,9 @@ class PersonalizationService {
       const user = await User.findById(userId).lean();
       
       // Get user's order history
+      // Includes guest orders linked to the account (GuestOrderLinkService)
       const orders = await Order.find({
-        'customerInfo.userId': userId,
+        userId: String(userId),
         status: { $in: ['delivered', 'processing', 'shipped'] }
       }).populate('items.productId').lean();
       
@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const PriceSchedule = require('../models/PriceSchedule');
+
+/**
+ * Price Schedule Service
+ * Starts and ends scheduled sales: at startsAt the sale price goes into
+ * new_price (the regular price moves to old_price) and isPromo/on_sale are
+ * set; at endsAt the previous values come back. A product is in at most one
+ * sale at a time (product.activeSale).
+ */
+
+// Product model is registered in index.js; resolve lazily
+const getProductModel = () => mongoose.model('Product');
+
+class PriceScheduleError extends CodedError {}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+class PriceScheduleService {
+
+  /**
+   * Products a sale covers (category sales are resolved when they start)
+   */
+  static async resolveProducts(schedule) {
+    const Product = getProductModel();
+    if (schedule.scope === 'product') {
+      return Product.find({ id: { $in: schedule.productIds } }).lean();
+    }
+    const or = [{ category: schedule.category }];
+    if (mongoose.Types.ObjectId.isValid(schedule.category)) or.push({ categoryId: schedule.category });
+    return Product.find({ $or: or }).lean();
+  }
+
+  static getSalePrice(schedule, product) {
+    if (schedule.discountType === 'price') return round2(schedule.value);
+    return Math.round(Number(product.new_price || 0) * (100 - schedule.value) / 100);
+  }
+
+  /**
+   * Put a sale's prices in place
+   * @returns {Object} - { applied, skipped }
+   */
+  static async applySchedule(scheduleId, { now = new Date() } = {}) {
+    const schedule = await PriceSchedule.findOneAndUpdate(
+      { _id: scheduleId, status: 'scheduled' },
+      { $set: { status: 'active', appliedAt: now } },
+      { new: true }
+    );
+    if (!schedule) return null;
+
+    const Product = getProductModel();
+    const products = await this.resolveProducts(schedule);
+    let applied = 0;
+    const skip = (product, reason) => PriceSchedule.updateOne(
+      { _id: schedule._id },
+      { $push: { skippedProducts: { productId: product._id, id: product.id, name: product.name, reason } } }
+    );
+
+    for (const product of products) {
+      const salePrice = this.getSalePrice(schedule, product);
+      // A steep percent off a cheap product can round down to nothing
+      if (!(salePrice > 0)) {
+        await skip(product, 'Sale price must be above 0');
+        continue;
+      }
+      if (!(salePrice < Number(product.new_price || 0))) {
+        await skip(product, 'Sale price is not below the current price');
+        continue;
+      }
+
+      // Only if the product is not in another sale and its price did not just change
+      const before = await Product.findOneAndUpdate(
+        { _id: product._id, activeSale: null, new_price: product.new_price },
+        {
+          $set: {
+            new_price: salePrice,
+            old_price: product.new_price,
+            isPromo: true,
+            on_sale: true,
+            activeSale: schedule._id
+          }
+        },
+        { new: false }
+      ).lean();
+      if (!before) {
+        await skip(product, 'Product is already in another sale');
+        continue;
+      }
+
+      await PriceSchedule.updateOne({ _id: schedule._id }, {
+        $push: {
+          appliedProducts: {
+            productId: before._id,
+            id: before.id,
+            name: before.name,
+            previous: {
+              new_price: before.new_price,
+              old_price: before.old_price,
+              isPromo: !!before.isPromo,
+              on_sale: !!before.on_sale
+            },
+            salePrice,
+            appliedAt: now
+          }
+        }
+      });
+      applied++;
+    }
+
+    console.log(`🏷️ Sale "${schedule.name}" started: ${applied} product(s) repriced, ${products.length - applied} skipped`);
+    return { applied, skipped: products.length - applied };
+  }
+
+  /**
+   * Restore the prices a sale replaced
+   * A price edited by hand during the sale is kept; only the strike-through
+   * price and the sale flags are restored.
+   * @param {string} status - completed (ended on time) or cancelled
+   * @returns {Object} - { reverted, kept }
+   */
+  static async revertSchedule(scheduleId, { now = new Date(), status = 'completed' } = {}) {
+    const schedule = await PriceSchedule.findOneAndUpdate(
+      { _id: scheduleId, status: 'active' },
+      { $set: { status, [status === 'cancelled' ? 'cancelledAt' : 'completedAt']: now } },
+      { new: true }
+    );
+    if (!schedule) return null;
+
+    const Product = getProductModel();
+    let reverted = 0;
+    let kept = 0;
+
+    for (const entry of schedule.appliedProducts.filter(p => !p.revertedAt)) {
+      const previous = entry.previous || {};
+      const restored = await Product.updateOne(
+        { _id: entry.productId, activeSale: schedule._id, new_price: entry.salePrice },
+        {
+          $set: {
+            new_price: previous.new_price,
+            old_price: previous.old_price,
+            isPromo: !!previous.isPromo,
+            on_sale: !!previous.on_sale,
+            activeSale: null
+          }
+        }
+      );
+
+      let revertNote = null;
+      if (restored.modifiedCount) {
+        reverted++;
+      } else {
+        const released = await Product.updateOne(
+          { _id: entry.productId, activeSale: schedule._id },
+          {
+            $set: {
+              old_price: previous.old_price,
+              isPromo: !!previous.isPromo,
+              on_sale: !!previous.on_sale,
+              activeSale: null
+            }
+          }
+        );
+        if (released.modifiedCount) {
+          revertNote = 'Price was changed during the sale; current price kept';
+          kept++;
+        } else {
+          revertNote = 'Product no longer in this sale';
+        }
+      }
+
+      await PriceSchedule.updateOne(
+        { _id: schedule._id, 'appliedProducts.productId': entry.productId },
+        { $set: { 'appliedProducts.$.revertedAt': now, 'appliedProducts.$.revertNote': revertNote } }
+      );
+    }
+
+    console.log(`🏷️ Sale "${schedule.name}" ${status}: ${reverted} price(s) restored, ${kept} kept`);
+    return { reverted, kept };
+  }
+
+  /**
+   * Start and end due sales (scheduler and admin cron entry point)
+   * Sales are ended before new ones start, so back-to-back sales on the same
+   * products hand over cleanly.
+   * @returns {Object} - { ended, started, expired }
+   */
+  static async run({ now = new Date() } = {}) {
+    const summary = { ended: [], started: [], expired: 0 };
+
+    const ending = await PriceSchedule.find({ status: 'active', endsAt: { $lte: now } }).select('_id name').lean();
+    for (const schedule of ending) {
+      const result = await this.revertSchedule(schedule._id, { now });
+      if (result) summary.ended.push({ id: schedule._id, name: schedule.name, ...result });
+    }
+
+    // Sales whose whole window passed while the scheduler was not running
+    const expired = await PriceSchedule.updateMany(
+      { status: 'scheduled', endsAt: { $lte: now } },
+      { $set: { status: 'completed', completedAt: now } }
+    );
+    summary.expired = expired.modifiedCount || 0;
+
+    const starting = await PriceSchedule.find({ status: 'scheduled', startsAt: { $lte: now }, endsAt: { $gt: now } })
+      .sort({ startsAt: 1 })
+      .select('_id name')
+      .lean();
+    for (const schedule of starting) {
+      const result = await this.applySchedule(schedule._id, { now });
+      if (result) summary.started.push({ id: schedule._id, name: schedule.name, ...result });
+    }
+
+    return summary;
+  }
+
+  // ===== Admin =====
+
+  static pickFields(data = {}) {
+    const fields = ['name', 'scope', 'productIds', 'category', 'discountType', 'value', 'startsAt', 'endsAt'];
+    const picked = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) picked[field] = data[field] === '' ? null : data[field];
+    }
+    if (picked.productIds) picked.productIds = [].concat(picked.productIds).map(Number);
+    return picked;
+  }
+
+  static toPriceScheduleError(error) {
+    if (error?.name === 'ValidationError' || error?.name === 'CastError') {
+      return new PriceScheduleError(error.message, 'INVALID_SALE');
+    }
+    return error;
+  }
+
+  static async checkProducts(schedule) {
+    if (schedule.scope !== 'product') return;
+    const found = await getProductModel().find({ id: { $in: schedule.productIds } }).select('id').lean();
+    const missing = schedule.productIds.filter(id => !found.some(p => p.id === id));
+    if (missing.length) {
+      throw new PriceScheduleError('Some products do not exist', 'PRODUCT_NOT_FOUND', 404, { missing });
+    }
+  }
+
+  static async getById(id) {
+    const schedule = mongoose.Types.ObjectId.isValid(id) ? await PriceSchedule.findById(id) : null;
+    if (!schedule) throw new PriceScheduleError('Sale not found', 'SALE_NOT_FOUND', 404);
+    return schedule;
+  }
+
+  static async create(data, { admin = {} } = {}) {
+    const schedule = new PriceSchedule({ ...this.pickFields(data), createdBy: admin.email || null });
+    try {
+      await schedule.validate();
+    } catch (error) {
+      throw this.toPriceScheduleError(error);
+    }
+    await this.checkProducts(schedule);
+    return schedule.save();
+  }
+
+  /**
+   * Edit a sale that has not started yet
+   */
+  static async update(id, data) {
+    const schedule = await this.getById(id);
+    if (schedule.status !== 'scheduled') {
+      throw new PriceScheduleError(`A ${schedule.status} sale cannot be edited`, 'SALE_NOT_EDITABLE', 409);
+    }
+    schedule.set(this.pickFields(data));
+    try {
+      await schedule.validate();
+    } catch (error) {
+      throw this.toPriceScheduleError(error);
+    }
+    await this.checkProducts(schedule);
+    return schedule.save();
+  }
+
+  /**
+   * Cancel a sale; a running sale is ended now and its prices restored
+   */
+  static async cancel(id, { now = new Date() } = {}) {
+    const schedule = await this.getById(id);
+    if (schedule.status === 'active') {
+      await this.revertSchedule(schedule._id, { now, status: 'cancelled' });
+    } else if (schedule.status === 'scheduled') {
+      await PriceSchedule.updateOne(
+        { _id: schedule._id, status: 'scheduled' },
+        { $set: { status: 'cancelled', cancelledAt: now } }
+      );
+    } else {
+      throw new PriceScheduleError(`Sale is already ${schedule.status}`, 'SALE_NOT_CANCELLABLE', 409);
+    }
+    return this.getById(id);
+  }
+
+  static async list({ status, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = String(status);
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [sales, total] = await Promise.all([
+      PriceSchedule.find(query).sort({ startsAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+      PriceSchedule.countDocuments(query)
+    ]);
+
+    return {
+      sales,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalSales: total,
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Running and upcoming sales for the admin dashboard
+   * @returns {Object} - { active, upcoming }
+   */
+  static async getOverview({ now = new Date() } = {}) {
+    const [active, upcoming] = await Promise.all([
+      PriceSchedule.find({ status: 'active' }).sort({ endsAt: 1 }).lean(),
+      PriceSchedule.find({ status: 'scheduled', endsAt: { $gt: now } }).sort({ startsAt: 1 }).lean()
+    ]);
+
+    const summarize = (schedule) => ({
+      id: schedule._id,
+      name: schedule.name,
+      scope: schedule.scope,
+      category: schedule.category,
+      discountType: schedule.discountType,
+      value: schedule.value,
+      startsAt: schedule.startsAt,
+      endsAt: schedule.endsAt,
+      status: schedule.status
+    });
+
+    return {
+      active: active.map(schedule => ({
+        ...summarize(schedule),
+        products: schedule.appliedProducts.filter(p => !p.revertedAt).length,
+        skipped: schedule.skippedProducts.length,
+        endsInHours: Math.max(0, Math.round((schedule.endsAt - now) / 36e5))
+      })),
+      upcoming: upcoming.map(schedule => ({
+        ...summarize(schedule),
+        products: schedule.scope === 'product' ? schedule.productIds.length : null,
+        startsInHours: Math.max(0, Math.round((schedule.startsAt - now) / 36e5))
+      }))
+    };
+  }
+}
+
+module.exports = PriceScheduleService;
+module.exports.PriceScheduleError = PriceScheduleError;
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const Promotion = require('../models/Promotion');
+
+/**
+ * Promotion Service
+ * Evaluates automatic promotions (no code needed) against a priced cart and
+ * returns the discount for each line. Each unit in the cart is used by at
+ * most one promotion, so promotions never stack on the same item.
+ */
+
+class PromotionError extends CodedError {}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const matchesConditions = (conditions = {}, item) => {
+  const categories = conditions.categories || [];
+  const products = conditions.products || [];
+  if (!categories.length && !products.length) return true;
+  return products.includes(String(item.productId)) ||
+    categories.includes(String(item.category || '')) ||
+    (item.categoryId && categories.includes(String(item.categoryId)));
+};
+
+class PromotionService {
+
+  /**
+   * Promotions running at a given time, in the order they are applied
+   */
+  static async getActivePromotions({ now = new Date(), session = null } = {}) {
+    return Promotion.find({
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+      ]
+    }).sort({ priority: -1, createdAt: 1 }).session(session).lean();
+  }
+
+  /**
+   * Discount for one group of units (sorted most expensive first)
+   * @returns {Array} - Discount per unit of the group
+   */
+  static discountGroup(effect, group) {
+    if (effect.type === 'bundle_price') {
+      const groupTotal = group.reduce((sum, unit) => sum + unit.price, 0);
+      const discount = Math.max(0, groupTotal - Number(effect.bundlePrice || 0));
+      if (!discount) return group.map(() => 0);
+      // Spread over the units by price; the last unit takes the rounding
+      const shares = group.map(unit => round2(discount * unit.price / groupTotal));
+      shares[shares.length - 1] = round2(discount - shares.slice(0, -1).reduce((a, b) => a + b, 0));
+      return shares;
+    }
+
+    const percent = effect.type === 'free_item' ? 100 : Number(effect.percent || 0);
+    const discounted = Math.min(effect.discountedUnits || 1, group.length);
+    return group.map((unit, i) => (i >= group.length - discounted ? round2(unit.price * percent / 100) : 0));
+  }
+
+  /**
+   * Apply promotions to cart lines
+   * @param {Array} items - Priced items (OrderPricingService): { productId, category, price, quantity }
+   * @param {Array} promotions - Promotions in priority order
+   * @returns {Object} - { lines: [{ index, discount, promotions: [{ promotionId, name, amount }] }],
+   *   applied: [{ promotionId, name, amount, combinesWithCoupons }], totalDiscount }
+   */
+  static evaluate(items, promotions) {
+    const units = [];
+    items.forEach((item, index) => {
+      for (let i = 0; i < Number(item.quantity || 0); i++) {
+        units.push({ index, price: Number(item.price || 0), used: false });
+      }
+    });
+
+    const lines = items.map((item, index) => ({ index, discount: 0, promotions: [] }));
+    const applied = [];
+
+    for (const promotion of promotions) {
+      const { conditions = {}, effect = {} } = promotion;
+      const eligible = units
+        .filter(unit => !unit.used && matchesConditions(conditions, items[unit.index]))
+        .sort((a, b) => b.price - a.price);
+      const eligibleSubtotal = eligible.reduce((sum, unit) => sum + unit.price, 0);
+
+      const groupSize = Number(effect.quantity || 0);
+      if (!groupSize || eligible.length < Math.max(groupSize, conditions.minQuantity || 0)) continue;
+      if (eligibleSubtotal < Number(conditions.minSubtotal || 0)) continue;
+
+      let groups = Math.floor(eligible.length / groupSize);
+      if (promotion.maxApplications) groups = Math.min(groups, promotion.maxApplications);
+
+      const perLine = new Map();
+      for (let g = 0; g < groups; g++) {
+        const group = eligible.slice(g * groupSize, (g + 1) * groupSize);
+        const discounts = this.discountGroup(effect, group);
+        group.forEach((unit, i) => {
+          unit.used = true;
+          if (discounts[i]) perLine.set(unit.index, round2((perLine.get(unit.index) || 0) + discounts[i]));
+        });
+      }
+
+      const amount = round2([...perLine.values()].reduce((a, b) => a + b, 0));
+      if (!amount) continue;
+
+      for (const [index, lineAmount] of perLine) {
+        lines[index].discount = round2(lines[index].discount + lineAmount);
+        lines[index].promotions.push({ promotionId: promotion._id, name: promotion.name, amount: lineAmount });
+      }
+      applied.push({
+        promotionId: promotion._id,
+        name: promotion.name,
+        amount,
+        combinesWithCoupons: promotion.combinesWithCoupons !== false
+      });
+    }
+
+    return {
+      lines,
+      applied,
+      totalDiscount: round2(applied.reduce((sum, p) => sum + p.amount, 0))
+    };
+  }
+
+  /**
+   * Evaluate the running promotions for a cart
+   */
+  static async applyToCart(items, { now = new Date(), session = null } = {}) {
+    const promotions = await this.getActivePromotions({ now, session });
+    return this.evaluate(items, promotions);
+  }
+
+  // ===== Admin =====
+
+  static pickFields(data = {}) {
+    const fields = [
+      'name', 'description', 'conditions', 'effect', 'maxApplications', 'priority',
+      'combinesWithCoupons', 'isActive', 'startsAt', 'endsAt'
+    ];
+    const picked = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) picked[field] = data[field] === '' ? null : data[field];
+    }
+    if (picked.conditions) {
+      picked.conditions = {
+        ...picked.conditions,
+        categories: [].concat(picked.conditions.categories || []).map(String),
+        products: [].concat(picked.conditions.products || []).map(String)
+      };
+    }
+    return picked;
+  }
+
+  static toPromotionError(error) {
+    if (error?.name === 'ValidationError' || error?.name === 'CastError') {
+      return new PromotionError(error.message, 'INVALID_PROMOTION');
+    }
+    return error;
+  }
+
+  static async getById(id) {
+    const promotion = mongoose.Types.ObjectId.isValid(id) ? await Promotion.findById(id) : null;
+    if (!promotion) throw new PromotionError('Promotion not found', 'PROMOTION_NOT_FOUND', 404);
+    return promotion;
+  }
+
+  static async list({ active } = {}) {
+    const query = {};
+    if (active === 'true') query.isActive = true;
+    if (active === 'false') query.isActive = false;
+    return Promotion.find(query).sort({ isActive: -1, priority: -1, createdAt: -1 });
+  }
+
+  static async create(data, { admin = {} } = {}) {
+    try {
+      return await new Promotion({ ...this.pickFields(data), createdBy: admin.email || null }).save();
+    } catch (error) {
+      throw this.toPromotionError(error);
+    }
+  }
+
+  static async update(id, data) {
+    const promotion = await this.getById(id);
+    promotion.set(this.pickFields(data));
+    try {
+      return await promotion.save();
+    } catch (error) {
+      throw this.toPromotionError(error);
+    }
+  }
+
+  static async remove(id) {
+    const promotion = await this.getById(id);
+    await promotion.deleteOne();
+  }
+}
+
+module.exports = PromotionService;
+module.exports.PromotionError = PromotionError;
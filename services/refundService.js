@@ -0,0 +1,309 @@
+const { CodedError } = require('../middleware/errorHandler');
+const Refund = require('../models/Refund');
+const { REFUND_METHODS } = Refund;
+const Counter = require('../models/Counter');
+const StoreCreditService = require('./storeCreditService');
+const LoyaltyService = require('./loyaltyService');
+
+/**
+ * Refund Service
+ * Records refunds in the ledger, keeps cumulative refunds within the amount
+ * paid and keeps order.financials.refundedAmount / paymentStatus in sync.
+ * Store credit refunds are added to the customer's balance, and loyalty
+ * points earned on the order are reversed in proportion.
+ */
+
+// Small tolerance for amounts that went through floating point sums
+const EPSILON = 0.01;
+
+class RefundError extends CodedError {}
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+class RefundService {
+
+  /**
+   * Amount the customer has actually paid for an order
+   * Cash on delivery counts as paid once the order was delivered.
+   * @param {Object} order - Order document
+   */
+  static getPaidAmount(order) {
+    if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+      return Number(order.total || 0);
+    }
+    if (order.paymentMethod === 'cash_on_delivery' && order.actualDeliveryDate) {
+      return Number(order.total || 0);
+    }
+    return 0;
+  }
+
+  /**
+   * Refunds recorded for an order, oldest first
+   */
+  static async getOrderRefunds(orderId, { session = null } = {}) {
+    return Refund.find({ orderId }).sort({ createdAt: 1 }).session(session);
+  }
+
+  /**
+   * Paid / refunded / refundable totals for an order
+   * Refunds made before the ledger existed only live in financials.refundedAmount.
+   */
+  static summarize(order, refunds) {
+    const ledgerTotal = refunds.reduce((sum, refund) => sum + Number(refund.amount || 0), 0);
+    const refunded = roundAmount(Math.max(ledgerTotal, Number(order.financials?.refundedAmount || 0)));
+    const paid = this.getPaidAmount(order);
+    return {
+      paid,
+      refunded,
+      refundable: roundAmount(Math.max(0, paid - refunded))
+    };
+  }
+
+  /**
+   * What the customer paid for a whole order line: its promotion discount and
+   * its share of the other order discounts (coupons, points) deducted.
+   * The order discount is shared out by line amount after promotions.
+   * @param {Object} order - Order document
+   * @param {Object} line - One of order.items
+   */
+  static getLinePaidAmount(order, line) {
+    const lineAmount = (item) => Math.max(0, Number(item.subtotal ?? item.price * item.quantity) - Number(item.promotionDiscount || 0));
+    const items = order.items || [];
+    const itemsAmount = items.reduce((sum, item) => sum + lineAmount(item), 0);
+    const promotionDiscount = items.reduce((sum, item) => sum + Number(item.promotionDiscount || 0), 0);
+    const otherDiscount = Math.max(0, Number(order.financials?.orderDiscount || 0) - promotionDiscount);
+
+    const amount = lineAmount(line);
+    const share = itemsAmount > 0 ? otherDiscount * amount / itemsAmount : 0;
+    return Math.max(0, amount - share);
+  }
+
+  /**
+   * Build refund lines from order lines, checking quantities already refunded
+   * Without an amount, a line refunds what was paid for its units (see getLinePaidAmount).
+   * @param {Object} order - Order document
+   * @param {Array} items - [{ lineIndex, quantity, amount? }]
+   * @param {Array} refunds - Existing refunds for the order
+   */
+  static buildRefundItems(order, items, refunds) {
+    const refundedQuantities = new Map();
+    for (const refund of refunds) {
+      for (const item of refund.items || []) {
+        refundedQuantities.set(item.lineIndex, (refundedQuantities.get(item.lineIndex) || 0) + item.quantity);
+      }
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const lineIndex = Number(item?.lineIndex);
+      const quantity = Number(item?.quantity);
+      const line = Number.isInteger(lineIndex) ? order.items[lineIndex] : null;
+      if (!line || !Number.isInteger(quantity) || quantity < 1) {
+        throw new RefundError('Each refunded item needs a valid lineIndex and a whole quantity of at least 1', 'INVALID_REFUND');
+      }
+
+      const alreadyRefunded = (refundedQuantities.get(lineIndex) || 0) +
+        lines.filter(l => l.lineIndex === lineIndex).reduce((sum, l) => sum + l.quantity, 0);
+      if (alreadyRefunded + quantity > line.quantity) {
+        throw new RefundError(
+          `Only ${Math.max(0, line.quantity - alreadyRefunded)} of "${line.name}" can still be refunded`,
+          'REFUND_QUANTITY_EXCEEDED',
+          400,
+          { lineIndex, requested: quantity, available: Math.max(0, line.quantity - alreadyRefunded) }
+        );
+      }
+
+      const lineAmount = item.amount === undefined
+        ? this.getLinePaidAmount(order, line) * quantity / line.quantity
+        : Number(item.amount);
+      if (!Number.isFinite(lineAmount) || lineAmount < 0) {
+        throw new RefundError('Refunded item amounts must be numbers of at least 0', 'INVALID_REFUND');
+      }
+
+      lines.push({
+        lineIndex,
+        productId: line.productId,
+        name: line.name,
+        size: line.size,
+        color: line.color,
+        quantity,
+        unitPrice: line.price,
+        amount: roundAmount(lineAmount)
+      });
+    }
+    return lines;
+  }
+
+  /**
+   * Record a refund against an order
+   * Updates order.financials.refundedAmount and paymentStatus in place; the
+   * caller saves the order (after any revenue adjustment) in the same session.
+   * @param {Object} order - Order document
+   * @param {Object} data - { amount, items, reason, method, returnId }
+   *   amount defaults to the sum of the refunded lines
+   * @param {Object} options - { session, admin: { id, email } }
+   * @returns {Object} - { refund, summary }
+   */
+  static async issueRefund(order, { amount, items = [], reason, method = 'cash', returnId = null } = {}, { session = null, admin = {} } = {}) {
+    const refundReason = String(reason || '').trim().slice(0, 500);
+    if (!refundReason) {
+      throw new RefundError('A refund reason is required', 'INVALID_REFUND');
+    }
+    if (!REFUND_METHODS.includes(method)) {
+      throw new RefundError(`Method must be one of: ${REFUND_METHODS.join(', ')}`, 'INVALID_REFUND');
+    }
+    if (!Array.isArray(items)) {
+      throw new RefundError('items must be an array', 'INVALID_REFUND');
+    }
+
+    const refunds = await this.getOrderRefunds(order._id, { session });
+    const lines = this.buildRefundItems(order, items, refunds);
+
+    const hasAmount = amount !== undefined && amount !== null && amount !== '';
+    const refundAmount = roundAmount(hasAmount ? Number(amount) : lines.reduce((sum, l) => sum + l.amount, 0));
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      throw new RefundError('Refund amount must be greater than 0', 'INVALID_REFUND');
+    }
+
+    const before = this.summarize(order, refunds);
+    if (refundAmount > before.refundable + EPSILON) {
+      throw new RefundError(
+        before.paid === 0
+          ? 'Nothing has been paid for this order yet'
+          : `Refund exceeds the refundable amount (${before.refundable})`,
+        'REFUND_EXCEEDS_PAID',
+        400,
+        before
+      );
+    }
+
+    // Store credit goes to the customer's account, guests have none
+    if (method === 'store_credit') {
+      const userId = order.userId && order.userId !== 'guest' ? order.userId : null;
+      const account = userId ? await StoreCreditService.getUser(userId, { session }).catch(() => null) : null;
+      if (!account) {
+        throw new RefundError('Store credit refunds need an order placed from a customer account', 'STORE_CREDIT_NEEDS_ACCOUNT');
+      }
+    }
+
+    const seq = await Counter.next('credit_note', { session });
+    const creditNoteNumber = `CN-${new Date().getFullYear()}-${String(seq).padStart(6, '0')}`;
+
+    const [refund] = await Refund.create([{
+      creditNoteNumber,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      returnId,
+      amount: refundAmount,
+      items: lines,
+      reason: refundReason,
+      method,
+      admin: { id: admin.id ? String(admin.id) : null, email: admin.email || null }
+    }], { session });
+
+    if (method === 'store_credit') {
+      await StoreCreditService.credit(order.userId, refundAmount, {
+        type: 'refund',
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        refundId: refund._id,
+        note: `Refund ${creditNoteNumber}`,
+        admin
+      }, { session });
+    }
+
+    // Points earned on the order go down with the money refunded
+    await LoyaltyService.reverseForRefund(order, refundAmount, {
+      refundId: refund._id,
+      note: `Refund ${creditNoteNumber}`,
+      session
+    });
+
+    const refunded = roundAmount(before.refunded + refundAmount);
+    order.financials = order.financials || {};
+    order.financials.refundedAmount = refunded;
+    order.paymentStatus = refunded >= before.paid - EPSILON ? 'refunded' : 'partially_refunded';
+
+    return {
+      refund,
+      summary: {
+        paid: before.paid,
+        refunded,
+        refundable: roundAmount(Math.max(0, before.paid - refunded))
+      }
+    };
+  }
+
+  /**
+   * Credit note document for a refund
+   * @param {Object} refund - Refund document
+   * @param {Object} order - Order the refund belongs to
+   */
+  static buildCreditNote(refund, order) {
+    return {
+      creditNoteNumber: refund.creditNoteNumber,
+      issuedAt: refund.createdAt,
+      currency: 'DZD',
+      order: {
+        orderNumber: refund.orderNumber,
+        date: order?.date || null,
+        total: order?.total ?? null
+      },
+      customer: order ? {
+        name: order.customerInfo?.name,
+        email: order.customerInfo?.email,
+        phone: order.customerInfo?.phone
+      } : null,
+      lines: refund.items.map(item => ({
+        description: [item.name, item.size, item.color].filter(Boolean).join(' / '),
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        amount: item.amount
+      })),
+      // Difference between the refund and its lines (delivery fee, goodwill, deductions)
+      otherAmount: roundAmount(refund.amount - refund.items.reduce((sum, item) => sum + item.amount, 0)),
+      total: refund.amount,
+      reason: refund.reason,
+      method: refund.method,
+      issuedBy: refund.admin?.email || null
+    };
+  }
+
+  /**
+   * Paginated refund ledger
+   * @param {Object} filters - { method, from, to, orderNumber, page, limit }
+   */
+  static async list({ method, from, to, orderNumber, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (method) query.method = method;
+    if (orderNumber) query.orderNumber = String(orderNumber).toUpperCase();
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [refunds, total, totals] = await Promise.all([
+      Refund.find(query).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+      Refund.countDocuments(query),
+      Refund.aggregate([{ $match: query }, { $group: { _id: null, amount: { $sum: '$amount' } } }])
+    ]);
+
+    return {
+      refunds,
+      totalAmount: roundAmount(totals[0]?.amount || 0),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalRefunds: total,
+        limit: pageSize
+      }
+    };
+  }
+}
+
+module.exports = RefundService;
+module.exports.RefundError = RefundError;
@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const Remittance = require('../models/Remittance');
+const Counter = require('../models/Counter');
+const { getCarrier } = require('./carriers');
+
+/**
+ * Remittance Service
+ * Couriers collect the cash for COD orders at the door and pay it over in
+ * batches, minus their fees. A remittance records one payout, lists the
+ * orders it covers and marks those orders paid.
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+
+// Delivered COD orders not remitted after this many days show up as overdue
+const OVERDUE_DAYS = Number(process.env.COD_REMITTANCE_OVERDUE_DAYS) || 7;
+const MAX_LINES = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RemittanceError extends CodedError {}
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+const readAmount = (value, fallback) => (
+  value === undefined || value === null || value === '' ? fallback : Number(value)
+);
+
+class RemittanceService {
+
+  /**
+   * Cash the courier should have collected for an order
+   */
+  static getExpectedAmount(order) {
+    return roundAmount(order.shipment?.codAmount ?? order.amountDue ?? order.total ?? 0);
+  }
+
+  /**
+   * Why an order cannot be part of a remittance, or null when it can
+   */
+  static checkRemittable(order) {
+    if (order.paymentMethod !== 'cash_on_delivery') return { code: 'NOT_COD', error: 'Order is not cash on delivery' };
+    if (!order.actualDeliveryDate) return { code: 'NOT_DELIVERED', error: 'Order has not been delivered, no cash was collected' };
+    if (order.remittance?.remittanceId) {
+      return { code: 'ALREADY_REMITTED', error: `Already remitted in ${order.remittance.batchNumber}` };
+    }
+    return null;
+  }
+
+  /**
+   * Load the orders a payout covers; lines name an order by orderId, orderNumber or trackingNumber
+   */
+  static async findLineOrders(lines, { session }) {
+    const ids = lines.map(l => l.orderId).filter(id => id && mongoose.Types.ObjectId.isValid(id));
+    const numbers = lines.map(l => l.orderNumber).filter(Boolean).map(n => String(n).toUpperCase());
+    const tracking = lines.map(l => l.trackingNumber).filter(Boolean).map(String);
+
+    const orders = await getOrderModel().find({
+      $or: [
+        { _id: { $in: ids } },
+        { orderNumber: { $in: numbers } },
+        { trackingNumber: { $in: tracking } }
+      ]
+    }).session(session);
+
+    return (line) => orders.find(o => (
+      (line.orderId && String(o._id) === String(line.orderId)) ||
+      (line.orderNumber && o.orderNumber === String(line.orderNumber).toUpperCase()) ||
+      (line.trackingNumber && o.trackingNumber === String(line.trackingNumber))
+    )) || null;
+  }
+
+  /**
+   * Record a courier payout and mark its orders paid
+   * The whole batch is refused when any line is invalid, so it always matches
+   * the courier's statement.
+   * @param {Object} data - { carrier?, reference?, receivedAt?, amountReceived?, notes?,
+   *   orders: [{ orderId | orderNumber | trackingNumber, collectedAmount?, fee? }] }
+   *   collectedAmount and fee default to the shipment's COD amount and fee
+   * @param {Object} options - { admin: { id, email } }
+   * @returns {Object} - Remittance document
+   */
+  static async recordRemittance(data = {}, { admin = {} } = {}) {
+    const { reference = null, notes, orders: lines } = data;
+    const carrier = String(data.carrier || getCarrier()?.name || '').trim();
+    if (!carrier) throw new RemittanceError('carrier is required', 'INVALID_REMITTANCE');
+    if (!Array.isArray(lines) || !lines.length) {
+      throw new RemittanceError('orders must be a non-empty array', 'INVALID_REMITTANCE');
+    }
+    if (lines.length > MAX_LINES) {
+      throw new RemittanceError(`At most ${MAX_LINES} orders per remittance`, 'INVALID_REMITTANCE');
+    }
+    const receivedAt = data.receivedAt ? new Date(data.receivedAt) : new Date();
+    if (isNaN(receivedAt)) throw new RemittanceError('receivedAt is not a valid date', 'INVALID_REMITTANCE');
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const findOrder = await this.findLineOrders(lines, { session });
+      const errors = [];
+      const seen = new Set();
+      const entries = [];
+
+      lines.forEach((line, index) => {
+        const ref = line?.orderNumber || line?.trackingNumber || line?.orderId || null;
+        const order = line ? findOrder(line) : null;
+        if (!order) return errors.push({ index, ref, code: 'ORDER_NOT_FOUND', error: 'Order not found' });
+        if (seen.has(String(order._id))) {
+          return errors.push({ index, ref, code: 'DUPLICATE_ORDER', error: 'Order is listed twice' });
+        }
+        seen.add(String(order._id));
+
+        const problem = this.checkRemittable(order);
+        if (problem) return errors.push({ index, ref, ...problem });
+
+        const collectedAmount = roundAmount(readAmount(line.collectedAmount, this.getExpectedAmount(order)));
+        const fee = roundAmount(readAmount(line.fee, order.shipment?.fee || 0));
+        if (!Number.isFinite(collectedAmount) || collectedAmount < 0 || !Number.isFinite(fee) || fee < 0) {
+          return errors.push({ index, ref, code: 'INVALID_AMOUNT', error: 'collectedAmount and fee must be positive numbers' });
+        }
+        entries.push({ order, collectedAmount, fee });
+      });
+
+      if (errors.length) {
+        throw new RemittanceError(`${errors.length} order(s) cannot be remitted`, 'INVALID_REMITTANCE', 400, { errors });
+      }
+
+      const totals = entries.reduce((sum, e) => ({
+        collected: sum.collected + e.collectedAmount,
+        fees: sum.fees + e.fee
+      }), { collected: 0, fees: 0 });
+      totals.collected = roundAmount(totals.collected);
+      totals.fees = roundAmount(totals.fees);
+      totals.net = roundAmount(totals.collected - totals.fees);
+
+      const amountReceived = roundAmount(readAmount(data.amountReceived, totals.net));
+      if (!Number.isFinite(amountReceived) || amountReceived < 0) {
+        throw new RemittanceError('amountReceived must be a positive number', 'INVALID_REMITTANCE');
+      }
+
+      const seq = await Counter.next('remittance', { session });
+      const batchNumber = `RM-${receivedAt.getFullYear()}-${String(seq).padStart(6, '0')}`;
+
+      const [remittance] = await Remittance.create([{
+        batchNumber,
+        carrier,
+        reference,
+        receivedAt,
+        lines: entries.map(({ order, collectedAmount, fee }) => ({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          trackingNumber: order.trackingNumber || null,
+          collectedAmount,
+          fee,
+          netAmount: roundAmount(collectedAmount - fee)
+        })),
+        totals,
+        amountReceived,
+        discrepancy: roundAmount(amountReceived - totals.net),
+        notes,
+        admin: { id: admin.id ? String(admin.id) : null, email: admin.email || null }
+      }], { session });
+
+      for (const { order, collectedAmount, fee } of entries) {
+        order.remittance = {
+          remittanceId: remittance._id,
+          batchNumber,
+          collectedAmount,
+          fee,
+          remittedAt: receivedAt
+        };
+        // Refund statuses already imply the payment was taken; keep them
+        if (order.paymentStatus === 'pending') order.paymentStatus = 'paid';
+        await order.save({ session });
+      }
+
+      await session.commitTransaction();
+      console.log(`💵 Remittance ${batchNumber} from ${carrier}: ${entries.length} orders, net ${totals.net} DZD`);
+      return remittance;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  static async list({ carrier, from, to, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (carrier) query.carrier = String(carrier);
+    if (from || to) {
+      query.receivedAt = {};
+      if (from) query.receivedAt.$gte = new Date(from);
+      if (to) query.receivedAt.$lte = new Date(to);
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [remittances, total, totals] = await Promise.all([
+      Remittance.find(query).select('-lines').sort({ receivedAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+      Remittance.countDocuments(query),
+      Remittance.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            collected: { $sum: '$totals.collected' },
+            fees: { $sum: '$totals.fees' },
+            net: { $sum: '$totals.net' },
+            received: { $sum: '$amountReceived' }
+          }
+        }
+      ])
+    ]);
+
+    return {
+      remittances,
+      totals: {
+        collected: roundAmount(totals[0]?.collected || 0),
+        fees: roundAmount(totals[0]?.fees || 0),
+        net: roundAmount(totals[0]?.net || 0),
+        received: roundAmount(totals[0]?.received || 0)
+      },
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalRemittances: total,
+        limit: pageSize
+      }
+    };
+  }
+
+  static async getById(id) {
+    const remittance = mongoose.Types.ObjectId.isValid(id) ? await Remittance.findById(id) : null;
+    if (!remittance) throw new RemittanceError('Remittance not found', 'REMITTANCE_NOT_FOUND', 404);
+    return remittance;
+  }
+
+  /**
+   * Delivered COD orders whose cash the courier has not paid over after N days
+   * @param {Object} options - { days, carrier, page, limit }
+   * @returns {Object} - { days, cutoff, byCarrier, orders, pagination }
+   */
+  static async getUnremittedReport({ days, carrier, page = 1, limit = 50 } = {}) {
+    const overdueDays = Math.max(0, parseInt(days) >= 0 ? parseInt(days) : OVERDUE_DAYS);
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - overdueDays * DAY_MS);
+    const query = {
+      paymentMethod: 'cash_on_delivery',
+      actualDeliveryDate: { $lte: cutoff },
+      'remittance.remittanceId': null
+    };
+    if (carrier) query['shipment.carrier'] = String(carrier);
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    const Order = getOrderModel();
+
+    const [orders, total, byCarrier] = await Promise.all([
+      Order.find(query)
+        .select('orderNumber trackingNumber status total amountDue customerInfo.name actualDeliveryDate shipment.carrier shipment.codAmount shipment.fee')
+        .sort({ actualDeliveryDate: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Order.countDocuments(query),
+      Order.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: { $ifNull: ['$shipment.carrier', 'unassigned'] },
+            orders: { $sum: 1 },
+            expectedAmount: { $sum: { $ifNull: ['$shipment.codAmount', { $ifNull: ['$amountDue', '$total'] }] } },
+            expectedFees: { $sum: { $ifNull: ['$shipment.fee', 0] } },
+            oldestDeliveryDate: { $min: '$actualDeliveryDate' }
+          }
+        },
+        { $sort: { expectedAmount: -1 } }
+      ])
+    ]);
+
+    return {
+      days: overdueDays,
+      cutoff,
+      byCarrier: byCarrier.map(row => ({
+        carrier: row._id,
+        orders: row.orders,
+        expectedAmount: roundAmount(row.expectedAmount),
+        expectedNet: roundAmount(row.expectedAmount - row.expectedFees),
+        oldestDeliveryDate: row.oldestDeliveryDate,
+        daysOutstanding: Math.floor((now - row.oldestDeliveryDate) / DAY_MS)
+      })),
+      orders: orders.map(order => ({
+        id: order._id,
+        orderNumber: order.orderNumber,
+        trackingNumber: order.trackingNumber || null,
+        status: order.status,
+        customerName: order.customerInfo?.name,
+        carrier: order.shipment?.carrier || null,
+        deliveredAt: order.actualDeliveryDate,
+        daysOutstanding: Math.floor((now - order.actualDeliveryDate) / DAY_MS),
+        expectedAmount: this.getExpectedAmount(order),
+        expectedFee: roundAmount(order.shipment?.fee || 0)
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalOrders: total,
+        limit: pageSize
+      }
+    };
+  }
+}
+
+module.exports = RemittanceService;
+module.exports.RemittanceError = RemittanceError;
+module.exports.OVERDUE_DAYS = OVERDUE_DAYS;
@@ -0,0 +1,417 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const ReturnRequest = require('../models/ReturnRequest');
+const { RETURN_REASONS } = ReturnRequest;
+const InventoryService = require('./inventoryService');
+const OrderStateMachine = require('./orderStateMachine');
+const orderNotificationService = require('./orderNotificationService');
+const RefundService = require('./refundService');
+
+/**
+ * Returns (RMA) Service
+ * Customer return requests for delivered orders: request → approve/reject →
+ * receive (restock or write off each line) → refund.
+ */
+
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+const MAX_PHOTOS = 5;
+
+const getOrderModel = () => mongoose.model('Order');
+
+class ReturnError extends CodedError {
+  constructor(message, code, statusCode = 409, details = {}) {
+    super(message, code, statusCode, details);
+  }
+}
+
+class ReturnService {
+
+  /**
+   * Quantity of each order line covered by returns (non-rejected by default)
+   * @param {string} orderId - Order ID
+   * @param {Object} options - { session, field: 'quantity' | 'receivedQuantity', statuses }
+   * @returns {Map} - lineIndex → quantity
+   */
+  static async getReturnedQuantities(orderId, { session = null, field = 'quantity', statuses = null } = {}) {
+    const filter = { orderId, status: statuses ? { $in: statuses } : { $ne: 'rejected' } };
+
+    const returns = await ReturnRequest.find(filter).session(session).lean();
+    const quantities = new Map();
+    for (const ret of returns) {
+      for (const item of ret.items) {
+        quantities.set(item.lineIndex, (quantities.get(item.lineIndex) || 0) + Number(item[field] || 0));
+      }
+    }
+    return quantities;
+  }
+
+  /**
+   * Lines of an order that can still be returned, with the remaining quantity
+   * @param {Object} order - Order document
+   */
+  static async getReturnableItems(order) {
+    const returned = await this.getReturnedQuantities(order._id);
+    return order.items.map((item, lineIndex) => ({
+      lineIndex,
+      productId: item.productId,
+      name: item.name,
+      image: item.image,
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity,
+      returnable: Math.max(0, item.quantity - (returned.get(lineIndex) || 0))
+    }));
+  }
+
+  /**
+   * Create a return request for a customer's order
+   * @param {Object} order - Order document (must belong to the customer)
+   * @param {Object} data - { items: [{ lineIndex, quantity }], reason, comment, photos }
+   * @param {Object} options - { updatedBy }
+   */
+  static async createReturn(order, { items, reason, comment = '', photos = [] } = {}, { updatedBy = 'customer' } = {}) {
+    if (!order.canReturn) {
+      throw new ReturnError(
+        order.status === 'delivered'
+          ? 'The return window for this order has closed'
+          : 'Only delivered orders can be returned',
+        'ORDER_NOT_RETURNABLE'
+      );
+    }
+
+    if (!RETURN_REASONS.includes(reason)) {
+      throw new ReturnError(`Reason must be one of: ${RETURN_REASONS.join(', ')}`, 'INVALID_RETURN', 400);
+    }
+
+    const photoList = Array.isArray(photos) ? photos.map(p => String(p || '').trim()).filter(Boolean) : [];
+    if (photoList.length > MAX_PHOTOS || photoList.some(p => !/^https?:\/\//i.test(p) || p.length > 500)) {
+      throw new ReturnError(`Up to ${MAX_PHOTOS} photo URLs (http/https) are allowed`, 'INVALID_RETURN', 400);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ReturnError('Select at least one item to return', 'INVALID_RETURN', 400);
+    }
+
+    // Merge repeated lines, then check against what is still returnable
+    const requested = new Map();
+    for (const item of items) {
+      const lineIndex = Number(item?.lineIndex);
+      const quantity = Number(item?.quantity);
+      if (!Number.isInteger(lineIndex) || !order.items[lineIndex] || !Number.isInteger(quantity) || quantity < 1) {
+        throw new ReturnError('Each item needs a valid lineIndex and a whole quantity of at least 1', 'INVALID_RETURN', 400);
+      }
+      requested.set(lineIndex, (requested.get(lineIndex) || 0) + quantity);
+    }
+
+    const returned = await this.getReturnedQuantities(order._id);
+    const returnItems = [];
+    for (const [lineIndex, quantity] of requested) {
+      const line = order.items[lineIndex];
+      const available = line.quantity - (returned.get(lineIndex) || 0);
+      if (quantity > available) {
+        throw new ReturnError(
+          `Only ${Math.max(0, available)} of "${line.name}" can still be returned`,
+          'RETURN_QUANTITY_EXCEEDED',
+          400,
+          { lineIndex, requested: quantity, available: Math.max(0, available) }
+        );
+      }
+      returnItems.push({
+        lineIndex,
+        productId: line.productId,
+        name: line.name,
+        image: line.image,
+        size: line.size,
+        color: line.color,
+        price: line.price,
+        quantity
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      userId: order.userId,
+      customerInfo: {
+        name: order.customerInfo?.name,
+        email: order.customerInfo?.email,
+        phone: order.customerInfo?.phone
+      },
+      items: returnItems,
+      reason,
+      comment: String(comment || '').trim(),
+      photos: photoList,
+      statusHistory: [{ status: 'requested', date: new Date(), note: '', updatedBy }]
+    });
+
+    this.notify(returnRequest, { isNew: true });
+    return returnRequest;
+  }
+
+  /**
+   * Move a return to a new status, recording it in its history
+   */
+  static setStatus(returnRequest, toStatus, { note = '', updatedBy = 'admin' } = {}) {
+    const from = returnRequest.status;
+    if (!(RETURN_TRANSITIONS[from] || []).includes(toStatus)) {
+      throw new ReturnError(`Return cannot move from ${from} to ${toStatus}`, 'ILLEGAL_RETURN_TRANSITION', 409, {
+        from,
+        to: toStatus,
+        allowed: RETURN_TRANSITIONS[from] || []
+      });
+    }
+
+    returnRequest.status = toStatus;
+    returnRequest.statusHistory.push({
+      status: toStatus,
+      date: new Date(),
+      note: String(note || '').slice(0, 500),
+      updatedBy
+    });
+    return from;
+  }
+
+  static async findOrFail(returnId, { session = null } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(returnId)) {
+      throw new ReturnError('Return request not found', 'RETURN_NOT_FOUND', 404);
+    }
+    const returnRequest = await ReturnRequest.findById(returnId).session(session);
+    if (!returnRequest) {
+      throw new ReturnError('Return request not found', 'RETURN_NOT_FOUND', 404);
+    }
+    return returnRequest;
+  }
+
+  /**
+   * Approve a requested return
+   * @param {string} returnId - Return request ID
+   * @param {Object} options - { note, updatedBy }
+   */
+  static async approve(returnId, { note = '', updatedBy = 'admin' } = {}) {
+    const returnRequest = await this.findOrFail(returnId);
+    this.setStatus(returnRequest, 'approved', { note, updatedBy });
+    await returnRequest.save();
+    this.notify(returnRequest);
+    return returnRequest;
+  }
+
+  /**
+   * Reject a return (before the package is received)
+   * @param {string} returnId - Return request ID
+   * @param {Object} options - { reason, updatedBy }
+   */
+  static async reject(returnId, { reason = '', updatedBy = 'admin' } = {}) {
+    const rejectionReason = String(reason || '').trim();
+    if (!rejectionReason) {
+      throw new ReturnError('A rejection reason is required', 'INVALID_RETURN', 400);
+    }
+
+    const returnRequest = await this.findOrFail(returnId);
+    this.setStatus(returnRequest, 'rejected', { note: rejectionReason, updatedBy });
+    returnRequest.rejectionReason = rejectionReason;
+    await returnRequest.save();
+    this.notify(returnRequest);
+    return returnRequest;
+  }
+
+  /**
+   * Record the returned package as received and decide what happens to each line
+   * Restocked units go back into inventory; written-off units do not.
+   * When every unit of the order has come back, the order moves to "returned".
+   * Runs inside the caller's transaction; the caller notifies after commit.
+   * @param {string} returnId - Return request ID
+   * @param {Object} data - { items: [{ lineIndex, receivedQuantity, disposition }], note }
+   * @param {Object} options - { session, updatedBy, actor }
+   */
+  static async receive(returnId, { items = [], note = '' } = {}, { session = null, updatedBy = 'admin', actor = { type: 'admin' } } = {}) {
+    const returnRequest = await this.findOrFail(returnId, { session });
+    this.setStatus(returnRequest, 'received', { note, updatedBy });
+
+    const decisions = new Map((Array.isArray(items) ? items : []).map(item => [Number(item?.lineIndex), item]));
+    for (const item of returnRequest.items) {
+      const decision = decisions.get(item.lineIndex) || {};
+      const receivedQuantity = decision.receivedQuantity === undefined ? item.quantity : Number(decision.receivedQuantity);
+      const disposition = decision.disposition || 'restock';
+
+      if (!Number.isInteger(receivedQuantity) || receivedQuantity < 0 || receivedQuantity > item.quantity) {
+        throw new ReturnError(
+          `Received quantity for "${item.name}" must be between 0 and ${item.quantity}`,
+          'INVALID_RETURN',
+          400,
+          { lineIndex: item.lineIndex }
+        );
+      }
+      if (!['restock', 'write_off'].includes(disposition)) {
+        throw new ReturnError('Disposition must be restock or write_off', 'INVALID_RETURN', 400, { lineIndex: item.lineIndex });
+      }
+
+      item.receivedQuantity = receivedQuantity;
+      item.disposition = disposition;
+    }
+    returnRequest.receivedAt = new Date();
+
+    const restockItems = returnRequest.items
+      .filter(item => item.disposition === 'restock' && item.receivedQuantity > 0)
+      .map(item => ({ productId: item.productId, quantity: item.receivedQuantity, size: item.size, color: item.color }));
+
+    if (restockItems.length) {
+      await InventoryService.releaseReservedStock(restockItems, returnRequest.orderId, {
+        session,
+        reason: 'return',
+        orderNumber: returnRequest.orderNumber,
+        actor,
+        reference: { type: 'return', id: String(returnRequest._id), number: returnRequest.rmaNumber }
+      });
+    }
+
+    await returnRequest.save({ session });
+
+    const order = await getOrderModel().findById(returnRequest.orderId).session(session);
+    if (order) {
+      // Settled here, so the order-level release on returned skips these units
+      for (const item of returnRequest.items) {
+        const line = order.items[item.lineIndex];
+        if (!line || !item.receivedQuantity) continue;
+        const field = item.disposition === 'restock' ? 'restockedQuantity' : 'writtenOffQuantity';
+        line[field] = Number(line[field] || 0) + item.receivedQuantity;
+      }
+      await this.markOrderReturnedIfComplete(order, returnRequest, { session, updatedBy, actor });
+      await order.save({ session });
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Move the order to "returned" once every unit has been received back
+   * The caller saves the order.
+   */
+  static async markOrderReturnedIfComplete(order, returnRequest, { session = null, updatedBy = 'admin', actor } = {}) {
+    const received = await this.getReturnedQuantities(order._id, {
+      session,
+      field: 'receivedQuantity',
+      statuses: ['received', 'refunded']
+    });
+    const complete = order.items.every((item, lineIndex) => (received.get(lineIndex) || 0) >= item.quantity);
+    if (!complete) return false;
+
+    const check = OrderStateMachine.canTransition(order, 'returned');
+    if (!check.allowed) {
+      console.warn(`Order ${order.orderNumber} fully returned but left as ${order.status}: ${check.reason}`);
+      return false;
+    }
+
+    await OrderStateMachine.transition(order, 'returned', {
+      session,
+      note: `Returned via ${returnRequest.rmaNumber}`,
+      updatedBy,
+      actor
+    });
+    return true;
+  }
+
+  /**
+   * Refund a received return
+   * Non-zero refunds go through the refund ledger (credit note, cumulative cap,
+   * paymentStatus) with the received lines attached. The caller saves the
+   * returned order after any revenue adjustment and notifies after commit.
+   * @param {string} returnId - Return request ID
+   * @param {Object} data - { amount, method, note }
+   * @param {Object} options - { session, updatedBy, admin }
+   * @returns {Object} - { returnRequest, order, refund }
+   */
+  static async refund(returnId, { amount, method = 'cash', note = '' } = {}, { session = null, updatedBy = 'admin', admin = {} } = {}) {
+    const refundAmount = Number(amount);
+    if (!Number.isFinite(refundAmount) || refundAmount < 0) {
+      throw new ReturnError('Refund amount must be a number of at least 0', 'INVALID_RETURN', 400);
+    }
+
+    const returnRequest = await this.findOrFail(returnId, { session });
+    const order = await getOrderModel().findById(returnRequest.orderId).session(session);
+    if (!order) {
+      throw new ReturnError('Order for this return no longer exists', 'RETURN_NOT_FOUND', 404);
+    }
+
+    this.setStatus(returnRequest, 'refunded', { note, updatedBy });
+
+    let refund = null;
+    if (refundAmount > 0) {
+      ({ refund } = await RefundService.issueRefund(order, {
+        amount: refundAmount,
+        items: returnRequest.items
+          .filter(item => item.receivedQuantity > 0)
+          .map(item => ({ lineIndex: item.lineIndex, quantity: item.receivedQuantity })),
+        reason: note ? `Return ${returnRequest.rmaNumber}: ${note}` : `Return ${returnRequest.rmaNumber}`,
+        method,
+        returnId: returnRequest._id
+      }, { session, admin }));
+      returnRequest.refundId = refund._id;
+      returnRequest.creditNoteNumber = refund.creditNoteNumber;
+    }
+
+    returnRequest.refundAmount = refundAmount;
+    returnRequest.refundedAt = new Date();
+    await returnRequest.save({ session });
+
+    return { returnRequest, order, refund };
+  }
+
+  /**
+   * Paginated list of returns
+   * @param {Object} filters - { status, userId, orderNumber, page, limit }
+   */
+  static async list({ status, userId, orderNumber, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (userId) query.userId = String(userId);
+    if (orderNumber) query.orderNumber = String(orderNumber).toUpperCase();
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(query).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+      ReturnRequest.countDocuments(query)
+    ]);
+
+    return {
+      returns,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalReturns: total,
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Send the customer (and on new requests, the admin) an email for the current step
+   * Runs after the response; failures are only logged.
+   * @param {Object} returnRequest - Return request document
+   * @param {Object} options - { isNew }
+   */
+  static notify(returnRequest, { isNew = false } = {}) {
+    setImmediate(async () => {
+      try {
+        if (isNew) {
+          await orderNotificationService.sendAdminNewReturnNotification(returnRequest);
+        }
+        await orderNotificationService.sendReturnStatusUpdate(returnRequest);
+      } catch (error) {
+        console.error(`❌ Return notification failed for ${returnRequest.rmaNumber}:`, error.message);
+      }
+    });
+  }
+}
+
+module.exports = ReturnService;
+module.exports.ReturnError = ReturnError;
+module.exports.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
@@ -0,0 +1,129 @@
+const { CodedError } = require('../middleware/errorHandler');
+const Metrics = require('../models/Metrics');
+
+/**
+ * Revenue Service
+ * Realized revenue is booked in the global Metrics document when an order is
+ * delivered and taken back when it leaves delivered.
+ */
+
+// order.financials fields an admin may set by hand; discounts, refunds and
+// prepaid amounts only change through checkout and the refund ledger
+const EDITABLE_FINANCIALS = ['taxAmount', 'shippingFee', 'includeTaxInRevenue'];
+
+class RevenueError extends CodedError {}
+
+class RevenueService {
+
+  /**
+   * Revenue an order contributes: item prices minus discounts and refunds
+   * @param {Object} order - Order document
+   * @param {Object} options - { includeTax, includeShipping }
+   */
+  static computeOrderRevenue(order, { includeTax = (order.financials?.includeTaxInRevenue || false), includeShipping = false } = {}) {
+    const items = order.items || [];
+    const sumItems = items.reduce((acc, it) => {
+      const price = Number(it.price || 0);
+      const qty = Number(it.quantity || 0);
+      const itemDisc = Number(it.itemDiscount || 0);
+      return acc + Math.max(price - itemDisc, 0) * qty;
+    }, 0);
+    const orderDiscount = Number(order.financials?.orderDiscount || 0);
+    const taxAmount = Number(order.financials?.taxAmount || 0);
+    const shippingFee = Number(order.financials?.shippingFee || 0);
+    const refunded = Number(order.financials?.refundedAmount || 0);
+    let revenue = Math.max(sumItems - orderDiscount, 0);
+    if (includeTax) revenue += taxAmount;
+    if (includeShipping) revenue += shippingFee;
+    revenue = Math.max(revenue - refunded, 0);
+    return revenue;
+  }
+
+  /**
+   * Apply an admin edit of order.financials
+   * Fields that are not editable are ignored.
+   * @param {Object} order - Order document
+   * @param {Object} update - { taxAmount?, shippingFee?, includeTaxInRevenue? }
+   */
+  static applyFinancialsUpdate(order, update) {
+    if (!update || typeof update !== 'object') return;
+    for (const key of EDITABLE_FINANCIALS.filter(k => update[k] !== undefined)) {
+      const value = update[key];
+      if (key === 'includeTaxInRevenue') {
+        order.financials.includeTaxInRevenue = Boolean(value);
+        continue;
+      }
+      const amount = Number(value);
+      if (value === null || value === '' || !Number.isFinite(amount) || amount < 0) {
+        throw new RevenueError(`${key} must be a number of at least 0`, 'INVALID_FINANCIALS', 400, { field: key });
+      }
+      order.financials[key] = amount;
+    }
+  }
+
+  static async getMetrics(session = null) {
+    let m = await Metrics.findById('global').session(session);
+    if (!m) m = await Metrics.create([{ _id: 'global', totalRevenue: 0, totalOrders: 0 }], { session }).then(([d]) => d);
+    return m;
+  }
+
+  /**
+   * Book or roll back realized revenue after a status change
+   * Updates order.revenueCounted / realizedRevenue in place; the caller saves
+   * the order in the same session.
+   * @param {Object} order - Order document (status already changed)
+   * @param {string} prevStatus - Status before the change
+   * @param {Object} options - { session }
+   * @returns {boolean} - true when metrics changed
+   */
+  static async applyStatusChange(order, prevStatus, { session = null } = {}) {
+    const status = order.status;
+    let m = null;
+
+    // Roll back if leaving delivered
+    if (prevStatus === 'delivered' && status !== 'delivered' && order.revenueCounted) {
+      m = await this.getMetrics(session);
+      m.totalRevenue = Number(m.totalRevenue || 0) - Number(order.realizedRevenue || 0);
+      order.revenueCounted = false;
+    }
+
+    if (status === 'delivered') {
+      const newRevenue = this.computeOrderRevenue(order, { includeTax: order.financials?.includeTaxInRevenue });
+      if (!order.revenueCounted) {
+        m = m || await this.getMetrics(session);
+        m.totalRevenue = Number(m.totalRevenue || 0) + newRevenue;
+        order.realizedRevenue = newRevenue;
+        order.revenueCounted = true;
+      } else if (Number(order.realizedRevenue || 0) !== newRevenue) {
+        m = m || await this.getMetrics(session);
+        m.totalRevenue = Number(m.totalRevenue || 0) + newRevenue - Number(order.realizedRevenue || 0);
+        order.realizedRevenue = newRevenue;
+      }
+    }
+
+    if (!m) return false;
+    m.updatedAt = new Date();
+    await m.save({ session });
+    return true;
+  }
+
+  /**
+   * Re-book realized revenue after order.financials.refundedAmount changed
+   * Only orders whose revenue was booked on delivery are adjusted.
+   * @returns {boolean} - true when metrics changed
+   */
+  static async applyRefund(order, { session = null } = {}) {
+    if (!order.revenueCounted) return false;
+
+    const m = await this.getMetrics(session);
+    const newRevenue = this.computeOrderRevenue(order, { includeTax: order.financials?.includeTaxInRevenue });
+    m.totalRevenue = Number(m.totalRevenue || 0) + newRevenue - Number(order.realizedRevenue || 0);
+    order.realizedRevenue = newRevenue;
+    m.updatedAt = new Date();
+    await m.save({ session });
+    return true;
+  }
+}
+
+module.exports = RevenueService;
+module.exports.RevenueError = RevenueError;
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { phoneKey, phonesMatch } = require('../utils/phone');
+
+/**
+ * COD Risk Scoring Service
+ * Scores new orders for signs of fake or duplicate cash-on-delivery orders.
+ * Orders at or above the review threshold are flagged for manual review.
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+
+const REVIEW_THRESHOLD = Number(process.env.COD_RISK_REVIEW_THRESHOLD) || 50;
+
+// Points per signal
+const RISK_WEIGHTS = {
+  duplicatePending: 25,      // per other open order from the same phone, capped
+  duplicatePendingMax: 50,
+  refusedBefore: 40,         // per earlier parcel refused at the door, capped
+  refusedBeforeMax: 60,
+  phoneMismatch: 15,
+  placeholderEmail: 15,
+  placeholderPhone: 30,
+  largeLineQuantity: 15,
+  largeOrderQuantity: 20
+};
+
+const DUPLICATE_WINDOW_DAYS = 7;
+const MAX_LINE_QUANTITY = 5;
+const MAX_ORDER_QUANTITY = 15;
+
+// Emails/phones the legacy checkout transform fills in when the customer gave none
+const PLACEHOLDER_EMAIL = /^guest\.\d+@damiokids\.com$/i;
+const isPlaceholderPhone = (phone) => {
+  const key = phoneKey(phone);
+  return key.length < 8 || /^0+$/.test(key);
+};
+
+class RiskScoringService {
+
+  static get REVIEW_THRESHOLD() {
+    return REVIEW_THRESHOLD;
+  }
+
+  static getLevel(score) {
+    if (score >= REVIEW_THRESHOLD) return 'high';
+    if (score >= REVIEW_THRESHOLD / 2) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Compute the risk signals for an order (does not save)
+   * @param {Object} order - Order document
+   * @returns {Object} - { score, level, flagged, reasons: [{ code, points, detail }] }
+   */
+  static async evaluate(order) {
+    const Order = getOrderModel();
+    const reasons = [];
+    const add = (code, points, detail) => reasons.push({ code, points, detail });
+
+    const key = order.phoneKey || phoneKey(order.customerInfo?.phone);
+    const placeholderPhone = isPlaceholderPhone(order.customerInfo?.phone);
+
+    if (placeholderPhone) {
+      add('PLACEHOLDER_PHONE', RISK_WEIGHTS.placeholderPhone, 'No usable phone number was given');
+    } else if (key) {
+      const since = new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      const [openOrders, refusedOrders] = await Promise.all([
+        Order.countDocuments({
+          _id: { $ne: order._id },
+          phoneKey: key,
+          status: { $in: ['pending', 'confirmed'] },
+          date: { $gte: since }
+        }),
+        // Returned without ever being delivered = refused at the door
+        Order.countDocuments({
+          _id: { $ne: order._id },
+          phoneKey: key,
+          status: 'returned',
+          actualDeliveryDate: { $exists: false }
+        })
+      ]);
+
+      if (openOrders > 0) {
+        add(
+          'DUPLICATE_PENDING',
+          Math.min(openOrders * RISK_WEIGHTS.duplicatePending, RISK_WEIGHTS.duplicatePendingMax),
+          `${openOrders} other open order(s) from this phone in the last ${DUPLICATE_WINDOW_DAYS} days`
+        );
+      }
+      if (refusedOrders > 0) {
+        add(
+          'REFUSED_BEFORE',
+          Math.min(refusedOrders * RISK_WEIGHTS.refusedBefore, RISK_WEIGHTS.refusedBeforeMax),
+          `${refusedOrders} earlier parcel(s) to this phone were refused`
+        );
+      }
+    }
+
+    if (order.shippingAddress?.phone && !placeholderPhone &&
+        !phonesMatch(order.customerInfo?.phone, order.shippingAddress.phone)) {
+      add('PHONE_MISMATCH', RISK_WEIGHTS.phoneMismatch, 'Customer and shipping phone numbers differ');
+    }
+
+    if (PLACEHOLDER_EMAIL.test(order.customerInfo?.email || '')) {
+      add('PLACEHOLDER_EMAIL', RISK_WEIGHTS.placeholderEmail, 'No email was given (placeholder address)');
+    }
+
+    const items = order.items || [];
+    const totalQuantity = items.reduce((sum, item) => sum + Number(item.quantity || 0), 0);
+    const largestLine = items.reduce((max, item) => Math.max(max, Number(item.quantity || 0)), 0);
+    if (totalQuantity > MAX_ORDER_QUANTITY) {
+      add('UNUSUAL_QUANTITY', RISK_WEIGHTS.largeOrderQuantity, `${totalQuantity} items in one order`);
+    } else if (largestLine > MAX_LINE_QUANTITY) {
+      add('UNUSUAL_QUANTITY', RISK_WEIGHTS.largeLineQuantity, `${largestLine} units of a single item`);
+    }
+
+    const score = Math.min(100, reasons.reduce((sum, r) => sum + r.points, 0));
+    return {
+      score,
+      level: this.getLevel(score),
+      flagged: score >= REVIEW_THRESHOLD,
+      reasons
+    };
+  }
+
+  /**
+   * Score a newly created order and store the result on it
+   * @param {Object} order - Saved order document
+   * @returns {Object} - Stored risk assessment
+   */
+  static async scoreOrder(order) {
+    const assessment = await this.evaluate(order);
+    const risk = {
+      ...assessment,
+      scoredAt: new Date(),
+      review: { status: assessment.flagged ? 'pending' : 'not_required' }
+    };
+
+    await getOrderModel().updateOne({ _id: order._id }, { $set: { risk } });
+    order.risk = risk;
+
+    if (risk.flagged) {
+      console.warn(`🚩 Order ${order.orderNumber} flagged for review (risk ${risk.score}):`,
+        risk.reasons.map(r => r.code).join(', '));
+    }
+    return risk;
+  }
+
+  /**
+   * Orders waiting for a risk review, riskiest first
+   * @param {Object} options - { page, limit }
+   */
+  static async getReviewQueue({ page = 1, limit = 20 } = {}) {
+    const Order = getOrderModel();
+    const query = { 'risk.flagged': true, 'risk.review.status': 'pending' };
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .sort({ 'risk.score': -1, date: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .select('-statusHistory')
+        .lean(),
+      Order.countDocuments(query)
+    ]);
+
+    return {
+      orders,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalOrders: total,
+        limit: pageSize
+      }
+    };
+  }
+}
+
+module.exports = RiskScoringService;
+module.exports.RISK_WEIGHTS = RISK_WEIGHTS;
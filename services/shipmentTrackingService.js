@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OrderStateMachine = require('./orderStateMachine');
+const RevenueService = require('./revenueService');
+const orderNotificationService = require('./orderNotificationService');
+
+/**
+ * Shipment Tracking Service
+ * Applies carrier tracking events (from webhooks) to orders: moves the order
+ * along shipped → delivered → returned, books revenue like the admin status
+ * update does, and records every event on order.shipment.events.
+ *
+ * Carriers retry and do not guarantee ordering, so each event is applied once
+ * (by event id) and never moves an order backwards.
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+
+// Tracking status → order status it implies
+const ORDER_STATUS_FOR_EVENT = {
+  picked_up: 'shipped',
+  in_transit: 'shipped',
+  out_for_delivery: 'shipped',
+  delivered: 'delivered',
+  returned: 'returned'
+};
+
+// Tracking statuses that only leave a note in the order history
+const NOTE_EVENTS = ['delivery_failed', 'cancelled'];
+
+// Position along the delivery flow; events never move an order to a lower rank
+const STATUS_RANK = { pending: 0, confirmed: 1, processing: 2, shipped: 3, delivered: 4, returned: 5 };
+
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+class ShipmentTrackingService {
+
+  /**
+   * Stable id for events the carrier sends without one
+   */
+  static getEventId(carrierName, event) {
+    if (event.eventId) return String(event.eventId).slice(0, 100);
+    const occurredAt = event.occurredAt ? new Date(event.occurredAt).toISOString() : '';
+    return crypto.createHash('sha256')
+      .update([carrierName, event.trackingNumber, event.status, occurredAt].join('|'))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  static describe(carrier, event) {
+    const text = event.description || String(event.status || 'update').replace(/_/g, ' ');
+    return `${carrier.displayName}: ${text}${event.location ? ` (${event.location})` : ''}`;
+  }
+
+  static addNote(order, note, updatedBy) {
+    order.statusHistory.push({
+      status: order.status,
+      date: new Date(),
+      note: note.slice(0, 200),
+      updatedBy
+    });
+  }
+
+  /**
+   * Move the order to the status an event implies, when that is a step forward
+   * @returns {string|null} - New order status, or null when the status is unchanged
+   */
+  static async applyToOrder(order, carrier, event, { session }) {
+    const updatedBy = `carrier:${carrier.name}`;
+    const note = this.describe(carrier, event);
+    const target = ORDER_STATUS_FOR_EVENT[event.status];
+
+    if (!target) {
+      if (NOTE_EVENTS.includes(event.status)) this.addNote(order, note, updatedBy);
+      return null;
+    }
+
+    // Already there, or a late event from earlier in the journey
+    if (order.status === target) return null;
+    if (STATUS_RANK[order.status] !== undefined && STATUS_RANK[target] < STATUS_RANK[order.status]) return null;
+
+    // A missed pickup event must not block delivery or a refused parcel
+    const steps = ['confirmed', 'processing'].includes(order.status) && target !== 'shipped'
+      ? ['shipped', target]
+      : [target];
+
+    let applied = null;
+    for (const step of steps) {
+      const check = OrderStateMachine.canTransition(order, step);
+      if (!check.allowed) {
+        this.addNote(order, `${note} - not applied: ${check.reason}`, updatedBy);
+        break;
+      }
+      if (step === 'delivered' && event.occurredAt && event.occurredAt <= new Date()) {
+        order.actualDeliveryDate = event.occurredAt;
+      }
+      await OrderStateMachine.transition(order, step, { session, note, updatedBy, actor: { type: 'carrier', id: carrier.name } });
+      applied = step;
+    }
+    return applied;
+  }
+
+  /**
+   * Apply one tracking event in its own transaction
+   * @param {CarrierAdapter} carrier
+   * @param {Object} event - { eventId, trackingNumber, status, description, location, occurredAt }
+   * @returns {Object} - { eventId, trackingNumber, result, orderNumber?, status? }
+   *   result: applied | recorded | duplicate | unknown_shipment | invalid
+   */
+  static async processEvent(carrier, event) {
+    const trackingNumber = String(event.trackingNumber || '').trim();
+    const occurredAt = event.occurredAt && !isNaN(new Date(event.occurredAt)) ? new Date(event.occurredAt) : null;
+    if (!trackingNumber || event.status === undefined) {
+      return { eventId: event.eventId || null, trackingNumber, result: 'invalid' };
+    }
+    const normalized = { ...event, trackingNumber, occurredAt };
+    const eventId = this.getEventId(carrier.name, normalized);
+    const Order = getOrderModel();
+
+    for (let attempt = 1; ; attempt++) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        const order = await Order.findOne({
+          $or: [
+            { 'shipment.carrier': carrier.name, 'shipment.trackingNumber': trackingNumber },
+            { trackingNumber }
+          ]
+        }).session(session);
+
+        if (!order) {
+          await session.abortTransaction();
+          return { eventId, trackingNumber, result: 'unknown_shipment' };
+        }
+        if ((order.shipment?.events || []).some(e => e.eventId === eventId)) {
+          await session.abortTransaction();
+          return { eventId, trackingNumber, orderNumber: order.orderNumber, result: 'duplicate', status: order.status };
+        }
+
+        const prevStatus = order.status;
+        const applied = normalized.status ? await this.applyToOrder(order, carrier, normalized, { session }) : null;
+
+        order.shipment.events.push({
+          eventId,
+          status: normalized.status || 'unknown',
+          description: normalized.description,
+          location: normalized.location,
+          occurredAt: occurredAt || new Date(),
+          applied
+        });
+        const eventTime = occurredAt || new Date();
+        if (!order.shipment.lastEventAt || eventTime >= order.shipment.lastEventAt) {
+          order.shipment.lastEventAt = eventTime;
+          if (normalized.status) order.shipment.trackingStatus = normalized.status;
+        }
+
+        await RevenueService.applyStatusChange(order, prevStatus, { session });
+        await order.save({ session });
+        await session.commitTransaction();
+
+        if (applied) {
+          console.log(`🚚 ${carrier.displayName} ${trackingNumber}: order ${order.orderNumber} ${prevStatus} → ${order.status}`);
+          orderNotificationService.sendOrderStatusUpdate(order, prevStatus, order.status, this.describe(carrier, normalized))
+            .catch(err => console.error('Carrier status notification failed:', err.message));
+        }
+
+        return {
+          eventId,
+          trackingNumber,
+          orderNumber: order.orderNumber,
+          result: applied ? 'applied' : 'recorded',
+          status: order.status
+        };
+      } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        // Two deliveries of the same parcel's events racing each other
+        if (error.hasErrorLabel?.('TransientTransactionError') && attempt < MAX_TRANSACTION_ATTEMPTS) continue;
+        throw error;
+      } finally {
+        session.endSession();
+      }
+    }
+  }
+
+  /**
+   * Apply a webhook's events in the order the carrier says they happened
+   * @param {CarrierAdapter} carrier
+   * @param {Array} events - Output of carrier.parseWebhook()
+   * @returns {Array} - Result per event
+   */
+  static async processEvents(carrier, events) {
+    const sorted = [...events].sort((a, b) => (
+      (a.occurredAt ? new Date(a.occurredAt).getTime() : 0) - (b.occurredAt ? new Date(b.occurredAt).getTime() : 0)
+    ));
+    const results = [];
+    for (const event of sorted) {
+      results.push(await this.processEvent(carrier, event));
+    }
+    return results;
+  }
+}
+
+module.exports = ShipmentTrackingService;
+module.exports.ORDER_STATUS_FOR_EVENT = ORDER_STATUS_FOR_EVENT;
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const { getCarrier, CarrierError } = require('./carriers');
+
+/**
+ * Shipping Service
+ * Pushes orders to a courier through its carrier adapter and keeps the
+ * tracking number and shipment details on the order.
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+
+// Orders must be confirmed before they are handed to a courier
+const SHIPPABLE_STATUSES = ['confirmed', 'processing'];
+const MAX_BATCH = 100;
+
+class ShippingError extends CodedError {}
+
+class ShippingService {
+
+  static resolveCarrier(name) {
+    const carrier = getCarrier(name);
+    if (!carrier) throw new ShippingError(`Unknown carrier: ${name}`, 'UNKNOWN_CARRIER');
+    return carrier;
+  }
+
+  /**
+   * Explain why an order could not be claimed for shipping
+   */
+  static async explainUnshippable(orderId) {
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+      ? await getOrderModel().findById(orderId).select('status trackingNumber shipment').lean()
+      : null;
+    if (!order) return new ShippingError('Order not found', 'ORDER_NOT_FOUND', 404);
+    if (['creating', 'created'].includes(order.shipment?.status)) {
+      return new ShippingError(
+        order.shipment.status === 'creating' ? 'A shipment is already being created for this order' : 'Order already has a shipment',
+        'SHIPMENT_EXISTS',
+        409
+      );
+    }
+    if (order.trackingNumber) {
+      return new ShippingError('Order already has a tracking number', 'SHIPMENT_EXISTS', 409);
+    }
+    return new ShippingError(
+      `Only ${SHIPPABLE_STATUSES.join(' or ')} orders can be shipped (order is ${order.status})`,
+      'ORDER_NOT_SHIPPABLE',
+      409
+    );
+  }
+
+  /**
+   * Register an order with a carrier and store its tracking number
+   * The order is claimed first (shipment.status = creating), so two admins
+   * pushing the same order never create two parcels.
+   * @param {string} orderId
+   * @param {Object} options - { carrier, admin: { id, email } }
+   * @returns {Object} - Updated order
+   */
+  static async createShipment(orderId, { carrier: carrierName, admin = {} } = {}) {
+    const Order = getOrderModel();
+    const carrier = this.resolveCarrier(carrierName);
+
+    const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        status: { $in: SHIPPABLE_STATUSES },
+        'shipment.status': { $nin: ['creating', 'created'] },
+        $or: [{ trackingNumber: { $exists: false } }, { trackingNumber: null }, { trackingNumber: '' }]
+      },
+      { $set: { 'shipment.status': 'creating', 'shipment.carrier': carrier.name } },
+      { new: true }
+    ) : null;
+    if (!order) throw await this.explainUnshippable(orderId);
+
+    let result;
+    try {
+      result = await carrier.createShipment(order);
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id, 'shipment.status': 'creating' },
+        { $set: { 'shipment.status': 'failed', 'shipment.lastError': error.message } }
+      );
+      if (error instanceof CarrierError) throw error;
+      throw new CarrierError(`${carrier.displayName}: ${error.message}`);
+    }
+
+    order.trackingNumber = result.trackingNumber;
+    order.shipment = {
+      carrier: carrier.name,
+      status: 'created',
+      trackingNumber: result.trackingNumber,
+      carrierShipmentId: result.carrierShipmentId,
+      fee: result.fee,
+      codAmount: result.codAmount,
+      createdAt: new Date(),
+      createdBy: admin.email || 'admin'
+    };
+
+    try {
+      await order.save();
+    } catch (error) {
+      // The parcel exists at the carrier but not on the order: undo it there
+      await carrier.cancelShipment(result.trackingNumber).catch(() => {});
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { 'shipment.status': 'failed', 'shipment.lastError': error.message }, $unset: { trackingNumber: '' } }
+      );
+      throw error;
+    }
+
+    console.log(`📦 Shipment ${result.trackingNumber} created with ${carrier.displayName} for order ${order.orderNumber}`);
+    return order;
+  }
+
+  /**
+   * Push several orders to a carrier; each order succeeds or fails on its own
+   * @param {Array} orderIds
+   * @param {Object} options - { carrier, admin }
+   * @returns {Object} - { created, failed, results: [{ orderId, success, ... }] }
+   */
+  static async createShipments(orderIds, options = {}) {
+    if (!Array.isArray(orderIds) || !orderIds.length) {
+      throw new ShippingError('orderIds must be a non-empty array', 'INVALID_BATCH');
+    }
+    if (orderIds.length > MAX_BATCH) {
+      throw new ShippingError(`At most ${MAX_BATCH} orders per batch`, 'INVALID_BATCH');
+    }
+    this.resolveCarrier(options.carrier);
+
+    const results = [];
+    for (const orderId of [...new Set(orderIds.map(String))]) {
+      try {
+        const order = await this.createShipment(orderId, options);
+        results.push({
+          orderId,
+          orderNumber: order.orderNumber,
+          success: true,
+          trackingNumber: order.trackingNumber
+        });
+      } catch (error) {
+        results.push({ orderId, success: false, code: error.code || 'ERROR', error: error.message });
+      }
+    }
+
+    return {
+      created: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    };
+  }
+
+  /**
+   * Order with an active shipment, plus its carrier
+   */
+  static async getShippedOrder(orderId) {
+    const order = mongoose.Types.ObjectId.isValid(orderId) ? await getOrderModel().findById(orderId) : null;
+    if (!order) throw new ShippingError('Order not found', 'ORDER_NOT_FOUND', 404);
+    if (order.shipment?.status !== 'created' || !order.shipment.trackingNumber) {
+      throw new ShippingError('Order has no carrier shipment', 'NO_SHIPMENT', 404);
+    }
+    return { order, carrier: this.resolveCarrier(order.shipment.carrier) };
+  }
+
+  static async getLabel(orderId) {
+    const { order, carrier } = await this.getShippedOrder(orderId);
+    return carrier.getLabel(order.shipment.trackingNumber);
+  }
+
+  static async getTrackingEvents(orderId) {
+    const { order, carrier } = await this.getShippedOrder(orderId);
+    return {
+      carrier: carrier.name,
+      trackingNumber: order.shipment.trackingNumber,
+      events: await carrier.getTrackingEvents(order.shipment.trackingNumber)
+    };
+  }
+
+  /**
+   * Cancel the parcel at the carrier and clear the tracking number
+   */
+  static async cancelShipment(orderId) {
+    const { order, carrier } = await this.getShippedOrder(orderId);
+    await carrier.cancelShipment(order.shipment.trackingNumber);
+
+    order.trackingNumber = undefined;
+    order.shipment.status = 'cancelled';
+    order.shipment.cancelledAt = new Date();
+    await order.save();
+    return order;
+  }
+}
+
+module.exports = ShippingService;
+module.exports.ShippingError = ShippingError;
+module.exports.SHIPPABLE_STATUSES = SHIPPABLE_STATUSES;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const ConfirmationCallService = require('./confirmationCallService');
+const orderNotificationService = require('./orderNotificationService');
+
+/**
+ * Stale Order Service
+ * Cancels pending orders nobody confirmed within N days. Reserved stock is
+ * released by the state machine's cancellation hook.
+ */
+
+const getOrderModel = () => mongoose.model('Order');
+
+const DEFAULT_DAYS = Number(process.env.STALE_PENDING_ORDER_DAYS) || 7;
+// Email the customer when their order is cancelled automatically
+const NOTIFY_CUSTOMER = process.env.STALE_PENDING_ORDER_NOTIFY_CUSTOMER === 'true';
+const BATCH_SIZE = 200;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class StaleOrderService {
+
+  static get DEFAULT_DAYS() {
+    return DEFAULT_DAYS;
+  }
+
+  static parseDays(days) {
+    const n = Number(days);
+    return Number.isFinite(n) && n >= 1 ? n : DEFAULT_DAYS;
+  }
+
+  /**
+   * Pending orders older than `days`
+   * Orders with a confirmation callback still scheduled are left alone.
+   */
+  static buildQuery(days, now = new Date()) {
+    return {
+      status: 'pending',
+      date: { $lt: new Date(now.getTime() - days * DAY) },
+      $or: ConfirmationCallService.dueFilter(now)
+    };
+  }
+
+  static getReason(days) {
+    return `Automatically cancelled: not confirmed within ${days} day${days === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Orders the next run would cancel
+   * @param {Object} options - { days }
+   */
+  static async preview({ days } = {}) {
+    const staleDays = this.parseDays(days);
+    const query = this.buildQuery(staleDays);
+    const [orders, total] = await Promise.all([
+      getOrderModel()
+        .find(query)
+        .sort({ date: 1 })
+        .limit(BATCH_SIZE)
+        .select('orderNumber date total paymentMethod customerInfo.name customerInfo.email inventoryStatus confirmation.attempts')
+        .lean(),
+      getOrderModel().countDocuments(query)
+    ]);
+
+    return {
+      dryRun: true,
+      days: staleDays,
+      reason: this.getReason(staleDays),
+      total,
+      orders: orders.map(o => ({
+        id: o._id,
+        orderNumber: o.orderNumber,
+        date: o.date,
+        ageDays: Math.floor((Date.now() - new Date(o.date).getTime()) / DAY),
+        total: o.total,
+        paymentMethod: o.paymentMethod,
+        customerName: o.customerInfo?.name,
+        email: o.customerInfo?.email,
+        confirmationCalls: o.confirmation?.attempts || 0,
+        releasesStock: o.inventoryStatus === 'reserved'
+      }))
+    };
+  }
+
+  /**
+   * Cancel stale pending orders
+   * Each order is cancelled in its own transaction and re-checked inside it,
+   * so an order confirmed in the meantime is skipped.
+   * @param {Object} options - { days, notify, dryRun }
+   */
+  static async run({ days, notify = NOTIFY_CUSTOMER, dryRun = false } = {}) {
+    if (dryRun) return this.preview({ days });
+
+    const Order = getOrderModel();
+    const staleDays = this.parseDays(days);
+    const reason = this.getReason(staleDays);
+    const candidates = await Order.find(this.buildQuery(staleDays))
+      .sort({ date: 1 })
+      .limit(BATCH_SIZE)
+      .select('_id')
+      .lean();
+
+    const summary = { dryRun: false, days: staleDays, cancelled: [], skipped: 0, failed: [] };
+
+    for (const { _id } of candidates) {
+      const session = await mongoose.startSession();
+      let order = null;
+      try {
+        session.startTransaction();
+        order = await Order.findOne({ _id, ...this.buildQuery(staleDays) }).session(session);
+        if (!order) {
+          await session.abortTransaction();
+          summary.skipped += 1;
+          continue;
+        }
+        await order.cancel(reason, 'system', { session, actor: { type: 'system' } });
+        await session.commitTransaction();
+        summary.cancelled.push(order.orderNumber);
+      } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        order = null;
+        summary.failed.push({ id: _id, error: error.message });
+        console.error(`❌ Auto-cancel failed for order ${_id}:`, error.message);
+      } finally {
+        session.endSession();
+      }
+
+      if (order && notify) {
+        orderNotificationService.sendOrderStatusUpdate(order, 'pending', 'cancelled', reason)
+          .catch(e => console.warn('⚠️ Auto-cancel notification failed:', e?.message));
+      }
+    }
+
+    if (summary.cancelled.length || summary.failed.length) {
+      console.log(`🧹 Stale pending orders: ${summary.cancelled.length} cancelled, ${summary.failed.length} failed`);
+    }
+    return summary;
+  }
+}
+
+module.exports = StaleOrderService;
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const { CodedError } = require('../middleware/errorHandler');
+const CreditTransaction = require('../models/CreditTransaction');
+
+/**
+ * Store Credit Service
+ * Balances kept on customer accounts (user.storeCreditBalance), credited by
+ * refunds or by hand and spent as a payment at checkout. Every change is a
+ * CreditTransaction entry written in the same transaction as the balance.
+ */
+
+// Users model is registered by models/User.js (loaded from index.js); resolve lazily
+const getUserModel = () => mongoose.model('Users');
+
+class StoreCreditError extends CodedError {}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const toAdmin = (admin = {}) => ({ id: admin.id ? String(admin.id) : null, email: admin.email || null });
+
+class StoreCreditService {
+
+  static async getUser(userId, { session = null } = {}) {
+    const user = mongoose.Types.ObjectId.isValid(userId)
+      ? await getUserModel().findById(userId).select('name email storeCreditBalance').session(session)
+      : null;
+    if (!user) throw new StoreCreditError('Customer account not found', 'ACCOUNT_NOT_FOUND', 404);
+    return user;
+  }
+
+  static async getBalance(userId, { session = null } = {}) {
+    const user = await this.getUser(userId, { session });
+    return round2(user.storeCreditBalance || 0);
+  }
+
+  /**
+   * Add to a balance (refunds, releases, admin credits) in the caller's session
+   * @param {Object} entry - { type, note, orderId, orderNumber, refundId, admin }
+   */
+  static async credit(userId, amount, { type = 'adjust', note, orderId = null, orderNumber = null, refundId = null, admin } = {}, { session = null } = {}) {
+    const user = await getUserModel().findOneAndUpdate(
+      { _id: userId },
+      { $inc: { storeCreditBalance: amount } },
+      { new: true, session }
+    ).select('storeCreditBalance');
+    if (!user) throw new StoreCreditError('Customer account not found', 'ACCOUNT_NOT_FOUND', 404);
+
+    return CreditTransaction.record({
+      account: 'store_credit',
+      userId: String(userId),
+      type,
+      amount,
+      balanceAfter: round2(user.storeCreditBalance),
+      orderId,
+      orderNumber,
+      refundId,
+      note,
+      admin: toAdmin(admin)
+    }, { session });
+  }
+
+  /**
+   * Take from a balance; fails instead of going below 0
+   */
+  static async debit(userId, amount, { type = 'redeem', note, orderId = null, orderNumber = null, admin } = {}, { session = null } = {}) {
+    const user = await getUserModel().findOneAndUpdate(
+      { _id: userId, storeCreditBalance: { $gte: amount } },
+      { $inc: { storeCreditBalance: -amount } },
+      { new: true, session }
+    ).select('storeCreditBalance');
+    if (!user) {
+      throw new StoreCreditError('Store credit balance is too low', 'INSUFFICIENT_STORE_CREDIT', 409, {
+        balance: await this.getBalance(userId, { session }).catch(() => null)
+      });
+    }
+
+    return CreditTransaction.record({
+      account: 'store_credit',
+      userId: String(userId),
+      type,
+      amount: -amount,
+      balanceAfter: round2(user.storeCreditBalance),
+      orderId,
+      orderNumber,
+      note,
+      admin: toAdmin(admin)
+    }, { session });
+  }
+
+  /**
+   * Spend store credit on an order (checkout transaction)
+   */
+  static async redeem(payment, order, { session }) {
+    try {
+      await this.debit(order.userId, payment.amount, { orderId: order._id, orderNumber: order.orderNumber }, { session });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_STORE_CREDIT') {
+        throw new StoreCreditError('Store credit balance changed, please review your order', 'STORE_CREDIT_CHANGED', 409, error.details);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give store credit back when an order is cancelled (OrderStateMachine hook)
+   */
+  static async releaseForOrder(order, { session = null } = {}) {
+    for (const payment of order.payments || []) {
+      if (payment.source !== 'store_credit' || payment.releasedAt) continue;
+      await this.credit(order.userId, payment.amount, {
+        type: 'release',
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        note: `Order ${order.orderNumber} cancelled`
+      }, { session });
+      payment.releasedAt = new Date();
+    }
+  }
+
+  // ===== Admin and account =====
+
+  static readAmount(value, { allowNegative = false } = {}) {
+    const amount = round2(value);
+    if (!Number.isFinite(Number(value)) || amount === 0 || (!allowNegative && amount < 0)) {
+      throw new StoreCreditError(
+        allowNegative ? 'amount must be a non-zero number' : 'amount must be greater than 0',
+        'INVALID_AMOUNT'
+      );
+    }
+    return amount;
+  }
+
+  /**
+   * Balance and ledger of one account, newest first
+   */
+  static async getAccount(userId, { page = 1, limit = 20 } = {}) {
+    const user = await this.getUser(userId);
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const query = { account: 'store_credit', userId: String(user._id) };
+
+    const [transactions, total] = await Promise.all([
+      CreditTransaction.find(query).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).lean(),
+      CreditTransaction.countDocuments(query)
+    ]);
+
+    return {
+      userId: user._id,
+      balance: round2(user.storeCreditBalance || 0),
+      transactions,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalTransactions: total,
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Run a balance change in its own transaction (admin actions)
+   */
+  static async runAdminChange(change) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const transaction = await change(session);
+      await session.commitTransaction();
+      session.endSession();
+      return transaction;
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  }
+
+  static readNote(note, message) {
+    const text = String(note || '').trim();
+    if (!text) throw new StoreCreditError(message, 'NOTE_REQUIRED');
+    return text.slice(0, 300);
+  }
+
+  /**
+   * Give a customer store credit (goodwill, compensation)
+   */
+  static async issue(userId, { amount, note } = {}, { admin = {} } = {}) {
+    const value = this.readAmount(amount);
+    const reason = this.readNote(note, 'A note explaining the credit is required');
+    await this.getUser(userId);
+    return this.runAdminChange(session => this.credit(userId, value, { type: 'issue', note: reason, admin }, { session }));
+  }
+
+  /**
+   * Correct a balance by hand (signed amount); it never goes below 0
+   */
+  static async adjust(userId, { amount, note } = {}, { admin = {} } = {}) {
+    const change = this.readAmount(amount, { allowNegative: true });
+    const reason = this.readNote(note, 'A note explaining the adjustment is required');
+    await this.getUser(userId);
+    return this.runAdminChange(session => (change > 0
+      ? this.credit(userId, change, { type: 'adjust', note: reason, admin }, { session })
+      : this.debit(userId, -change, { type: 'adjust', note: reason, admin }, { session })));
+  }
+
+  /**
+   * Write off the whole remaining balance
+   */
+  static async void(userId, { reason } = {}, { admin = {} } = {}) {
+    const note = this.readNote(reason, 'A reason is required to void store credit');
+    const balance = await this.getBalance(userId);
+    if (balance <= 0) throw new StoreCreditError('There is no store credit to void', 'NO_STORE_CREDIT', 409);
+    return this.runAdminChange(session => this.debit(userId, balance, { type: 'void', note, admin }, { session }));
+  }
+}
+
+module.exports = StoreCreditService;
+module.exports.StoreCreditError = StoreCreditError;
@@ -0,0 +1,113 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const CouponService = require('../services/couponService');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { query } = require('./helpers');
+
+const makeCoupon = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code: 'SAVE10',
+  type: 'percentage',
+  value: 10,
+  isActive: true,
+  stackable: false,
+  usedCount: 0,
+  usageLimit: null,
+  perCustomerLimit: null,
+  minSubtotal: 0,
+  ...fields
+});
+
+const pricing = {
+  subtotal: 5000,
+  deliveryFee: 600,
+  items: [
+    { productId: '1', category: 'girls', subtotal: 3000 },
+    { productId: '2', category: 'boys', subtotal: 2000 }
+  ]
+};
+
+const identity = CouponService.getIdentity({ userId: 'guest', email: 'Amel@Example.com', phone: '0555 12 34 56' });
+
+describe('CouponService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('limits', () => {
+    it('refuses a coupon that reached its usage limit', () => {
+      assert.throws(
+        () => CouponService.checkAvailability(makeCoupon({ usageLimit: 100, usedCount: 100 })),
+        { code: 'COUPON_USAGE_LIMIT', statusCode: 409 }
+      );
+      assert.doesNotThrow(() => CouponService.checkAvailability(makeCoupon({ usageLimit: 100, usedCount: 99 })));
+    });
+
+    it('refuses coupons outside their dates or switched off', () => {
+      const now = new Date('2026-06-15');
+      assert.throws(() => CouponService.checkAvailability(makeCoupon({ startsAt: new Date('2026-07-01') }), now), { code: 'COUPON_NOT_STARTED' });
+      assert.throws(() => CouponService.checkAvailability(makeCoupon({ endsAt: new Date('2026-06-15') }), now), { code: 'COUPON_EXPIRED' });
+      assert.throws(() => CouponService.checkAvailability(makeCoupon({ isActive: false }), now), { code: 'COUPON_INACTIVE' });
+    });
+
+    it('counts a guest\'s earlier uses by email and phone', async () => {
+      const count = mock.method(CouponRedemption, 'countDocuments', () => query(1));
+      await assert.rejects(
+        CouponService.checkCustomerLimit(makeCoupon({ perCustomerLimit: 1 }), identity),
+        { code: 'COUPON_CUSTOMER_LIMIT', statusCode: 409 }
+      );
+      const filter = count.mock.calls[0].arguments[0];
+      assert.equal(filter.status, 'applied');
+      assert.deepEqual(filter.$or, [{ email: 'amel@example.com' }, { phoneKey: identity.phoneKey }]);
+    });
+
+    it('allows a customer below the per-customer limit', async () => {
+      mock.method(CouponRedemption, 'countDocuments', () => query(1));
+      await CouponService.checkCustomerLimit(makeCoupon({ perCustomerLimit: 2 }), identity);
+    });
+
+    it('limits the number of codes per order', () => {
+      assert.throws(() => CouponService.readCodes({ couponCodes: ['A', 'B', 'C', 'D', 'E', 'F'] }), { code: 'TOO_MANY_COUPONS' });
+      assert.deepEqual(CouponService.readCodes({ couponCodes: [' a ', 'A', 'b'] }), ['A', 'B']);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('caps a percentage coupon at its maximum discount', async () => {
+      mock.method(Coupon, 'find', () => query([makeCoupon({ value: 20, maxDiscount: 500 })]));
+      const result = await CouponService.evaluate(['SAVE10'], pricing, identity);
+      assert.equal(result.orderDiscount, 500);
+      assert.equal(result.total, 5100);
+    });
+
+    it('only discounts the eligible items', async () => {
+      mock.method(Coupon, 'find', () => query([makeCoupon({ appliesTo: { categories: ['girls'], products: [] } })]));
+      const result = await CouponService.evaluate(['SAVE10'], pricing, identity);
+      assert.equal(result.orderDiscount, 300);
+    });
+
+    it('refuses non-stackable coupons used together', async () => {
+      mock.method(Coupon, 'find', () => query([
+        makeCoupon(),
+        makeCoupon({ code: 'SHIPFREE', type: 'free_delivery', stackable: true })
+      ]));
+      await assert.rejects(CouponService.evaluate(['SAVE10', 'SHIPFREE'], pricing, identity), { code: 'COUPON_NOT_STACKABLE' });
+    });
+
+    it('applies percentages before fixed amounts', async () => {
+      mock.method(Coupon, 'find', () => query([
+        makeCoupon({ code: 'FIXED', type: 'fixed', value: 1000, stackable: true }),
+        makeCoupon({ stackable: true })
+      ]));
+      const result = await CouponService.evaluate(['FIXED', 'SAVE10'], pricing, identity);
+      assert.deepEqual(result.discounts.map(d => [d.code, d.amount]), [['SAVE10', 500], ['FIXED', 1000]]);
+      assert.equal(result.orderDiscount, 1500);
+    });
+
+    it('refuses a cart below the minimum subtotal', async () => {
+      mock.method(Coupon, 'find', () => query([makeCoupon({ minSubtotal: 8000 })]));
+      await assert.rejects(CouponService.evaluate(['SAVE10'], pricing, identity), { code: 'COUPON_MIN_SUBTOTAL' });
+    });
+  });
+});
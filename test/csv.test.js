@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeCSV, toCSVRow, neutralizeFormula } = require('../utils/csv');
+
+describe('csv', () => {
+  it('quotes values with delimiters, quotes and line breaks', () => {
+    assert.equal(escapeCSV('Cité 5, Bloc "B"'), '"Cité 5, Bloc ""B"""');
+    assert.equal(escapeCSV('line\nbreak'), '"line\nbreak"');
+    assert.equal(escapeCSV(null), '');
+  });
+
+  it('keeps text from starting a formula', () => {
+    assert.equal(escapeCSV('=HYPERLINK("http://evil.example","x")'), '"\'=HYPERLINK(""http://evil.example"",""x"")"');
+    assert.equal(escapeCSV('+213555123456'), "'+213555123456");
+    assert.equal(escapeCSV('-2+3'), "'-2+3");
+    assert.equal(escapeCSV('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(escapeCSV('\t=1'), "'\t=1");
+  });
+
+  it('leaves numbers and dates as they are', () => {
+    assert.equal(escapeCSV(-3), '-3');
+    assert.equal(escapeCSV(new Date('2026-05-01T00:00:00Z')), '2026-05-01T00:00:00.000Z');
+    assert.equal(neutralizeFormula(-3), -3);
+    assert.equal(neutralizeFormula('Amel'), 'Amel');
+  });
+
+  it('builds a row', () => {
+    assert.equal(toCSVRow(['ORD-1', 1200, '=1+1']), "ORD-1,1200,'=1+1\n");
+  });
+});
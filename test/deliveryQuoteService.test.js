@@ -0,0 +1,84 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DeliveryQuoteService = require('../services/deliveryQuoteService');
+const { DeliveryFee } = require('../models/Location');
+const { query } = require('./helpers');
+
+const rate = (fields = {}) => ({
+  wilaya: 'Alger',
+  commune: 'Bab Ezzouar',
+  deliveryType: 'home',
+  fee: 600,
+  freeDeliveryThreshold: 10000,
+  estimatedDays: { min: 2, max: 4 },
+  ...fields
+});
+
+describe('DeliveryQuoteService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('priceRate', () => {
+    it('charges the fee below the free delivery threshold', () => {
+      const quote = DeliveryQuoteService.priceRate(rate(), 9000);
+      assert.equal(quote.fee, 600);
+      assert.equal(quote.freeDelivery, false);
+      assert.equal(quote.amountToFreeDelivery, 1000);
+      assert.equal(quote.estimatedDeliveryDisplay, '2-4 days');
+    });
+
+    it('delivers for free from the threshold', () => {
+      const quote = DeliveryQuoteService.priceRate(rate(), 10000);
+      assert.equal(quote.fee, 0);
+      assert.equal(quote.baseFee, 600);
+      assert.equal(quote.freeDelivery, true);
+    });
+
+    it('ignores a threshold of 0', () => {
+      assert.equal(DeliveryQuoteService.priceRate(rate({ freeDeliveryThreshold: 0 }), 50000).fee, 600);
+    });
+  });
+
+  describe('quote', () => {
+    it('skips inactive rates and lists every delivery type offered', async () => {
+      const find = mock.method(DeliveryFee, 'find', () => query([
+        rate({ deliveryType: 'pickup', fee: 300 }),
+        rate()
+      ]));
+
+      const quote = await DeliveryQuoteService.quote({ wilaya: 'Alger', commune: 'Bab Ezzouar', deliveryType: 'pickup', subtotal: 2000 });
+
+      assert.deepEqual(find.mock.calls[0].arguments[0].isActive, { $ne: false });
+      assert.equal(quote.available, true);
+      assert.equal(quote.fee, 300);
+      assert.deepEqual(quote.options.map(o => o.deliveryType), ['home', 'pickup']);
+    });
+
+    it('reports a destination without a rate as unavailable', async () => {
+      mock.method(DeliveryFee, 'find', () => query([rate()]));
+      const quote = await DeliveryQuoteService.quote({ wilaya: 'Alger', commune: 'Bab Ezzouar', deliveryType: 'pickup' });
+      assert.equal(quote.available, false);
+      assert.equal(quote.fee, null);
+    });
+  });
+
+  describe('DeliveryFee.calculateDeliveryFee', () => {
+    it('prices through the quote service', async () => {
+      mock.method(DeliveryFee, 'find', () => query([rate()]));
+
+      const result = await DeliveryFee.calculateDeliveryFee('Alger', 'Bab Ezzouar', 'home', 12000);
+
+      assert.equal(result.success, true);
+      assert.equal(result.fee, 0);
+      assert.equal(result.originalFee, 600);
+      assert.equal(result.hasFreeDelivery, true);
+      assert.equal(result.freeDeliveryThreshold, 10000);
+    });
+
+    it('reports a missing rate', async () => {
+      mock.method(DeliveryFee, 'find', () => query([]));
+      const result = await DeliveryFee.calculateDeliveryFee('Alger', 'Bab Ezzouar', 'home', 12000);
+      assert.equal(result.success, false);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const GuestOrderLinkService = require('../services/guestOrderLinkService');
+const Order = require('../models/Order');
+const { query } = require('./helpers');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+describe('GuestOrderLinkService.linkOrders', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reports only the orders its update linked', async () => {
+    const updates = [];
+    mock.method(Order, 'updateMany', async (filter, update) => {
+      updates.push({ filter, update });
+      // The phone match found an order a concurrent request had just linked
+      return { modifiedCount: updates.length === 1 ? 2 : 0 };
+    });
+    const find = mock.method(Order, 'find', () => query([{ orderNumber: 'ORD-1' }, { orderNumber: 'ORD-2' }]));
+
+    const result = await GuestOrderLinkService.linkOrders(user, {
+      email: 'Amel@Example.com',
+      phone: '0555 12 34 56',
+      linkedBy: 'email_verification'
+    });
+
+    assert.deepEqual(result, { linked: 2, orderNumbers: ['ORD-1', 'ORD-2'] });
+    assert.deepEqual(updates.map(u => u.filter.userId), ['guest', 'guest']);
+    assert.equal(updates[0].filter['customerInfo.email'], 'amel@example.com');
+    assert.equal(updates[1].update.$set.accountLink.matchedOn, 'phone');
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.userId, String(user._id));
+    assert.equal(filter['accountLink.linkedAt'], updates[0].update.$set.accountLink.linkedAt);
+  });
+
+  it('does not read anything back when no order was linked', async () => {
+    mock.method(Order, 'updateMany', async () => ({ modifiedCount: 0 }));
+    const find = mock.method(Order, 'find', () => query([]));
+
+    const result = await GuestOrderLinkService.linkOrders(user, { orderIds: [String(new mongoose.Types.ObjectId()), 'bad'] });
+
+    assert.deepEqual(result, { linked: 0, orderNumbers: [] });
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('never matches the placeholder email of guests who gave none', async () => {
+    const updateMany = mock.method(Order, 'updateMany', async () => ({ modifiedCount: 0 }));
+    await GuestOrderLinkService.linkOrders(user, { email: 'guest.1700000000000@damiokids.com' });
+    assert.equal(updateMany.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Test helpers
+ * Services are exercised against stubbed model methods; nothing here needs a
+ * running MongoDB.
+ */
+
+/**
+ * A Mongoose query stand-in that resolves to value however it is chained
+ * (.session(), .select(), .lean(), .sort() ... then await)
+ */
+const query = (value) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  for (const method of ['session', 'select', 'lean', 'sort', 'skip', 'limit', 'populate']) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+/**
+ * Session stand-in for services that run their own transaction
+ */
+const fakeSession = () => {
+  const session = {
+    committed: false,
+    aborted: false,
+    ended: false,
+    startTransaction() {},
+    async commitTransaction() { session.committed = true; },
+    async abortTransaction() { session.aborted = true; },
+    async withTransaction(fn) {
+      try {
+        await fn(session);
+        session.committed = true;
+      } catch (error) {
+        session.aborted = true;
+        throw error;
+      }
+    },
+    endSession() { session.ended = true; }
+  };
+  return session;
+};
+
+module.exports = { query, fakeSession };
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const InvoiceService = require('../services/invoiceService');
+const { formatDZD } = InvoiceService;
+
+const makeOrder = () => ({
+  orderNumber: 'ORD-1',
+  date: new Date('2026-05-01'),
+  subtotal: 5000,
+  deliveryFee: 600,
+  total: 5200,
+  financials: { orderDiscount: 400, taxAmount: 798.32 },
+  items: [{ name: 'Dress', price: 2500, quantity: 2, subtotal: 5000 }],
+  customerInfo: { name: 'Amel', email: 'amel@example.com', phone: '0555123456' },
+  shippingAddress: { fullName: 'Amel', address: 'Cite 5', commune: 'Bab Ezzouar', wilaya: 'Alger', phone: '0555123456' },
+  paymentMethod: 'cash_on_delivery'
+});
+
+describe('InvoiceService', () => {
+  it('prints the order total, with tax included rather than added', () => {
+    assert.deepEqual(InvoiceService.computeTotals(makeOrder()), {
+      subtotal: 5000,
+      deliveryFee: 600,
+      discount: 400,
+      tax: 798.32,
+      total: 5200
+    });
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await InvoiceService.renderPDF(makeOrder(), { number: 'INV-2026-000001', issuedAt: new Date('2026-05-02') });
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('formats amounts in dinars', () => {
+    assert.equal(formatDZD(12500), '12 500,00 DZD');
+    assert.equal(formatDZD(-400.5), '-400,50 DZD');
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const LoyaltyService = require('../services/loyaltyService');
+const Users = require('../models/User');
+const { query } = require('./helpers');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+describe('LoyaltyService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('computeEarnedPoints', () => {
+    it('earns one point per 100 DZD paid for items, after discounts', () => {
+      const order = { subtotal: 5000, items: [{ subtotal: 5000 }], financials: { orderDiscount: 450 } };
+      assert.deepEqual(LoyaltyService.computeEarnedPoints(order), { points: 45, eligibleAmount: 4550 });
+    });
+
+    it('applies the tier multiplier', () => {
+      const order = { subtotal: 4000, items: [{ subtotal: 4000 }], financials: {} };
+      assert.equal(LoyaltyService.computeEarnedPoints(order, { name: 'gold', multiplier: 1.5 }).points, 60);
+    });
+
+    it('earns nothing when discounts cover the items', () => {
+      const order = { subtotal: 1000, items: [{ subtotal: 1000 }], financials: { orderDiscount: 1000 } };
+      assert.equal(LoyaltyService.computeEarnedPoints(order).points, 0);
+    });
+  });
+
+  describe('reverseForRefund', () => {
+    const makeOrder = (loyalty) => ({
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'ORD-1',
+      userId,
+      loyalty: { earnedPoints: 40, earnedOnAmount: 4000, reversedPoints: 0, ...loyalty }
+    });
+
+    it('takes back points in proportion to the amount refunded', async () => {
+      mock.method(Users, 'findById', () => query({ loyalty: { points: 500 } }));
+      const change = mock.method(LoyaltyService, 'change', async () => {});
+      const order = makeOrder();
+
+      await LoyaltyService.reverseForRefund(order, 1000, { note: 'Refund' });
+
+      assert.equal(change.mock.calls[0].arguments[1], -10);
+      assert.equal(change.mock.calls[0].arguments[2].type, 'reverse');
+      assert.equal(order.loyalty.reversedPoints, 10);
+    });
+
+    it('never takes back more than was earned', async () => {
+      mock.method(Users, 'findById', () => query({ loyalty: { points: 500 } }));
+      const change = mock.method(LoyaltyService, 'change', async () => {});
+      const order = makeOrder({ reversedPoints: 30 });
+
+      await LoyaltyService.reverseForRefund(order, 4000, { note: 'Refund' });
+
+      assert.equal(change.mock.calls[0].arguments[1], -10);
+      assert.equal(order.loyalty.reversedPoints, 40);
+    });
+
+    it('only deducts the points still in the balance, but counts them all as reversed', async () => {
+      mock.method(Users, 'findById', () => query({ loyalty: { points: 5 } }));
+      const change = mock.method(LoyaltyService, 'change', async () => {});
+      const order = makeOrder();
+
+      await LoyaltyService.reverseForRefund(order, 2000, { note: 'Refund' });
+
+      const [, delta, entry] = change.mock.calls[0].arguments;
+      assert.equal(delta, -5);
+      assert.equal(entry.lifetime, -20);
+      assert.match(entry.note, /15 points already spent/);
+      assert.equal(order.loyalty.reversedPoints, 20);
+    });
+
+    it('does nothing for guest orders', async () => {
+      const change = mock.method(LoyaltyService, 'change', async () => {});
+      await LoyaltyService.reverseForRefund({ ...makeOrder(), userId: 'guest' }, 1000, {});
+      assert.equal(change.mock.callCount(), 0);
+    });
+  });
+});
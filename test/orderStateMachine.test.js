@@ -0,0 +1,134 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OrderStateMachine = require('../services/orderStateMachine');
+const { OrderTransitionError, ORDER_TRANSITIONS } = OrderStateMachine;
+const InventoryService = require('../services/inventoryService');
+const LoyaltyService = require('../services/loyaltyService');
+
+const makeOrder = (fields = {}) => ({
+  status: 'pending',
+  paymentMethod: 'cash_on_delivery',
+  paymentStatus: 'pending',
+  statusHistory: [],
+  items: [],
+  ...fields
+});
+
+describe('OrderStateMachine', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('transition table', () => {
+    it('ends in cancelled and returned', () => {
+      const table = OrderStateMachine.getTransitionTable();
+      const terminal = table.filter(row => row.terminal).map(row => row.status);
+      assert.deepEqual(terminal.sort(), ['cancelled', 'returned']);
+    });
+
+    it('only names known statuses as next steps', () => {
+      const statuses = Object.keys(ORDER_TRANSITIONS);
+      for (const next of Object.values(ORDER_TRANSITIONS)) {
+        for (const status of next) assert.ok(statuses.includes(status), status);
+      }
+    });
+
+    it('refuses moves that are not in the table', () => {
+      const check = OrderStateMachine.canTransition(makeOrder({ status: 'delivered' }), 'pending');
+      assert.equal(check.allowed, false);
+      assert.equal(check.code, 'ILLEGAL_STATUS_TRANSITION');
+    });
+
+    it('refuses unknown statuses', () => {
+      const check = OrderStateMachine.canTransition(makeOrder(), 'lost');
+      assert.equal(check.code, 'INVALID_STATUS');
+    });
+  });
+
+  describe('guards', () => {
+    it('keeps unpaid prepaid orders from shipping', () => {
+      const order = makeOrder({ status: 'processing', paymentMethod: 'card', paymentStatus: 'pending' });
+      const check = OrderStateMachine.canTransition(order, 'shipped');
+      assert.equal(check.allowed, false);
+      assert.equal(check.code, 'TRANSITION_GUARD_FAILED');
+
+      order.paymentStatus = 'paid';
+      assert.equal(OrderStateMachine.canTransition(order, 'shipped').allowed, true);
+    });
+
+    it('lets cash on delivery orders ship unpaid', () => {
+      const order = makeOrder({ status: 'processing' });
+      assert.equal(OrderStateMachine.canTransition(order, 'shipped').allowed, true);
+    });
+
+    it('needs a tracking number to ship a confirmed order directly', () => {
+      const order = makeOrder({ status: 'confirmed' });
+      assert.equal(OrderStateMachine.canTransition(order, 'shipped').allowed, false);
+
+      order.trackingNumber = 'YAL-123';
+      assert.equal(OrderStateMachine.canTransition(order, 'shipped').allowed, true);
+    });
+
+    it('keeps orders waiting for a risk review from being confirmed', () => {
+      const order = makeOrder({ risk: { flagged: true, review: { status: 'pending' } } });
+      const check = OrderStateMachine.canTransition(order, 'confirmed');
+      assert.equal(check.allowed, false);
+      assert.match(check.reason, /risk review/);
+      // A flagged order can still be cancelled while it waits
+      assert.equal(OrderStateMachine.canTransition(order, 'cancelled').allowed, true);
+
+      order.risk.review.status = 'cleared';
+      assert.equal(OrderStateMachine.canTransition(order, 'confirmed').allowed, true);
+    });
+
+    it('refuses returns once the return window has closed', () => {
+      const order = makeOrder({ status: 'delivered', canReturn: false });
+      assert.equal(OrderStateMachine.canTransition(order, 'returned').allowed, false);
+    });
+
+    it('reports blocked actions with their reason', () => {
+      const actions = OrderStateMachine.getAvailableActions(makeOrder({ status: 'confirmed' }));
+      const shipped = actions.find(a => a.status === 'shipped');
+      assert.equal(shipped.allowed, false);
+      assert.match(shipped.reason, /tracking number/);
+    });
+  });
+
+  describe('transition()', () => {
+    it('records the change in the status history', async () => {
+      const order = makeOrder();
+      const result = await OrderStateMachine.transition(order, 'confirmed', { note: 'Called customer', updatedBy: 'admin' });
+
+      assert.deepEqual(result, { from: 'pending', to: 'confirmed' });
+      assert.equal(order.status, 'confirmed');
+      assert.equal(order.statusHistory.length, 1);
+      assert.equal(order.statusHistory[0].note, 'Called customer');
+      assert.equal(order.statusHistory[0].updatedBy, 'admin');
+    });
+
+    it('throws OrderTransitionError and leaves the order untouched when refused', async () => {
+      const order = makeOrder({ status: 'cancelled' });
+      await assert.rejects(
+        OrderStateMachine.transition(order, 'confirmed'),
+        (error) => error instanceof OrderTransitionError &&
+          error.statusCode === 409 &&
+          error.code === 'ILLEGAL_STATUS_TRANSITION' &&
+          error.details.from === 'cancelled'
+      );
+      assert.equal(order.status, 'cancelled');
+      assert.equal(order.statusHistory.length, 0);
+    });
+
+    it('runs the delivered hooks', async () => {
+      const sync = mock.method(InventoryService, 'syncOrderStock', async () => ({ action: 'confirmed' }));
+      const earn = mock.method(LoyaltyService, 'earnForOrder', async () => {});
+      const order = makeOrder({ status: 'shipped' });
+
+      await OrderStateMachine.transition(order, 'delivered', { session: 's' });
+
+      assert.ok(order.actualDeliveryDate instanceof Date);
+      assert.equal(sync.mock.calls[0].arguments[1], 'delivered');
+      assert.equal(sync.mock.calls[0].arguments[2].session, 's');
+      assert.equal(earn.mock.callCount(), 1);
+    });
+  });
+});
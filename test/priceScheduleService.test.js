@@ -0,0 +1,178 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const PriceScheduleService = require('../services/priceScheduleService');
+const PriceSchedule = require('../models/PriceSchedule');
+const Product = require('../models/Product');
+const { query } = require('./helpers');
+
+const scheduleId = new mongoose.Types.ObjectId();
+
+const makeSchedule = (fields = {}) => ({
+  _id: scheduleId,
+  name: 'Summer sale',
+  scope: 'product',
+  productIds: [1, 2],
+  discountType: 'percent',
+  value: 20,
+  appliedProducts: [],
+  ...fields
+});
+
+const makeProduct = (id, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  id,
+  name: `Product ${id}`,
+  new_price: 1000,
+  old_price: 1200,
+  isPromo: false,
+  on_sale: false,
+  activeSale: null,
+  ...fields
+});
+
+describe('PriceScheduleService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('getSalePrice', () => {
+    it('takes a percentage off the current price', () => {
+      assert.equal(PriceScheduleService.getSalePrice(makeSchedule(), { new_price: 2500 }), 2000);
+    });
+
+    it('uses a fixed sale price as is', () => {
+      assert.equal(PriceScheduleService.getSalePrice(makeSchedule({ discountType: 'price', value: 799.5 }), { new_price: 2500 }), 799.5);
+    });
+  });
+
+  describe('validation', () => {
+    const build = (fields) => new PriceSchedule({
+      name: 'Flash sale',
+      scope: 'product',
+      productIds: [1],
+      startsAt: new Date('2026-06-01'),
+      endsAt: new Date('2026-06-02'),
+      ...fields
+    });
+
+    it('refuses a fixed sale price of 0', async () => {
+      await assert.rejects(
+        build({ discountType: 'price', value: 0 }).validate(),
+        (error) => /above 0/.test(error.errors.value.message)
+      );
+    });
+
+    it('accepts a fixed sale price above 0', async () => {
+      await build({ discountType: 'price', value: 1 }).validate();
+    });
+  });
+
+  describe('applySchedule', () => {
+    it('reprices products and remembers their previous prices', async () => {
+      const products = [makeProduct(1), makeProduct(2, { new_price: 500 })];
+      mock.method(PriceSchedule, 'findOneAndUpdate', async () => makeSchedule({ discountType: 'price', value: 800 }));
+      mock.method(PriceScheduleService, 'resolveProducts', async () => products);
+      const pushes = [];
+      mock.method(PriceSchedule, 'updateOne', async (filter, update) => { pushes.push(update.$push); });
+      const repriced = mock.method(Product, 'findOneAndUpdate', (filter) => query(products.find(p => p._id === filter._id)));
+
+      const result = await PriceScheduleService.applySchedule(scheduleId);
+
+      assert.deepEqual(result, { applied: 1, skipped: 1 });
+      // Product 2 already costs less than the sale price
+      assert.equal(repriced.mock.callCount(), 1);
+      const [filter, update] = repriced.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: products[0]._id, activeSale: null, new_price: 1000 });
+      assert.equal(update.$set.new_price, 800);
+      assert.equal(update.$set.old_price, 1000);
+      assert.equal(update.$set.activeSale, scheduleId);
+
+      const applied = pushes.find(p => p.appliedProducts).appliedProducts;
+      assert.deepEqual(applied.previous, { new_price: 1000, old_price: 1200, isPromo: false, on_sale: false });
+      assert.equal(applied.salePrice, 800);
+      assert.match(pushes.find(p => p.skippedProducts).skippedProducts.reason, /not below/);
+    });
+
+    it('skips products another sale already holds', async () => {
+      mock.method(PriceSchedule, 'findOneAndUpdate', async () => makeSchedule());
+      mock.method(PriceScheduleService, 'resolveProducts', async () => [makeProduct(1)]);
+      const pushes = [];
+      mock.method(PriceSchedule, 'updateOne', async (filter, update) => { pushes.push(update.$push); });
+      mock.method(Product, 'findOneAndUpdate', () => query(null));
+
+      const result = await PriceScheduleService.applySchedule(scheduleId);
+
+      assert.deepEqual(result, { applied: 0, skipped: 1 });
+      assert.match(pushes[0].skippedProducts.reason, /another sale/);
+    });
+
+    it('never reprices a product to 0', async () => {
+      mock.method(PriceSchedule, 'findOneAndUpdate', async () => makeSchedule({ value: 99 }));
+      mock.method(PriceScheduleService, 'resolveProducts', async () => [makeProduct(1, { new_price: 40 })]);
+      const pushes = [];
+      mock.method(PriceSchedule, 'updateOne', async (filter, update) => { pushes.push(update.$push); });
+      const repriced = mock.method(Product, 'findOneAndUpdate', () => query(null));
+
+      const result = await PriceScheduleService.applySchedule(scheduleId);
+
+      assert.deepEqual(result, { applied: 0, skipped: 1 });
+      assert.equal(repriced.mock.callCount(), 0);
+      assert.match(pushes[0].skippedProducts.reason, /above 0/);
+    });
+
+    it('does nothing for a sale that is not scheduled', async () => {
+      mock.method(PriceSchedule, 'findOneAndUpdate', async () => null);
+      assert.equal(await PriceScheduleService.applySchedule(scheduleId), null);
+    });
+  });
+
+  describe('revertSchedule', () => {
+    const entry = (fields = {}) => ({
+      productId: new mongoose.Types.ObjectId(),
+      salePrice: 800,
+      previous: { new_price: 1000, old_price: 1200, isPromo: false, on_sale: false },
+      ...fields
+    });
+
+    it('restores the previous prices', async () => {
+      const applied = entry();
+      mock.method(PriceSchedule, 'findOneAndUpdate', async () => makeSchedule({ appliedProducts: [applied] }));
+      const notes = mock.method(PriceSchedule, 'updateOne', async () => {});
+      const restore = mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+      const result = await PriceScheduleService.revertSchedule(scheduleId);
+
+      assert.deepEqual(result, { reverted: 1, kept: 0 });
+      const [filter, update] = restore.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: applied.productId, activeSale: scheduleId, new_price: 800 });
+      assert.equal(update.$set.new_price, 1000);
+      assert.equal(update.$set.activeSale, null);
+      assert.equal(notes.mock.calls[0].arguments[1].$set['appliedProducts.$.revertNote'], null);
+    });
+
+    it('keeps a price edited by hand during the sale', async () => {
+      mock.method(PriceSchedule, 'findOneAndUpdate', async () => makeSchedule({ appliedProducts: [entry()] }));
+      const notes = mock.method(PriceSchedule, 'updateOne', async () => {});
+      const updates = [];
+      mock.method(Product, 'updateOne', async (filter, update) => {
+        updates.push(update.$set);
+        return { modifiedCount: updates.length === 1 ? 0 : 1 };
+      });
+
+      const result = await PriceScheduleService.revertSchedule(scheduleId);
+
+      assert.deepEqual(result, { reverted: 0, kept: 1 });
+      assert.equal('new_price' in updates[1], false);
+      assert.equal(updates[1].old_price, 1200);
+      assert.match(notes.mock.calls[0].arguments[1].$set['appliedProducts.$.revertNote'], /current price kept/);
+    });
+
+    it('skips entries that were already reverted', async () => {
+      mock.method(PriceSchedule, 'findOneAndUpdate', async () => makeSchedule({ appliedProducts: [entry({ revertedAt: new Date() })] }));
+      const restore = mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+      assert.deepEqual(await PriceScheduleService.revertSchedule(scheduleId), { reverted: 0, kept: 0 });
+      assert.equal(restore.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RefundService = require('../services/refundService');
+const { RefundError } = RefundService;
+
+// 2 x 1000 with a 200 promotion on the line, 1 x 3000, plus a 400 coupon on the order
+const makeOrder = () => ({
+  items: [
+    { productId: 'p1', name: 'Dress', price: 1000, quantity: 2, subtotal: 2000, promotionDiscount: 200 },
+    { productId: 'p2', name: 'Coat', price: 3000, quantity: 1, subtotal: 3000, promotionDiscount: 0 }
+  ],
+  financials: { orderDiscount: 600 }
+});
+
+describe('RefundService', () => {
+  describe('getLinePaidAmount', () => {
+    it('takes the line promotion off and shares the rest of the discount by line amount', () => {
+      const order = makeOrder();
+      // Coupon share: 400 * 1800 / 4800 = 150 and 400 * 3000 / 4800 = 250
+      assert.equal(RefundService.getLinePaidAmount(order, order.items[0]), 1650);
+      assert.equal(RefundService.getLinePaidAmount(order, order.items[1]), 2750);
+    });
+
+    it('adds up to what the customer paid for the items', () => {
+      const order = makeOrder();
+      const paid = order.items.reduce((sum, line) => sum + RefundService.getLinePaidAmount(order, line), 0);
+      assert.equal(paid, 5000 - 600);
+    });
+
+    it('falls back to price x quantity without a subtotal', () => {
+      const order = { items: [{ price: 500, quantity: 3 }], financials: {} };
+      assert.equal(RefundService.getLinePaidAmount(order, order.items[0]), 1500);
+    });
+  });
+
+  describe('buildRefundItems', () => {
+    it('refunds the paid amount for the units returned by default', () => {
+      const lines = RefundService.buildRefundItems(makeOrder(), [{ lineIndex: 0, quantity: 1 }], []);
+      assert.equal(lines.length, 1);
+      assert.equal(lines[0].amount, 825);
+      assert.equal(lines[0].unitPrice, 1000);
+      assert.equal(lines[0].productId, 'p1');
+    });
+
+    it('keeps an explicit amount', () => {
+      const [line] = RefundService.buildRefundItems(makeOrder(), [{ lineIndex: 1, quantity: 1, amount: 1000 }], []);
+      assert.equal(line.amount, 1000);
+    });
+
+    it('refuses more units than are left to refund', () => {
+      const refunds = [{ items: [{ lineIndex: 0, quantity: 1 }] }];
+      assert.throws(
+        () => RefundService.buildRefundItems(makeOrder(), [{ lineIndex: 0, quantity: 2 }], refunds),
+        (error) => error instanceof RefundError &&
+          error.code === 'REFUND_QUANTITY_EXCEEDED' &&
+          error.details.available === 1
+      );
+    });
+
+    it('counts the same line listed twice in one request', () => {
+      assert.throws(
+        () => RefundService.buildRefundItems(makeOrder(), [
+          { lineIndex: 1, quantity: 1 },
+          { lineIndex: 1, quantity: 1 }
+        ], []),
+        { code: 'REFUND_QUANTITY_EXCEEDED' }
+      );
+    });
+
+    it('refuses unknown lines and partial units', () => {
+      assert.throws(() => RefundService.buildRefundItems(makeOrder(), [{ lineIndex: 5, quantity: 1 }], []), { code: 'INVALID_REFUND' });
+      assert.throws(() => RefundService.buildRefundItems(makeOrder(), [{ lineIndex: 0, quantity: 0.5 }], []), { code: 'INVALID_REFUND' });
+    });
+
+    it('refuses negative amounts', () => {
+      assert.throws(
+        () => RefundService.buildRefundItems(makeOrder(), [{ lineIndex: 0, quantity: 1, amount: -5 }], []),
+        { code: 'INVALID_REFUND' }
+      );
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const RemittanceService = require('../services/remittanceService');
+const Remittance = require('../models/Remittance');
+const Counter = require('../models/Counter');
+const { fakeSession } = require('./helpers');
+
+const makeOrder = (orderNumber, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber,
+  trackingNumber: `YAL-${orderNumber}`,
+  paymentMethod: 'cash_on_delivery',
+  paymentStatus: 'pending',
+  actualDeliveryDate: new Date('2026-05-02'),
+  total: 5600,
+  shipment: { codAmount: 5600, fee: 400 },
+  saved: 0,
+  async save() { this.saved++; },
+  ...fields
+});
+
+// Stubs the transaction, the order lookup and the writes; returns what was recorded
+const stubRemittance = (orders) => {
+  const session = fakeSession();
+  mock.method(mongoose, 'startSession', async () => session);
+  mock.method(RemittanceService, 'findLineOrders', async () => (line) => (
+    orders.find(o => o.orderNumber === line.orderNumber || o.trackingNumber === line.trackingNumber) || null
+  ));
+  mock.method(Counter, 'next', async () => 12);
+  const create = mock.method(Remittance, 'create', async ([doc]) => [{ _id: new mongoose.Types.ObjectId(), ...doc }]);
+  return { session, create };
+};
+
+describe('RemittanceService.recordRemittance', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('records the payout and marks the orders paid', async () => {
+    const orders = [makeOrder('ORD-1'), makeOrder('ORD-2', { shipment: { codAmount: 3000, fee: 300 } })];
+    const { session } = stubRemittance(orders);
+
+    const remittance = await RemittanceService.recordRemittance({
+      carrier: 'yalidine',
+      receivedAt: '2026-05-10',
+      orders: [{ orderNumber: 'ORD-1' }, { trackingNumber: 'YAL-ORD-2' }]
+    }, { admin: { id: 'a1', email: 'admin@example.com' } });
+
+    assert.equal(remittance.batchNumber, 'RM-2026-000012');
+    assert.deepEqual(remittance.totals, { collected: 8600, fees: 700, net: 7900 });
+    assert.equal(remittance.amountReceived, 7900);
+    assert.equal(remittance.discrepancy, 0);
+    assert.equal(remittance.lines[1].netAmount, 2700);
+    assert.deepEqual(remittance.admin, { id: 'a1', email: 'admin@example.com' });
+
+    for (const order of orders) {
+      assert.equal(order.paymentStatus, 'paid');
+      assert.equal(order.remittance.batchNumber, 'RM-2026-000012');
+      assert.equal(order.saved, 1);
+    }
+    assert.equal(session.committed, true);
+    assert.equal(session.ended, true);
+  });
+
+  it('records the difference between the statement and the cash received', async () => {
+    stubRemittance([makeOrder('ORD-1')]);
+    const remittance = await RemittanceService.recordRemittance({
+      carrier: 'yalidine',
+      amountReceived: 5000,
+      orders: [{ orderNumber: 'ORD-1', collectedAmount: 5600, fee: 450 }]
+    });
+    assert.equal(remittance.totals.net, 5150);
+    assert.equal(remittance.discrepancy, -150);
+  });
+
+  it('keeps refund payment statuses', async () => {
+    const order = makeOrder('ORD-1', { paymentStatus: 'partially_refunded' });
+    stubRemittance([order]);
+    await RemittanceService.recordRemittance({ carrier: 'yalidine', orders: [{ orderNumber: 'ORD-1' }] });
+    assert.equal(order.paymentStatus, 'partially_refunded');
+  });
+
+  it('refuses the whole batch when a line is invalid', async () => {
+    const orders = [
+      makeOrder('ORD-1'),
+      makeOrder('ORD-2', { actualDeliveryDate: null }),
+      makeOrder('ORD-3', { paymentMethod: 'card' }),
+      makeOrder('ORD-4', { remittance: { remittanceId: new mongoose.Types.ObjectId(), batchNumber: 'RM-2026-000001' } }),
+      makeOrder('ORD-5')
+    ];
+    const { session, create } = stubRemittance(orders);
+
+    await assert.rejects(
+      RemittanceService.recordRemittance({
+        carrier: 'yalidine',
+        orders: [
+          { orderNumber: 'ORD-1' },
+          { orderNumber: 'ORD-1' },
+          { orderNumber: 'ORD-2' },
+          { orderNumber: 'ORD-3' },
+          { orderNumber: 'ORD-4' },
+          { orderNumber: 'ORD-9' },
+          { orderNumber: 'ORD-5', fee: -1 }
+        ]
+      }),
+      (error) => {
+        assert.equal(error.code, 'INVALID_REMITTANCE');
+        assert.deepEqual(error.details.errors.map(e => [e.index, e.code]), [
+          [1, 'DUPLICATE_ORDER'],
+          [2, 'NOT_DELIVERED'],
+          [3, 'NOT_COD'],
+          [4, 'ALREADY_REMITTED'],
+          [5, 'ORDER_NOT_FOUND'],
+          [6, 'INVALID_AMOUNT']
+        ]);
+        return true;
+      }
+    );
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(orders[0].saved, 0);
+    assert.equal(session.aborted, true);
+    assert.equal(session.ended, true);
+  });
+
+  it('checks the payload before opening a transaction', async () => {
+    const start = mock.method(mongoose, 'startSession', async () => fakeSession());
+    await assert.rejects(RemittanceService.recordRemittance({ carrier: 'yalidine', orders: [] }), { code: 'INVALID_REMITTANCE' });
+    await assert.rejects(
+      RemittanceService.recordRemittance({ carrier: 'yalidine', receivedAt: 'soon', orders: [{ orderNumber: 'ORD-1' }] }),
+      { code: 'INVALID_REMITTANCE' }
+    );
+    assert.equal(start.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ReturnService = require('../services/returnService');
+const InventoryService = require('../services/inventoryService');
+const OrderStateMachine = require('../services/orderStateMachine');
+const Order = require('../models/Order');
+const { query } = require('./helpers');
+
+const makeOrder = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'ORD-1',
+  userId: 'guest',
+  status: 'delivered',
+  actualDeliveryDate: new Date('2026-05-02'),
+  inventoryStatus: 'confirmed',
+  statusHistory: [],
+  items: [
+    { productId: 1, name: 'Dress', size: 'M', quantity: 3 },
+    { productId: 2, name: 'Coat', size: 'L', quantity: 2 }
+  ],
+  saved: 0,
+  async save() { this.saved++; }
+});
+
+const makeReturn = (order, items) => ({
+  _id: new mongoose.Types.ObjectId(),
+  rmaNumber: 'RMA-1',
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  status: 'approved',
+  statusHistory: [],
+  items,
+  async save() {}
+});
+
+// Stubs the stock moves and returns the quantities released per product
+const stubStock = () => {
+  const releases = [];
+  mock.method(InventoryService, 'releaseReservedStock', async (items, orderId, { reason }) => {
+    releases.push(...items.map(item => ({ productId: item.productId, quantity: item.quantity, reason })));
+    return [];
+  });
+  return releases;
+};
+
+describe('ReturnService.receive', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('does not release restocked or written-off units again when the order is returned later', async () => {
+    const order = makeOrder();
+    const returnRequest = makeReturn(order, [
+      { lineIndex: 0, productId: 1, name: 'Dress', size: 'M', quantity: 2 },
+      { lineIndex: 1, productId: 2, name: 'Coat', size: 'L', quantity: 1 }
+    ]);
+    const releases = stubStock();
+    mock.method(ReturnService, 'findOrFail', async () => returnRequest);
+    mock.method(Order, 'findById', () => query(order));
+    mock.method(ReturnService, 'getReturnedQuantities', async () => new Map([[0, 2], [1, 1]]));
+
+    await ReturnService.receive(returnRequest._id, {
+      items: [
+        { lineIndex: 0, receivedQuantity: 2, disposition: 'restock' },
+        { lineIndex: 1, receivedQuantity: 1, disposition: 'write_off' }
+      ]
+    });
+
+    // Partial return: the order stays delivered, only the restocked dresses are back
+    assert.equal(order.status, 'delivered');
+    assert.equal(order.saved, 1);
+    assert.deepEqual(releases, [{ productId: 1, quantity: 2, reason: 'return' }]);
+    assert.equal(order.items[0].restockedQuantity, 2);
+    assert.equal(order.items[1].writtenOffQuantity, 1);
+
+    // The rest of the parcel comes back outside the RMA flow
+    releases.length = 0;
+    await OrderStateMachine.transition(order, 'returned');
+
+    assert.deepEqual(releases, [
+      { productId: 1, quantity: 1, reason: 'return' },
+      { productId: 2, quantity: 1, reason: 'return' }
+    ]);
+    assert.equal(order.inventoryStatus, 'released');
+  });
+
+  it('moves the order to returned without releasing stock twice once every unit is back', async () => {
+    const order = makeOrder();
+    const returnRequest = makeReturn(order, [
+      { lineIndex: 0, productId: 1, name: 'Dress', size: 'M', quantity: 3 },
+      { lineIndex: 1, productId: 2, name: 'Coat', size: 'L', quantity: 2 }
+    ]);
+    const releases = stubStock();
+    mock.method(ReturnService, 'findOrFail', async () => returnRequest);
+    mock.method(Order, 'findById', () => query(order));
+    mock.method(ReturnService, 'getReturnedQuantities', async () => new Map([[0, 3], [1, 2]]));
+
+    await ReturnService.receive(returnRequest._id, {
+      items: [{ lineIndex: 1, receivedQuantity: 2, disposition: 'write_off' }]
+    });
+
+    assert.equal(order.status, 'returned');
+    assert.equal(order.inventoryStatus, 'released');
+    assert.equal(order.saved, 1);
+    assert.deepEqual(releases, [{ productId: 1, quantity: 3, reason: 'return' }]);
+  });
+
+  it('refuses a received quantity above the returned quantity', async () => {
+    const order = makeOrder();
+    const returnRequest = makeReturn(order, [{ lineIndex: 0, productId: 1, name: 'Dress', quantity: 1 }]);
+    mock.method(ReturnService, 'findOrFail', async () => returnRequest);
+
+    await assert.rejects(
+      ReturnService.receive(returnRequest._id, { items: [{ lineIndex: 0, receivedQuantity: 2 }] }),
+      { code: 'INVALID_RETURN', statusCode: 400 }
+    );
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RevenueService = require('../services/revenueService');
+const { RevenueError } = RevenueService;
+
+const makeOrder = () => ({
+  items: [{ price: 1000, quantity: 2 }],
+  financials: { orderDiscount: 200, taxAmount: 0, shippingFee: 600, refundedAmount: 300, prepaidAmount: 500, includeTaxInRevenue: false }
+});
+
+describe('RevenueService', () => {
+  describe('computeOrderRevenue', () => {
+    it('takes discounts and refunds off the item prices', () => {
+      assert.equal(RevenueService.computeOrderRevenue(makeOrder()), 1500);
+    });
+
+    it('adds tax and shipping when asked', () => {
+      const order = makeOrder();
+      order.financials.taxAmount = 100;
+      assert.equal(RevenueService.computeOrderRevenue(order, { includeTax: true, includeShipping: true }), 2200);
+    });
+  });
+
+  describe('applyFinancialsUpdate', () => {
+    it('sets the editable fields', () => {
+      const order = makeOrder();
+      RevenueService.applyFinancialsUpdate(order, { taxAmount: '150', shippingFee: 0, includeTaxInRevenue: true });
+      assert.equal(order.financials.taxAmount, 150);
+      assert.equal(order.financials.shippingFee, 0);
+      assert.equal(order.financials.includeTaxInRevenue, true);
+    });
+
+    it('ignores discounts, refunds and prepaid amounts', () => {
+      const order = makeOrder();
+      RevenueService.applyFinancialsUpdate(order, { refundedAmount: 0, orderDiscount: 0, prepaidAmount: 0 });
+      assert.deepEqual(order.financials, makeOrder().financials);
+    });
+
+    it('refuses negative or missing amounts', () => {
+      assert.throws(
+        () => RevenueService.applyFinancialsUpdate(makeOrder(), { shippingFee: -1 }),
+        (error) => error instanceof RevenueError && error.code === 'INVALID_FINANCIALS' && error.details.field === 'shippingFee'
+      );
+      assert.throws(() => RevenueService.applyFinancialsUpdate(makeOrder(), { taxAmount: null }), { code: 'INVALID_FINANCIALS' });
+    });
+  });
+});
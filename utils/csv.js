@@ -0,0 +1,28 @@
+// CSV helpers for admin exports
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Keep customer-entered text (names, addresses, notes) from being opened as
+// a formula: such strings get a leading apostrophe. Numbers and dates are left alone.
+const neutralizeFormula = (value) => (
+  typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value
+);
+
+// Quote a value when it contains a delimiter, quote or line break
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(neutralizeFormula(value));
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+const toCSVRow = (values) => values.map(escapeCSV).join(',') + '\n';
+
+module.exports = {
+  neutralizeFormula,
+  escapeCSV,
+  toCSVRow
+};
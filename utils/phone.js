@@ -0,0 +1,35 @@
+// Phone number helpers shared by checkout and order lookups
+
+// Normalize phone numbers (handle Arabic-Indic digits and strip spaces)
+const normalizePhone = (p) => {
+  try {
+    let s = String(p || '').trim();
+    // Convert Arabic-Indic 0-9
+    s = s.replace(/[\u0660-\u0669]/g, (d) => String(d.charCodeAt(0) - 0x0660));
+    // Convert Extended Arabic-Indic 0-9
+    s = s.replace(/[\u06F0-\u06F9]/g, (d) => String(d.charCodeAt(0) - 0x06F0));
+    // Keep leading + then digits only
+    const leadPlus = s.startsWith('+');
+    s = s.replace(/[^0-9]/g, '');
+    if (leadPlus) s = '+' + s;
+    return s;
+  } catch { return String(p || ''); }
+};
+
+// National significant number: drops +213 / 00213 / leading 0 so that
+// "0555 12 34 56" and "+213555123456" compare equal
+const phoneKey = (p) => {
+  const digits = normalizePhone(p).replace(/^\+/, '');
+  return digits.replace(/^(00)?213/, '').replace(/^0+/, '');
+};
+
+const phonesMatch = (a, b) => {
+  const ka = phoneKey(a);
+  return ka.length >= 8 && ka === phoneKey(b);
+};
+
+module.exports = {
+  normalizePhone,
+  phoneKey,
+  phonesMatch
+};